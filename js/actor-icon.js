@@ -1,11 +1,24 @@
 /**
  * Actor Icon — Custom Fabric.js group: split circle with label
  * Uses Path objects for half-circles since fabric.Circle doesn't support startAngle/endAngle
+ * Group layout: [0]=left half, [1]=right half, [2]=border, [3]=label, [4]=nose
+ *
+ * The nose points the way the actor faces (the group's angle); the label
+ * is turned back against it so it always reads upright. An actor can also
+ * look at another actor or a camera (actorEyeline): a dashed ray drawn
+ * between the two, rebuilt from that whenever either of them changes.
  */
 
 import { getCanvas } from './canvas-manager.js';
+import { beginChange, trackInput } from './history-manager.js';
+import { refreshTrailMarks } from './trail-manager.js';
+import { getCamerasSeeing, getCameraPosition } from './camera-icon.js';
+import { escapeHtml } from './html-utils.js';
 
 const ACTOR_RADIUS = 20;
+const NOSE_LENGTH = 9;
+const EYELINE_GAP = 4; // Between the ray's ends and the icons
+const EYELINE_DASH = [2, 5];
 const PRESET_COLORS = [
   '#e74c3c', '#3498db', '#2ecc71', '#f1c40f',
   '#e67e22', '#9b59b6', '#1abc9c', '#e91e63',
@@ -13,6 +26,36 @@ const PRESET_COLORS = [
   '#8b4513', '#d4b896',
 ];
 
+// Actor whose coverage readout is open, kept current while objects are dragged
+let coverageActor = null;
+let coverageTracking = false;
+
+// Interaction flags — not serialised by Fabric, so re-applied on restore
+const ACTOR_INTERACTION = {
+  hasControls: true,
+  hasBorders: true,
+  lockScalingX: true,
+  lockScalingY: true,
+  lockRotation: false,
+  subTargetCheck: false,
+};
+
+const ACTOR_CONTROLS = {
+  tl: false, tr: false, bl: false, br: false,
+  ml: false, mr: false, mt: false, mb: false,
+  mtr: true,
+};
+
+// Eyeline rays are derived from actorEyeline, so never saved or selected
+const EYELINE_INTERACTION = {
+  selectable: false,
+  evented: false,
+  excludeFromExport: true,
+  objectCaching: false,
+};
+
+let syncingEyelines = false;
+
 function isLightColor(hex) {
   const r = parseInt(hex.slice(1, 3), 16);
   const g = parseInt(hex.slice(3, 5), 16);
@@ -32,6 +75,37 @@ function makeHalfCirclePath(r, side) {
   }
 }
 
+// ── Init ──
+
+export function initActorIcon() {
+  const canvas = getCanvas();
+
+  canvas.on('object:rotating', (e) => {
+    getActors(e.target).forEach(keepLabelUpright);
+  });
+
+  ['object:moving', 'object:rotating', 'object:modified'].forEach(name => {
+    canvas.on(name, (e) => {
+      if (e.target && e.target.objectType !== 'eyeline') syncEyelines();
+    });
+  });
+
+  // Eyelines come and go with either end, e.g. on delete or undo
+  ['object:added', 'object:removed'].forEach(name => {
+    canvas.on(name, (e) => {
+      if (!syncingEyelines && e.target && (e.target.objectType === 'actor' || e.target.objectType === 'camera')) {
+        syncEyelines();
+      }
+    });
+  });
+}
+
+function getActors(target) {
+  if (!target) return [];
+  const objects = target.type === 'activeselection' ? target.getObjects() : [target];
+  return objects.filter(o => o.objectType === 'actor');
+}
+
 export function createActorIcon(x, y, options = {}) {
   const color = options.color || PRESET_COLORS[0];
   const label = options.label ?? 'A';
@@ -76,26 +150,80 @@ export function createActorIcon(x, y, options = {}) {
     top: 0,
   });
 
-  const group = new fabric.Group([leftHalf, rightHalf, border, text], {
+  const group = new fabric.Group([leftHalf, rightHalf, border, text, buildNose(color)], {
     left: x,
     top: y,
     originX: 'center',
     originY: 'center',
-    hasControls: false,
-    hasBorders: true,
-    lockScalingX: true,
-    lockScalingY: true,
-    lockRotation: true,
-    subTargetCheck: false,
+    ...ACTOR_INTERACTION,
     // Custom data
     objectType: 'actor',
     actorColor: color,
     actorLabel: label,
+    actorEyeline: null,
   });
+  group.setControlsVisibility(ACTOR_CONTROLS);
 
   return group;
 }
 
+// Wedge on the rim, pointing the way the actor faces
+function buildNose(color) {
+  const r = ACTOR_RADIUS;
+  return new fabric.Polygon([
+    { x: 0, y: -r - NOSE_LENGTH },
+    { x: -7, y: -r + 3 },
+    { x: 7, y: -r + 3 },
+  ], {
+    fill: isLightColor(color) ? '#333333' : color,
+    stroke: null,
+    originX: 'center',
+    originY: 'center',
+  });
+}
+
+export function restoreActorIcon(actor) {
+  if (!actor || actor.objectType !== 'actor') return;
+  actor.set(ACTOR_INTERACTION);
+  actor.setControlsVisibility(ACTOR_CONTROLS);
+  if (actor.actorEyeline === undefined) actor.actorEyeline = null;
+
+  // Actors saved before facing have no nose. Group.add() takes objects
+  // in canvas coordinates, so it is placed off the border circle.
+  if (actor.getObjects().length < 5) {
+    const nose = buildNose(actor.actorColor);
+    const center = actor.getObjects()[2].getCenterPoint();
+    const angle = actor.angle || 0;
+    const scale = actor.scaleX || 1;
+    const offset = fabric.util.rotateVector(
+      new fabric.Point(nose.left * scale, nose.top * scale),
+      fabric.util.degreesToRadians(angle),
+    );
+    nose.set({ left: center.x + offset.x, top: center.y + offset.y, angle, scaleX: scale, scaleY: scale });
+    actor.add(nose);
+  }
+  keepLabelUpright(actor);
+}
+
+// Turns the label back against the facing (and any selection it is
+// rotated with), so it reads upright
+export function keepLabelUpright(actor) {
+  const label = actor.getObjects()[3];
+  if (!label) return;
+  const facing = (actor.angle || 0) + (actor.group ? actor.group.angle || 0 : 0);
+  label.set('angle', -facing);
+  actor.dirty = true;
+}
+
+export function updateActorFacing(actor, angle) {
+  if (!actor || actor.objectType !== 'actor') return;
+  actor.rotate(angle);
+  actor.setCoords();
+  keepLabelUpright(actor);
+  syncEyelines();
+  getCanvas().requestRenderAll();
+}
+
 export function updateActorColor(actor, newColor) {
   if (!actor || actor.objectType !== 'actor') return;
   const objects = actor.getObjects();
@@ -103,6 +231,7 @@ export function updateActorColor(actor, newColor) {
   const borderColor = isLightColor(newColor) ? '#333333' : newColor;
   objects[0].set('fill', newColor);
   objects[2].set('stroke', borderColor);
+  if (objects[4]) objects[4].set('fill', borderColor);
   actor.actorColor = newColor;
   actor.dirty = true;
   getCanvas().requestRenderAll();
@@ -139,12 +268,50 @@ export function renderActorProperties(actor) {
         `).join('')}
       </div>
     </div>
+    <div class="prop-group">
+      <label class="prop-label">Facing: <span id="actor-facing-val">${Math.round(normalizeAngle(actor.angle || 0))}°</span></label>
+      <input type="range" class="prop-range" id="actor-facing" min="0" max="359" value="${Math.round(normalizeAngle(actor.angle || 0))}">
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Eyeline</label>
+      <select class="prop-input" id="actor-eyeline">
+        <option value="">None</option>
+        ${getEyelineTargets(actor).map(t => `
+          <option value="${t.objectId}" ${actor.actorEyeline && actor.actorEyeline.targetId === t.objectId ? 'selected' : ''}>
+            ${escapeHtml(describeTarget(t))}
+          </option>
+        `).join('')}
+      </select>
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Seen by</label>
+      <div id="actor-coverage">${renderCoverage(actor)}</div>
+    </div>
   `;
 
+  setupCoverageTracking(actor);
+
   // Label input
   const labelInput = document.getElementById('actor-label');
+  trackInput(labelInput, [actor], 'Renamed actor');
   labelInput.addEventListener('input', () => {
     updateActorLabel(actor, labelInput.value || 'A');
+    refreshTrailMarks([actor]);
+  });
+
+  // Facing
+  const facingInput = document.getElementById('actor-facing');
+  trackInput(facingInput, [actor], 'Turned actor');
+  facingInput.addEventListener('input', () => {
+    updateActorFacing(actor, Number(facingInput.value));
+    document.getElementById('actor-facing-val').textContent = `${facingInput.value}°`;
+  });
+
+  // Eyeline
+  document.getElementById('actor-eyeline').addEventListener('change', (e) => {
+    const change = beginChange([actor]);
+    setActorEyeline(actor, e.target.value || null);
+    change.commit(e.target.value ? 'Set eyeline' : 'Removed eyeline');
   });
 
   // Color swatches
@@ -152,7 +319,113 @@ export function renderActorProperties(actor) {
     swatch.addEventListener('click', () => {
       document.querySelectorAll('#actor-colors .color-swatch').forEach(s => s.classList.remove('selected'));
       swatch.classList.add('selected');
+      const change = beginChange([actor]);
       updateActorColor(actor, swatch.dataset.color);
+      refreshTrailMarks([actor]);
+      change.commit('Changed actor color');
     });
   });
 }
+
+function normalizeAngle(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+// ── Eyeline ──
+
+export function setActorEyeline(actor, targetId) {
+  if (!actor || actor.objectType !== 'actor') return;
+  actor.actorEyeline = targetId ? { targetId } : null;
+  syncEyelines();
+}
+
+// Other actors and every camera, in canvas order
+function getEyelineTargets(actor) {
+  return getCanvas().getObjects().filter(o =>
+    (o.objectType === 'actor' && o !== actor) || o.objectType === 'camera');
+}
+
+function describeTarget(target) {
+  return target.objectType === 'actor'
+    ? `Actor ${target.actorLabel || ''}`.trim()
+    : target.cameraLabel || 'Unlabelled camera';
+}
+
+// Where a ray meets an icon: the actor's centre or the camera's lens
+function getEyelinePoint(target) {
+  return target.objectType === 'camera' ? getCameraPosition(target) : target.getCenterPoint();
+}
+
+// Re-derive every ray from its actor and target: reshaped in place while
+// dragged, added or dropped as eyelines are set, cleared or lose an end
+export function syncEyelines() {
+  const canvas = getCanvas();
+  const objects = canvas.getObjects();
+  const lines = objects.filter(o => o.objectType === 'eyeline');
+  const kept = new Set();
+
+  syncingEyelines = true;
+  objects.filter(o => o.objectType === 'actor' && o.actorEyeline).forEach(actor => {
+    const target = objects.find(o => o.objectId === actor.actorEyeline.targetId &&
+      (o.objectType === 'actor' || o.objectType === 'camera'));
+    if (!target || target === actor) return;
+
+    const from = actor.getCenterPoint();
+    const to = getEyelinePoint(target);
+    const distance = from.distanceFrom(to);
+    const start = ACTOR_RADIUS * (actor.scaleX || 1) + EYELINE_GAP;
+    const end = target.objectType === 'actor' ? ACTOR_RADIUS * (target.scaleX || 1) + EYELINE_GAP : EYELINE_GAP;
+    if (distance <= start + end) return;
+
+    const unit = to.subtract(from).scalarDivide(distance);
+    const a = from.add(unit.scalarMultiply(start));
+    const b = to.subtract(unit.scalarMultiply(end));
+
+    let line = lines.find(l => l.eyelineActor === actor);
+    if (!line) {
+      line = new fabric.Line([a.x, a.y, b.x, b.y], {
+        ...EYELINE_INTERACTION,
+        objectType: 'eyeline',
+        eyelineActor: actor,
+        strokeWidth: 2,
+        strokeDashArray: EYELINE_DASH,
+        strokeLineCap: 'round',
+      });
+      canvas.add(line);
+    } else {
+      line.set({ x1: a.x, y1: a.y, x2: b.x, y2: b.y });
+      line.setCoords();
+    }
+    line.set('stroke', isLightColor(actor.actorColor) ? '#333333' : actor.actorColor);
+    kept.add(line);
+  });
+
+  lines.filter(l => !kept.has(l)).forEach(l => canvas.remove(l));
+  syncingEyelines = false;
+  canvas.requestRenderAll();
+}
+
+// ── Coverage ──
+
+function renderCoverage(actor) {
+  const cameras = getCamerasSeeing(actor);
+  if (cameras.length === 0) return '<div class="prop-hint">No camera covers this actor</div>';
+  return `<div class="prop-text">${cameras.map(c => escapeHtml(c.cameraLabel || 'Unlabelled camera')).join(', ')}</div>`;
+}
+
+function refreshCoverage() {
+  const readout = document.getElementById('actor-coverage');
+  if (!readout || !coverageActor || !coverageActor.canvas) return;
+  readout.innerHTML = renderCoverage(coverageActor);
+}
+
+function setupCoverageTracking(actor) {
+  coverageActor = actor;
+
+  // Installed once; does nothing while no readout is showing
+  if (coverageTracking) return;
+  coverageTracking = true;
+  ['object:moving', 'object:rotating', 'object:modified'].forEach(name => {
+    getCanvas().on(name, refreshCoverage);
+  });
+}
@@ -4,22 +4,67 @@
 
 import { initCanvas, getCanvas, fitToScreen, rotatePlan, getZoom } from './canvas-manager.js';
 import { initTouchHandler } from './touch-handler.js';
-import { initPdfLoader, goToPage, getCurrentPage, getTotalPages, isPdf } from './pdf-loader.js';
-import { createActorIcon, renderActorProperties } from './actor-icon.js';
-import { createCameraIcon, renderCameraProperties } from './camera-icon.js';
-import { createMovementArrow, removeArrow, renderArrowProperties, addControlPointToArrow } from './movement-arrow.js';
+import { initPdfLoader, goToPage, getCurrentPage, getTotalPages, isPdf, resetPdfLoader } from './pdf-loader.js';
+import { createActorIcon, renderActorProperties, initActorIcon } from './actor-icon.js';
+import { initCrowdIcon, createCrowd, renderCrowdProperties, describeCrowd } from './crowd-icon.js';
+import { createProp, renderPropProperties } from './prop-icon.js';
+import { createLightIcon, renderLightProperties, describeLight, areLightsHidden, setLightsHidden } from './light-icon.js';
+import {
+  initMicIcon, createMicIcon, renderMicProperties, describeMic, areMicsHidden, setMicsHidden, checkBoomPositions,
+} from './mic-icon.js';
+import { initSymbolLibrary, clearActiveSymbol } from './symbol-library.js';
+import {
+  initCameraIcon, createCameraIcon, renderCameraProperties, isDollyArrowStart, findCameraAt, getCameraPosition,
+} from './camera-icon.js';
+import {
+  createMovementArrow, removeArrow, renderArrowProperties, addControlPointToArrow, getArrowObjects,
+  initCameraMoves, getCameraArrowIds, getCameraMoveObjects, getArrowCamera,
+} from './movement-arrow.js';
+import {
+  initTrailManager, addTrailSegment, shouldAddTrail, isTrackable,
+  getTrailSegmentObjects, getTrailObjects, removeTrail, removeTrailSegment, selectTrailControlPoint,
+  getTrailMarks, refreshTrailMarks, renderMarkProperties,
+} from './trail-manager.js';
 import { placeText, renderTextProperties } from './text-tool.js';
-import { initRoster, clearActiveCharacter } from './character-roster.js';
-import { exportJPEG, exportPDF } from './export-manager.js';
-import { initHistory, undo, redo, saveState, clearHistory } from './history-manager.js';
+import { initRoster, clearActiveCharacter, setActiveCharacter, getCharacters, BG_CHARACTER } from './character-roster.js';
+import { exportJPEG, exportPDF, exportAnimation, exportShotListCSV, isWebmSupported, createThumbnail } from './export-manager.js';
+import { initHistoryPanel, renderHistoryPanel, isHistoryPanelOpen } from './history-panel.js';
+import { initHistory, undo, redo, clearHistory, recordAdded, beginChange } from './history-manager.js';
+import { initLayerManager, syncLayerToPage, resetLayers, getExportTargets } from './layer-manager.js';
+import { initSetupStrip, renderSetupStrip } from './setup-strip.js';
+import { initPlayback, enterPlayback, exitPlayback, refreshPlayback, isPlaybackActive } from './playback-manager.js';
+import { initPlaybackBar, renderPlaybackBar, togglePlayback } from './playback-bar.js';
+import { initCoverageOverlay } from './coverage-overlay.js';
+import {
+  initAxisManager, checkAxisCrossings, createAxis, getAxisObjects, getActorAxisObjects, removeAxis, removeActorAxes, renderAxisProperties,
+} from './axis-manager.js';
+import {
+  initScaleManager, getScale, setScale, clearScale, resetScales, describeScale,
+  getDefaultUnit, getUnitName, parseLength, createRuler,
+} from './scale-manager.js';
+import { saveProject, openProjectFile, getProjectInfo, setProjectInfo, createProjectInfo } from './project-manager.js';
+import {
+  initAutosave, enableAutosave, disableAutosave, scheduleAutosave, flushAutosave,
+  openProjectRecord, getRecoverableSession, restoreSession, discardSession,
+} from './autosave.js';
+import { initLibrary, showLibrary } from './project-library.js';
+import { initShotList, showShotList, refreshShotList } from './shot-list.js';
 
 // ── State ──
+const HISTORY_THUMBNAIL_SIZE = 96;
+
 let currentTool = 'select';
-let arrowStartPoint = null;
+let tapStartPoint = null;
+let calibrationReturnTarget = null; // Camera whose panel started the calibration
+let axisStartActor = null;
 let actorConfig = { color: '#ffffff', label: '' };
 let cameraConfig = { color: '#ffffff', label: '' };
 let textConfig = { color: '#ffffff' };
 let drawConfig = { color: '#ffffff', width: 4 };
+let crowdConfig = { formation: 'scatter', count: 12 };
+let propConfig = { symbol: null };
+let lightConfig = { fixture: 'fresnel' };
+let micConfig = { type: 'boom' };
 
 // ── Init ──
 document.addEventListener('DOMContentLoaded', () => {
@@ -27,23 +72,54 @@ document.addEventListener('DOMContentLoaded', () => {
 
   initTouchHandler({
     onLongPress: handleLongPress,
+    describeObject,
   });
 
   initPdfLoader(handlePageChange);
 
-  initHistory(handleHistoryState);
+  initHistory(handleHistoryState, () => createThumbnail(HISTORY_THUMBNAIL_SIZE), isHistoryPanelOpen);
+  initTrailManager();
+  initActorIcon();
+  initCrowdIcon();
+  initCameraMoves();
+  initLayerManager(handleLayersChange);
+  initScaleManager(handleScaleChange);
+  initCameraIcon(pickScaleForCamera);
+  initCoverageOverlay();
+  initAxisManager(setStatus);
+  initMicIcon(setStatus);
 
   setupToolbar();
   setupTextPopover();
   setupDrawPopover();
+  setupCrowdPopover();
+  setupLightPopover();
+  setupMicPopover();
   initRoster(handleCharacterSelect);
+  initSymbolLibrary(handleSymbolSelect);
   setupTopBar();
   setupStatusBar();
   setupCanvasEvents(canvas);
   setupKeyboard();
   setupSidebarResize();
+  initSetupStrip(setStatus);
+  initHistoryPanel();
+  initPlayback(renderPlaybackBar);
+  initPlaybackBar();
+  initShotList(exportShotListCSV);
+
+  initAutosave(setStatus);
+  initLibrary({
+    onOpen: openLibraryProject,
+    onNew: startNewProject,
+    onRename: updateProjectName,
+    onDeleteCurrent: startNewProject,
+  });
+  updateProjectName();
 
   setStatus('Ready — create characters in the sidebar, then place them');
+
+  offerSessionRestore();
 });
 
 // ── Toolbar ──
@@ -57,6 +133,8 @@ function setupToolbar() {
       } else if (btn.dataset.tool === 'camera') {
         cameraConfig = { color: '#ffffff', label: '' };
         clearActiveCharacter();
+      } else if (btn.dataset.tool === 'crowd') {
+        setActiveCharacter(BG_CHARACTER.id);
       }
       setTool(btn.dataset.tool);
     });
@@ -70,10 +148,15 @@ function setupToolbar() {
 }
 
 function setTool(tool) {
+  if (tool !== 'play' && isPlaybackActive()) exitPlayback();
+
   currentTool = tool;
-  arrowStartPoint = null;
+  tapStartPoint = null;
+  calibrationReturnTarget = null;
+  axisStartActor = null;
   removeArrowStartIndicator();
-  if (tool !== 'actor' && tool !== 'camera') clearActiveCharacter();
+  if (tool !== 'actor' && tool !== 'camera' && tool !== 'crowd') clearActiveCharacter();
+  if (tool !== 'prop') clearActiveSymbol();
 
   document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.tool === tool);
@@ -82,6 +165,9 @@ function setTool(tool) {
   // Show/hide popovers
   document.getElementById('text-popover').classList.toggle('hidden', tool !== 'text');
   document.getElementById('draw-popover').classList.toggle('hidden', tool !== 'draw');
+  document.getElementById('crowd-popover').classList.toggle('hidden', tool !== 'crowd');
+  document.getElementById('light-popover').classList.toggle('hidden', tool !== 'light');
+  document.getElementById('mic-popover').classList.toggle('hidden', tool !== 'mic');
 
   const canvas = getCanvas();
 
@@ -95,6 +181,27 @@ function setTool(tool) {
     canvas.defaultCursor = 'default';
     canvas.hoverCursor = 'move';
     setInteractive(true);
+  } else if (tool === 'track') {
+    // Only actors, cameras and trail handles can be dragged
+    canvas.selection = false;
+    canvas.defaultCursor = 'default';
+    canvas.hoverCursor = 'move';
+    setInteractive(o => isTrackable(o) || o.objectType === 'trailControlPoint');
+  } else if (tool === 'axis') {
+    // Tap two actors; nothing else can be picked
+    canvas.selection = false;
+    canvas.defaultCursor = 'default';
+    canvas.hoverCursor = 'pointer';
+    setInteractive(o => o.objectType === 'actor');
+  } else if (tool === 'play') {
+    // Nothing is editable while the blocking plays back
+    canvas.discardActiveObject();
+    canvas.selection = false;
+    canvas.defaultCursor = 'default';
+    canvas.hoverCursor = 'default';
+    setInteractive(false);
+    closePropertiesPanel();
+    if (!isPlaybackActive()) enterPlayback();
   } else if (tool === 'draw') {
     canvas.selection = false;
     canvas.isDrawingMode = true;
@@ -110,14 +217,20 @@ function setTool(tool) {
   }
 
   setStatus(getToolStatus(tool));
+  if (tool === 'axis') drawAxisFromSelection();
 }
 
+// enabled: boolean, or a predicate picking the objects to enable
 function setInteractive(enabled) {
   const canvas = getCanvas();
+  const isEnabled = typeof enabled === 'function' ? enabled : () => enabled;
   canvas.forEachObject(o => {
     if (o.objectType === 'controlPoint' || o.objectType === 'startPoint' || o.objectType === 'endPoint') return;
-    o.selectable = enabled;
-    o.evented = enabled;
+    // Trail ghosts, arrowheads, dolly track, axis zones and eyelines are never interactive
+    if (o.objectType === 'trailGhost' || o.objectType === 'trailArrowHead' || o.objectType === 'arrowTrack' ||
+        o.objectType === 'axisZone' || o.objectType === 'eyeline') return;
+    o.selectable = isEnabled(o);
+    o.evented = isEnabled(o);
   });
 }
 
@@ -127,9 +240,22 @@ function getToolStatus(tool) {
     case 'actor': return 'Actor mode — double-tap to place';
     case 'actor-arrow': return 'Actor movement — tap start, then tap end';
     case 'camera': return 'Camera mode — double-tap to place';
+    case 'light': return 'Light mode — double-tap to place, then turn it to aim';
+    case 'mic': return micConfig.type === 'lav'
+      ? 'Sound mode — double-tap to place a lav, then pick who wears it'
+      : 'Sound mode — double-tap to place, then turn it to aim';
     case 'camera-arrow': return 'Camera movement — tap start, then tap end';
     case 'text': return 'Text mode — double-tap to place text';
     case 'draw': return 'Draw mode — draw freely on the canvas';
+    case 'track': return 'Track movement — drag actors or cameras to leave a trail';
+    case 'play': return 'Play — press play or scrub to walk the blocking through';
+    case 'calibrate': return 'Calibrate scale — tap both ends of a known dimension on the plan';
+    case 'ruler': return 'Ruler — tap start, then tap end';
+    case 'axis': return 'Line of action — tap two actors';
+    case 'prop': return `Prop mode — double-tap to place ${propConfig.symbol ? propConfig.symbol.name.toLowerCase() : 'a prop'}`;
+    case 'crowd': return crowdConfig.formation === 'queue'
+      ? 'Extras — tap the head of the queue, then its tail'
+      : 'Extras — tap two corners of the area to fill';
     default: return '';
   }
 }
@@ -183,8 +309,57 @@ function setupDrawPopover() {
   });
 }
 
+// ── Crowd Popover ──
+function setupCrowdPopover() {
+  const formationSelect = document.getElementById('crowd-config-formation');
+  formationSelect.addEventListener('change', () => {
+    crowdConfig.formation = formationSelect.value;
+    tapStartPoint = null;
+    removeArrowStartIndicator();
+    setStatus(getToolStatus('crowd'));
+  });
+
+  const countInput = document.getElementById('crowd-config-count');
+  countInput.addEventListener('input', () => {
+    if (Number(countInput.value) >= 1) crowdConfig.count = Number(countInput.value);
+  });
+
+  document.getElementById('crowd-popover').addEventListener('click', (e) => {
+    e.stopPropagation();
+  });
+}
+
+// ── Light Popover ──
+function setupLightPopover() {
+  const fixtureSelect = document.getElementById('light-config-fixture');
+  fixtureSelect.addEventListener('change', () => {
+    lightConfig.fixture = fixtureSelect.value;
+  });
+
+  document.getElementById('light-popover').addEventListener('click', (e) => {
+    e.stopPropagation();
+  });
+}
+
+// ── Mic Popover ──
+function setupMicPopover() {
+  const typeSelect = document.getElementById('mic-config-type');
+  typeSelect.addEventListener('change', () => {
+    micConfig.type = typeSelect.value;
+    setStatus(getToolStatus('mic'));
+  });
+
+  document.getElementById('mic-popover').addEventListener('click', (e) => {
+    e.stopPropagation();
+  });
+}
+
 // ── Character Roster Callback ──
 function handleCharacterSelect(character) {
+  if (character.type === 'crowd') {
+    setTool('crowd');
+    return;
+  }
   if (character.type === 'camera') {
     cameraConfig.color = character.color;
     cameraConfig.label = character.label;
@@ -197,6 +372,12 @@ function handleCharacterSelect(character) {
   setStatus(`Selected "${character.name}" — double-tap to place`);
 }
 
+// ── Symbol Library Callback ──
+function handleSymbolSelect(symbol) {
+  propConfig.symbol = symbol;
+  setTool('prop');
+}
+
 // ── Top Bar ──
 function setupTopBar() {
   document.getElementById('btn-undo').addEventListener('click', undo);
@@ -212,53 +393,83 @@ function setupTopBar() {
     dropdown.classList.remove('open');
   });
 
-  document.getElementById('export-pdf').addEventListener('click', () => {
+  document.getElementById('export-pdf').addEventListener('click', async () => {
+    dropdown.classList.remove('open');
+    const targets = await chooseExportTargets();
+    if (targets) exportPDF(targets, handlePageChange);
+  });
+
+  document.getElementById('export-jpeg').addEventListener('click', async () => {
+    dropdown.classList.remove('open');
+    const targets = await chooseExportTargets();
+    if (targets) exportJPEG(targets, handlePageChange);
+  });
+
+  document.getElementById('export-animation').addEventListener('click', async () => {
     dropdown.classList.remove('open');
-    exportPDF();
+    const options = await chooseAnimationOptions();
+    if (!options) return;
+    await exportAnimation(options, (progress) => {
+      setStatus(`Rendering animation… ${Math.round(progress * 100)}%`);
+    });
+    setStatus(getToolStatus(currentTool));
   });
 
-  document.getElementById('export-jpeg').addEventListener('click', () => {
+  document.getElementById('export-shot-list').addEventListener('click', () => {
     dropdown.classList.remove('open');
-    exportJPEG();
+    exportShotListCSV();
   });
 
+  document.getElementById('btn-shot-list').addEventListener('click', showShotList);
+
   document.getElementById('btn-close-panel').addEventListener('click', () => {
     closePropertiesPanel();
   });
 
-  // New Project
+  // New Project — the current one stays in the library
   document.getElementById('btn-new-project').addEventListener('click', () => {
-    const canvas = getCanvas();
-    const hasContent = canvas.getObjects().length > 0 || canvas.backgroundImage;
-    if (!hasContent) {
-      // Nothing to lose, just reset
-      startNewProject();
-      return;
-    }
-    // Show confirmation modal
-    document.getElementById('new-project-modal').classList.remove('hidden');
+    startNewProject();
   });
 
-  document.getElementById('modal-export-first').addEventListener('click', async () => {
-    document.getElementById('new-project-modal').classList.add('hidden');
-    await exportPDF();
-    startNewProject();
+  // Project Library
+  document.getElementById('btn-library').addEventListener('click', showLibrary);
+  document.getElementById('project-name').addEventListener('click', showLibrary);
+
+  // Save / Open Project
+  document.getElementById('btn-save-project').addEventListener('click', () => {
+    saveProject();
   });
 
-  document.getElementById('modal-new').addEventListener('click', () => {
-    document.getElementById('new-project-modal').classList.add('hidden');
-    startNewProject();
+  const projectInput = document.getElementById('project-input');
+  document.getElementById('btn-open-project').addEventListener('click', () => {
+    projectInput.click();
   });
 
-  document.getElementById('modal-cancel').addEventListener('click', () => {
-    document.getElementById('new-project-modal').classList.add('hidden');
+  projectInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    // Reset input so same file can be reopened
+    projectInput.value = '';
+    if (!file) return;
+    await openProject(file);
   });
 }
 
 // ── Status Bar ──
 function setupStatusBar() {
   document.getElementById('btn-fit').addEventListener('click', fitToScreen);
-  document.getElementById('btn-rotate').addEventListener('click', rotatePlan);
+  document.getElementById('btn-rotate').addEventListener('click', () => {
+    rotatePlan();
+    scheduleAutosave();
+  });
+  document.getElementById('btn-scale').addEventListener('click', () => setTool('calibrate'));
+  document.getElementById('btn-lights').addEventListener('click', () => {
+    setLightsHidden(!areLightsHidden());
+    updateLightsButton();
+  });
+  document.getElementById('btn-sound').addEventListener('click', () => {
+    setMicsHidden(!areMicsHidden());
+    updateSoundButton();
+  });
 
   document.getElementById('btn-prev-page').addEventListener('click', () => {
     const page = getCurrentPage();
@@ -272,7 +483,19 @@ function setupStatusBar() {
   });
 }
 
-function handlePageChange(current, total) {
+function updateLightsButton() {
+  document.getElementById('btn-lights').textContent = areLightsHidden() ? 'Lights off' : 'Lights on';
+}
+
+function updateSoundButton() {
+  document.getElementById('btn-sound').textContent = areMicsHidden() ? 'Sound off' : 'Sound on';
+}
+
+async function handlePageChange(current, total) {
+  // Swap in this page's objects and undo history
+  await syncLayerToPage(current);
+  updateScaleDisplay();
+
   const indicator = document.getElementById('page-indicator');
   const prevBtn = document.getElementById('btn-prev-page');
   const nextBtn = document.getElementById('btn-next-page');
@@ -290,6 +513,130 @@ function handlePageChange(current, total) {
     document.getElementById('page-current').textContent = '1';
     document.getElementById('page-total').textContent = '1';
   }
+
+  scheduleAutosave();
+}
+
+// Setups were added, removed, reordered, renamed or swapped in
+function handleLayersChange() {
+  renderSetupStrip();
+  if (isPlaybackActive()) refreshPlayback();
+  refreshShotList();
+  scheduleAutosave();
+}
+
+// Calibrated, re-calibrated or cleared; shown distances follow the new scale
+function handleScaleChange() {
+  updateScaleDisplay();
+  const active = getCanvas().getActiveObject();
+  if (active && !document.getElementById('properties-section').classList.contains('hidden')) {
+    openProperties(active);
+  }
+  scheduleAutosave();
+}
+
+function updateScaleDisplay() {
+  document.getElementById('btn-scale').textContent = describeScale();
+}
+
+// ── Export Animation ──
+
+// Resolves to { format, fps, multiplier, loop }, or null if cancelled
+function chooseAnimationOptions() {
+  const modal = document.getElementById('export-animation-modal');
+  const format = document.getElementById('animation-format');
+  const webm = format.querySelector('option[value="webm"]');
+  webm.disabled = !isWebmSupported();
+  if (webm.disabled) format.value = 'gif';
+
+  modal.classList.remove('hidden');
+
+  return new Promise(resolve => {
+    const confirmBtn = document.getElementById('export-animation-confirm');
+    const cancelBtn = document.getElementById('export-animation-cancel');
+
+    const finish = (options) => {
+      modal.classList.add('hidden');
+      confirmBtn.removeEventListener('click', onConfirm);
+      cancelBtn.removeEventListener('click', onCancel);
+      resolve(options);
+    };
+
+    const onConfirm = () => finish({
+      format: format.value,
+      fps: Number(document.getElementById('animation-fps').value),
+      multiplier: Number(document.getElementById('animation-multiplier').value),
+      loop: document.getElementById('animation-loop').checked,
+    });
+    const onCancel = () => finish(null);
+
+    confirmBtn.addEventListener('click', onConfirm);
+    cancelBtn.addEventListener('click', onCancel);
+  });
+}
+
+// ── Export Pages ──
+
+// Resolves to the chosen [{ page, setupId }], or null if cancelled.
+// Single-page, single-setup plans skip the picker.
+function chooseExportTargets() {
+  // Playback proxies must not end up in the export
+  if (isPlaybackActive()) setTool('select');
+
+  const targets = getExportTargets(Math.max(1, getTotalPages()));
+  if (targets.length === 1) return Promise.resolve(targets);
+
+  const modal = document.getElementById('export-pages-modal');
+  const list = document.getElementById('export-pages-list');
+
+  list.innerHTML = '';
+  targets.forEach((target, i) => {
+    const label = document.createElement('label');
+    label.className = 'export-page-option';
+    label.innerHTML = `
+      <input type="checkbox" value="${i}" ${target.current ? 'checked' : ''}>
+      <span></span>
+      ${target.annotated ? '<span class="export-page-note">annotated</span>' : ''}
+    `;
+    label.querySelector('span').textContent = `Page ${target.page}` + (target.name ? ` · ${target.name}` : '');
+    list.appendChild(label);
+  });
+
+  const boxes = () => Array.from(list.querySelectorAll('input[type="checkbox"]'));
+  modal.classList.remove('hidden');
+
+  return new Promise(resolve => {
+    const annotatedBtn = document.getElementById('export-pages-annotated');
+    const confirmBtn = document.getElementById('export-pages-confirm');
+    const cancelBtn = document.getElementById('export-pages-cancel');
+
+    const selectAnnotated = () => {
+      boxes().forEach(box => { box.checked = targets[Number(box.value)].annotated; });
+    };
+
+    const finish = (chosen) => {
+      modal.classList.add('hidden');
+      annotatedBtn.removeEventListener('click', selectAnnotated);
+      confirmBtn.removeEventListener('click', onConfirm);
+      cancelBtn.removeEventListener('click', onCancel);
+      resolve(chosen);
+    };
+
+    const onConfirm = () => {
+      const chosen = boxes().filter(box => box.checked).map(box => targets[Number(box.value)]);
+      if (chosen.length === 0) {
+        setStatus('Select at least one page to export');
+        return;
+      }
+      finish(chosen);
+    };
+    const onCancel = () => finish(null);
+
+    annotatedBtn.disabled = !targets.some(t => t.annotated);
+    annotatedBtn.addEventListener('click', selectAnnotated);
+    confirmBtn.addEventListener('click', onConfirm);
+    cancelBtn.addEventListener('click', onCancel);
+  });
 }
 
 // ── Canvas Events ──
@@ -301,6 +648,13 @@ function setupCanvasEvents(canvas) {
     const now = Date.now();
     const pointer = canvas.getPointer(opt.e);
 
+    // Line of action: tap two actors
+    if (currentTool === 'axis') {
+      if (opt.target && opt.target.objectType === 'actor') handleAxisTap(opt.target);
+      lastPlaceTapTime = 0;
+      return;
+    }
+
     // Double-tap on existing object → open properties
     if (opt.target && now - lastPlaceTapTime < 400) {
       openProperties(opt.target);
@@ -322,8 +676,23 @@ function setupCanvasEvents(canvas) {
       return;
     }
 
+    // Extras: two-tap, corners of the area or ends of the queue
+    if (currentTool === 'crowd' && !opt.target) {
+      handleCrowdTap(pointer.x, pointer.y);
+      lastPlaceTapTime = 0;
+      return;
+    }
+
+    // Calibration and ruler: two-tap, anywhere on the plan
+    if (currentTool === 'calibrate' || currentTool === 'ruler') {
+      if (currentTool === 'calibrate') handleCalibrateTap(pointer.x, pointer.y);
+      else handleRulerTap(pointer.x, pointer.y);
+      lastPlaceTapTime = 0;
+      return;
+    }
+
     // Placement modes: require double-tap
-    if (!opt.target && (currentTool === 'actor' || currentTool === 'camera' || currentTool === 'text')) {
+    if (!opt.target && (currentTool === 'actor' || currentTool === 'camera' || currentTool === 'light' || currentTool === 'mic' || currentTool === 'text' || currentTool === 'prop')) {
       if (now - lastPlaceTapTime < 400 && lastPlaceTapPos) {
         const dx = pointer.x - lastPlaceTapPos.x;
         const dy = pointer.y - lastPlaceTapPos.y;
@@ -335,6 +704,15 @@ function setupCanvasEvents(canvas) {
             case 'camera':
               placeCamera(pointer.x, pointer.y);
               break;
+            case 'light':
+              placeLight(pointer.x, pointer.y);
+              break;
+            case 'mic':
+              placeMic(pointer.x, pointer.y);
+              break;
+            case 'prop':
+              placeProp(pointer.x, pointer.y);
+              break;
             case 'text':
               placeText(pointer.x, pointer.y, { color: textConfig.color });
               setTool('select');
@@ -348,7 +726,7 @@ function setupCanvasEvents(canvas) {
 
       lastPlaceTapTime = now;
       lastPlaceTapPos = { x: pointer.x, y: pointer.y };
-      setStatus('Double-tap to place ' + currentTool);
+      setStatus('Double-tap to place ' + (currentTool === 'prop' && propConfig.symbol ? propConfig.symbol.name.toLowerCase() : currentTool));
       return;
     }
 
@@ -360,15 +738,122 @@ function setupCanvasEvents(canvas) {
   canvas.on('selection:updated', handleSelection);
   canvas.on('selection:cleared', handleSelectionCleared);
 
-  // Save state when freehand drawing completes
+  // Record freehand drawing when the stroke completes
   canvas.on('path:created', (opt) => {
-    if (opt.path) {
-      opt.path.objectType = 'drawing';
+    if (!opt.path) return;
+    opt.path.objectType = 'drawing';
+    recordAdded('Drew', [opt.path]);
+  });
+
+  setupHistoryRecording(canvas);
+}
+
+// ── History Recording (drags and text edits) ──
+function setupHistoryRecording(canvas) {
+  let pendingTransform = null;
+  let pendingTextEdit = null;
+
+  // Fired when a move/rotate/scale starts; object:modified ends it.
+  // In Track movement mode a drag also leaves a trail segment, recorded
+  // in the same step as the move.
+  canvas.on('before:transform', (opt) => {
+    const target = opt.transform && opt.transform.target;
+    if (!target) return;
+    const trail = currentTool === 'track' && isTrackable(target)
+      ? { start: { left: target.left, top: target.top, angle: target.angle || 0 }, parts: [] }
+      : null;
+    pendingTransform = {
+      trail,
+      change: beginChange(() => [...new Set([...getTransformScope(target), ...(trail ? trail.parts : [])])]),
+    };
+  });
+
+  canvas.on('object:modified', async (opt) => {
+    if (!pendingTransform) return;
+    const { trail, change } = pendingTransform;
+    pendingTransform = null;
+
+    const action = opt.transform && opt.transform.action;
+    if (trail && action === 'drag' && shouldAddTrail(opt.target, trail.start)) {
+      trail.parts = await addTrailSegment(opt.target, trail.start);
+      change.commit('Tracked ' + describeObject(opt.target));
+      return;
     }
-    saveState();
+    refreshTrailMarks(getSelectedObjects(opt.target));
+    change.commit(describeTransform(opt.target, action));
+  });
+
+  canvas.on('text:editing:entered', (opt) => {
+    pendingTextEdit = beginChange([opt.target]);
+  });
+
+  canvas.on('text:editing:exited', () => {
+    if (!pendingTextEdit) return;
+    pendingTextEdit.commit('Edited text');
+    pendingTextEdit = null;
   });
 }
 
+// Objects a transform of target can change. Arrow and trail handles
+// reshape their whole arrow / segment, which is rebuilt during the drag,
+// and a move's start handle brings its camera; actors bring the marks of
+// their trail along, cameras their moves.
+function getTransformScope(target) {
+  if (target.arrowId) {
+    const camera = getArrowCamera(target.arrowId);
+    return [...getArrowObjects(target.arrowId), ...(camera ? [camera] : [])];
+  }
+  if (target.objectType === 'trailControlPoint') {
+    return getTrailSegmentObjects(target.trailId, target.trailSegmentIndex);
+  }
+  const selected = getSelectedObjects(target);
+  const marks = selected.filter(o => o.trailId && isTrackable(o)).flatMap(o => getTrailMarks(o.trailId));
+  const moves = selected.filter(o => o.objectType === 'camera').flatMap(getCameraMoveObjects);
+  return [...new Set([...selected, ...marks, ...moves])];
+}
+
+function getSelectedObjects(active) {
+  return active.isType('ActiveSelection') ? active.getObjects() : [active];
+}
+
+function describeTransform(target, action) {
+  if (target.objectType === 'arrowGhost') return 'Changed end pan';
+  if (target.arrowId) return 'Reshaped arrow';
+  if (target.objectType === 'trailControlPoint') return 'Reshaped trail';
+
+  const verb = action === 'rotate' ? 'Rotated' : action && action.startsWith('scale') ? 'Resized' : 'Moved';
+  return `${verb} ${describeObject(target)}`;
+}
+
+// Human name for history labels: the roster name when the icon matches a
+// character ("Moved Marcus"), otherwise type and label ("Placed camera B")
+function describeObject(obj) {
+  if (obj.isType('ActiveSelection')) return `${obj.size()} objects`;
+  switch (obj.objectType) {
+    case 'actor': return findCharacterName('actor', obj.actorLabel, obj.actorColor) || `actor ${obj.actorLabel || ''}`.trim();
+    case 'camera': return findCharacterName('camera', obj.cameraLabel, obj.cameraColor) || `camera ${obj.cameraLabel || ''}`.trim();
+    case 'movementArrow': return 'arrow';
+    case 'arrowGhost': return 'camera move';
+    case 'text': return 'text';
+    case 'drawing': return 'drawing';
+    case 'trailLine':
+    case 'trailControlPoint': return 'trail segment';
+    case 'trailMark': return `mark ${obj.markLabel}`;
+    case 'ruler': return 'ruler';
+    case 'axisLine': return 'line of action';
+    case 'crowd': return `extras (${describeCrowd(obj)})`;
+    case 'prop': return (obj.propName || 'prop').toLowerCase();
+    case 'mic': return describeMic(obj).toLowerCase();
+    case 'light': return `light ${obj.lightLabel || describeLight(obj).split(' · ')[0].toLowerCase()}`.trim();
+    default: return 'object';
+  }
+}
+
+function findCharacterName(type, label, color) {
+  const match = getCharacters().find(c => c.type === type && c.label === label && c.color === color);
+  return match ? match.name : null;
+}
+
 // ── Object Placement ──
 function placeActor(x, y) {
   const canvas = getCanvas();
@@ -378,7 +863,7 @@ function placeActor(x, y) {
   });
   canvas.add(actor);
   canvas.requestRenderAll();
-  saveState();
+  recordAdded('Placed ' + describeObject(actor), [actor]);
   setStatus('Actor placed');
 }
 
@@ -390,45 +875,228 @@ function placeCamera(x, y) {
   });
   canvas.add(camera);
   canvas.requestRenderAll();
-  saveState();
+  recordAdded('Placed ' + describeObject(camera), [camera]);
   setStatus('Camera placed');
+  checkAxisCrossings();
+}
+
+// A hidden rig comes back on when a light is placed, so it can be seen
+function placeLight(x, y) {
+  const canvas = getCanvas();
+  if (areLightsHidden()) {
+    setLightsHidden(false);
+    updateLightsButton();
+  }
+  const light = createLightIcon(x, y, { fixture: lightConfig.fixture });
+  canvas.add(light);
+  canvas.requestRenderAll();
+  recordAdded('Placed ' + describeObject(light), [light]);
+  setStatus(`${describeLight(light).split(' · ')[0]} placed`);
+}
+
+// Like lights, hidden mics come back on when one is placed
+function placeMic(x, y) {
+  const canvas = getCanvas();
+  if (areMicsHidden()) {
+    setMicsHidden(false);
+    updateSoundButton();
+  }
+  const mic = createMicIcon(x, y, { type: micConfig.type });
+  canvas.add(mic);
+  canvas.requestRenderAll();
+  recordAdded('Placed ' + describeObject(mic), [mic]);
+  setStatus(`${describeMic(mic)} placed`);
+  checkBoomPositions();
+}
+
+// Set pieces go to the back, under the blocking
+async function placeProp(x, y) {
+  if (!propConfig.symbol) return;
+  try {
+    const prop = await createProp(propConfig.symbol, x, y);
+    const canvas = getCanvas();
+    canvas.add(prop);
+    canvas.sendObjectToBack(prop);
+    canvas.requestRenderAll();
+    recordAdded('Placed ' + describeObject(prop), [prop]);
+    setStatus(`${propConfig.symbol.name} placed`);
+  } catch (err) {
+    console.error('Prop placement failed:', err);
+    setStatus('Could not place the prop');
+  }
 }
 
 // ── Actor Arrow (two-tap, dotted, actor's color) ──
 function handleActorArrowTap(x, y) {
-  if (!arrowStartPoint) {
-    arrowStartPoint = { x, y };
+  if (!tapStartPoint) {
+    tapStartPoint = { x, y };
     showArrowStartIndicator(x, y);
     setStatus('Actor movement: tap end point');
   } else {
     removeArrowStartIndicator();
-    createMovementArrow(arrowStartPoint.x, arrowStartPoint.y, x, y, {
+    const arrow = createMovementArrow(tapStartPoint.x, tapStartPoint.y, x, y, {
       color: actorConfig.color,
       strokeDashArray: [6, 4],
     });
-    arrowStartPoint = null;
-    saveState();
+    tapStartPoint = null;
+    recordAdded('Drew actor arrow', getArrowObjects(arrow.arrowId));
     setStatus('Actor arrow created — tap to place another');
   }
 }
 
 // ── Camera Arrow (two-tap, solid, camera's color) ──
 function handleCameraArrowTap(x, y) {
-  if (!arrowStartPoint) {
-    arrowStartPoint = { x, y };
+  if (!tapStartPoint) {
+    tapStartPoint = { x, y };
     showArrowStartIndicator(x, y);
     setStatus('Camera movement: tap end point');
   } else {
     removeArrowStartIndicator();
-    createMovementArrow(arrowStartPoint.x, arrowStartPoint.y, x, y, {
-      color: cameraConfig.color,
+    // A move drawn from a camera belongs to it and starts where it stands;
+    // moves off a dolly run on track
+    const camera = findCameraAt(tapStartPoint.x, tapStartPoint.y);
+    const start = camera ? getCameraPosition(camera) : tapStartPoint;
+    const arrow = createMovementArrow(start.x, start.y, x, y, {
+      color: camera ? camera.cameraColor : cameraConfig.color,
+      track: isDollyArrowStart(start.x, start.y),
+      camera,
     });
-    arrowStartPoint = null;
-    saveState();
-    setStatus('Camera arrow created — tap to place another');
+    tapStartPoint = null;
+    recordAdded(camera ? 'Drew move for ' + describeObject(camera) : 'Drew camera arrow', getArrowObjects(arrow.arrowId));
+    setStatus(camera
+      ? 'Camera move created — turn the ghost to set the end framing'
+      : 'Camera arrow created — tap to place another');
+  }
+}
+
+// ── Line of Action (tap two actors) ──
+function handleAxisTap(actor) {
+  if (!axisStartActor || axisStartActor === actor) {
+    axisStartActor = actor;
+    setStatus(`Line of action from ${describeObject(actor)}: tap the second actor`);
+    return;
+  }
+  drawAxis(axisStartActor, actor);
+}
+
+// Two actors already selected when the tool is picked get their line straight away
+function drawAxisFromSelection() {
+  const selected = getCanvas().getActiveObjects();
+  if (selected.length === 2 && selected.every(o => o.objectType === 'actor')) {
+    drawAxis(selected[0], selected[1]);
+  }
+}
+
+function drawAxis(actorA, actorB) {
+  const canvas = getCanvas();
+  canvas.discardActiveObject();
+  const objects = createAxis(actorA, actorB);
+  recordAdded(`Drew line of action ${describeObject(actorA)} – ${describeObject(actorB)}`, objects);
+  setTool('select');
+  setStatus('Line of action drawn — double-tap it to flip the safe side');
+}
+
+// ── Scale Calibration (two-tap, then the real length) ──
+function handleCalibrateTap(x, y) {
+  if (!tapStartPoint) {
+    tapStartPoint = { x, y };
+    showArrowStartIndicator(x, y);
+    setStatus('Calibrate scale: tap the other end');
+    return;
+  }
+
+  removeArrowStartIndicator();
+  const pixels = Math.hypot(x - tapStartPoint.x, y - tapStartPoint.y);
+  tapStartPoint = null;
+  if (pixels < 1) {
+    setStatus('Calibration line too short — tap two points further apart');
+    return;
+  }
+
+  const unit = getDefaultUnit();
+  const answer = prompt(`Real length of that line (e.g. 12' 6", 3.5 m). Plain numbers are in ${getUnitName(unit)}.` +
+    (getScale() ? ' Leave empty to remove the scale.' : ''), '');
+  if (answer === null) {
+    setTool('select');
+    return;
+  }
+
+  if (!answer.trim()) {
+    if (getScale() && confirm('Remove the scale from this page?')) {
+      clearScale();
+      setTool('select');
+      setStatus('Scale removed');
+    }
+    return;
+  }
+
+  const length = parseLength(answer, unit);
+  if (!length) {
+    setStatus('Could not read that length — tap two points to try again');
+    return;
+  }
+  const returnTarget = calibrationReturnTarget;
+  setScale(pixels, length.value, length.unit);
+  setTool('select');
+  setStatus(`Scale set — ${describeScale()}`);
+
+  // Back to the camera panel the calibration was started from
+  if (returnTarget && returnTarget.canvas) {
+    getCanvas().setActiveObject(returnTarget);
+    openProperties(returnTarget);
   }
 }
 
+function pickScaleForCamera(camera) {
+  setTool('calibrate');
+  calibrationReturnTarget = camera;
+}
+
+// ── Ruler (two-tap) ──
+function handleRulerTap(x, y) {
+  if (!tapStartPoint) {
+    tapStartPoint = { x, y };
+    showArrowStartIndicator(x, y);
+    setStatus('Ruler: tap end point');
+    return;
+  }
+
+  removeArrowStartIndicator();
+  const start = tapStartPoint;
+  tapStartPoint = null;
+  if (Math.hypot(x - start.x, y - start.y) < 1) return;
+
+  const ruler = createRuler(start.x, start.y, x, y);
+  const canvas = getCanvas();
+  ruler.set({ selectable: false, evented: false });
+  canvas.add(ruler);
+  canvas.requestRenderAll();
+  recordAdded('Measured distance', [ruler]);
+  setStatus(getScale() ? 'Ruler placed — tap to measure again' : 'Ruler placed — calibrate the scale to see real distances');
+}
+
+// ── Extras (two-tap area or queue) ──
+function handleCrowdTap(x, y) {
+  if (!tapStartPoint) {
+    tapStartPoint = { x, y };
+    showArrowStartIndicator(x, y);
+    setStatus(crowdConfig.formation === 'queue' ? 'Extras: tap the tail of the queue' : 'Extras: tap the opposite corner');
+    return;
+  }
+
+  removeArrowStartIndicator();
+  const start = tapStartPoint;
+  tapStartPoint = null;
+
+  const crowd = createCrowd(start.x, start.y, x, y, crowdConfig);
+  const canvas = getCanvas();
+  canvas.add(crowd);
+  canvas.requestRenderAll();
+  recordAdded('Placed ' + describeObject(crowd), [crowd]);
+  setStatus(`${crowd.crowdData.count} extras placed`);
+  setTool('select');
+}
+
 function showArrowStartIndicator(x, y) {
   removeArrowStartIndicator();
   const canvas = getCanvas();
@@ -453,8 +1121,12 @@ function removeArrowStartIndicator() {
 }
 
 // ── Selection & Properties ──
-function handleSelection() {
-  // Control points are always visible now, no toggling needed
+function handleSelection(opt) {
+  // Tapping a trail line grabs its bend handle
+  const selected = opt && opt.selected && opt.selected[0];
+  if (selected && selected.objectType === 'trailLine') {
+    selectTrailControlPoint(selected);
+  }
 }
 
 function handleSelectionCleared() {
@@ -473,8 +1145,22 @@ function openProperties(obj) {
     renderCameraProperties(obj);
   } else if (obj.objectType === 'movementArrow') {
     renderArrowProperties(obj);
+  } else if (obj.objectType === 'arrowGhost') {
+    renderArrowProperties(getArrowObjects(obj.arrowId).find(o => o.objectType === 'movementArrow'));
   } else if (obj.objectType === 'text') {
     renderTextProperties(obj);
+  } else if (obj.objectType === 'trailMark') {
+    renderMarkProperties(obj);
+  } else if (obj.objectType === 'axisLine') {
+    renderAxisProperties(obj);
+  } else if (obj.objectType === 'crowd') {
+    renderCrowdProperties(obj);
+  } else if (obj.objectType === 'prop') {
+    renderPropProperties(obj);
+  } else if (obj.objectType === 'light') {
+    renderLightProperties(obj);
+  } else if (obj.objectType === 'mic') {
+    renderMicProperties(obj);
   }
 }
 
@@ -489,23 +1175,60 @@ function deleteSelected() {
   const active = canvas.getActiveObject();
   if (!active) return;
 
-  if (active.objectType === 'movementArrow') {
-    removeArrow(active.arrowId);
-  } else {
-    canvas.remove(active);
-  }
+  // Marks are removed with their position, never on their own
+  const targets = getSelectedObjects(active).filter(o => o.objectType !== 'trailMark');
+  if (targets.length === 0) return;
 
+  // Removing a trail segment re-joins and renumbers the rest of its
+  // chain, so the whole chain is recorded
+  const label = 'Deleted ' + describeObject(active);
+  const change = beginChange(() => [...new Set(targets.flatMap(getDeletionScope))]);
   canvas.discardActiveObject();
+  targets.forEach(o => {
+    // Lines of action go with either of their actors, moves with their camera
+    if (o.objectType === 'actor') removeActorAxes(o);
+    if (o.objectType === 'camera') getCameraArrowIds(o).forEach(removeArrow);
+
+    if (o.objectType === 'movementArrow' || o.objectType === 'arrowGhost') {
+      removeArrow(o.arrowId);
+    } else if (o.objectType === 'axisLine') {
+      removeAxis(o.axisId);
+    } else if (o.objectType === 'trailLine' || o.objectType === 'trailControlPoint') {
+      removeTrailSegment(o.trailId, o.trailSegmentIndex);
+    } else if (o.trailId && isTrackable(o)) {
+      // Actors and cameras take their whole trail chain with them
+      removeTrail(o.trailId);
+      canvas.remove(o);
+    } else {
+      canvas.remove(o);
+    }
+  });
+  change.commit(label);
+
   closePropertiesPanel();
   canvas.requestRenderAll();
-  saveState();
   setStatus('Object deleted');
 }
 
+function getDeletionScope(obj) {
+  if (obj.objectType === 'movementArrow' || obj.objectType === 'arrowGhost') return getArrowObjects(obj.arrowId);
+  if (obj.objectType === 'axisLine') return getAxisObjects(obj.axisId);
+  const axes = obj.objectType === 'actor' ? getActorAxisObjects(obj) : [];
+  const moves = obj.objectType === 'camera' ? getCameraMoveObjects(obj) : [];
+  if (obj.trailId) return [...(isTrackable(obj) ? [obj] : []), ...getTrailObjects(obj.trailId), ...axes, ...moves];
+  return [obj, ...axes, ...moves];
+}
+
 // ── History State ──
 function handleHistoryState(canUndoFlag, canRedoFlag) {
   document.getElementById('btn-undo').disabled = !canUndoFlag;
   document.getElementById('btn-redo').disabled = !canRedoFlag;
+  renderHistoryPanel();
+  if (isPlaybackActive()) refreshPlayback();
+  refreshShotList();
+  // Lens and cone edits change what each camera sees
+  checkBoomPositions(false);
+  scheduleAutosave();
 }
 
 // ── Long Press ──
@@ -517,9 +1240,9 @@ function handleLongPress(clientX, clientY) {
   // Long-press on a movement arrow → add a new control point
   if (target.objectType === 'movementArrow') {
     const pointer = canvas.getPointer(new PointerEvent('pointermove', { clientX, clientY }));
-    addControlPointToArrow(target.arrowId, pointer.x, pointer.y);
-    saveState();
-    setStatus('Control point added — drag to shape the curve');
+    if (addControlPointToArrow(target.arrowId, pointer.x, pointer.y)) {
+      setStatus('Control point added — drag to shape the curve');
+    }
     return;
   }
 
@@ -542,7 +1265,8 @@ function showContextMenu(x, y, target) {
     openProperties(target);
   });
 
-  if (target.objectType === 'actor' || target.objectType === 'camera') {
+  // Actors, lights and mics always carry their rotation handle
+  if (target.objectType === 'camera') {
     const rotateBtn = document.createElement('button');
     rotateBtn.textContent = 'Rotate';
     rotateBtn.addEventListener('click', () => {
@@ -608,8 +1332,15 @@ function setupKeyboard() {
     if (e.key === 'm' || e.key === 'M') setTool('actor-arrow');
     if (e.key === 'c' || e.key === 'C') setTool('camera');
     if (e.key === 'b' || e.key === 'B') setTool('camera-arrow');
+    if (e.key === 'l' || e.key === 'L') setTool('light');
     if (e.key === 't' || e.key === 'T') setTool('text');
     if (e.key === 'd' || e.key === 'D') setTool('draw');
+    if (e.key === 'p' || e.key === 'P') setTool('play');
+    if (e.key === 'r' || e.key === 'R') setTool('ruler');
+    if (e.key === ' ' && isPlaybackActive()) {
+      e.preventDefault();
+      togglePlayback();
+    }
     if (e.key === 'Escape') {
       setTool('select');
       removeContextMenu();
@@ -618,31 +1349,155 @@ function setupKeyboard() {
 }
 
 // ── New Project ──
-function startNewProject() {
+async function startNewProject() {
+  // Let the current project land in the library before leaving it
+  await flushAutosave();
+  disableAutosave();
+
+  resetDocument();
+
+  // Reset tool
+  setTool('select');
+  closePropertiesPanel();
+
+  enableAutosave();
+  setStatus('New project — create characters in the sidebar, then place them');
+}
+
+// A blank, untitled document: no objects, plan, setups, scales or history.
+// Autosave leaves it out of the library until something is added.
+function resetDocument() {
   const canvas = getCanvas();
 
   // Remove all objects
   canvas.getObjects().slice().forEach(o => canvas.remove(o));
 
-  // Remove background image
-  canvas.backgroundImage = null;
+  // Remove background image and its source
+  resetPdfLoader();
+  resetLayers();
+  resetScales();
 
   canvas.discardActiveObject();
   canvas.requestRenderAll();
 
+  setProjectInfo(createProjectInfo());
+  updateProjectName();
+
   // Reset history
   clearHistory();
 
-  // Reset page indicators
-  document.getElementById('page-indicator').classList.add('hidden');
-  document.getElementById('btn-prev-page').classList.add('hidden');
-  document.getElementById('btn-next-page').classList.add('hidden');
+  resetPageIndicators();
+}
 
-  // Reset tool
+// ── Open Project ──
+async function openProject(file) {
+  await flushAutosave();
+  disableAutosave();
+
+  setStatus('Opening project…');
+  getCanvas().discardActiveObject();
+  closePropertiesPanel();
+  resetPageIndicators();
+
+  const opened = await openProjectFile(file, handlePageChange);
+  if (!opened) {
+    // Whatever was half-loaded must not reach the library, as the previous
+    // project or a new one
+    resetDocument();
+    setTool('select');
+    enableAutosave();
+    setStatus('Could not open project');
+    return;
+  }
+
+  updateProjectName();
+  clearHistory();
   setTool('select');
+  enableAutosave();
+  scheduleAutosave();
+  setStatus(`Opened "${file.name}"`);
+}
+
+async function openLibraryProject(record) {
+  if (!record) return;
+  await flushAutosave();
+  disableAutosave();
+
+  setStatus('Opening project…');
+  getCanvas().discardActiveObject();
   closePropertiesPanel();
+  resetPageIndicators();
+
+  try {
+    const complete = await openProjectRecord(record, handlePageChange);
+    setStatus(complete
+      ? `Opened "${record.name}"`
+      : `Opened "${record.name}" — reload the floor plan, it was too large to autosave`);
+  } catch (err) {
+    console.error('Project open error:', err);
+    // Same as a failed file open: start clean rather than keep a half-load
+    resetDocument();
+    setTool('select');
+    enableAutosave();
+    setStatus('Could not open project');
+    return;
+  }
 
-  setStatus('New project — create characters in the sidebar, then place them');
+  updateProjectName();
+  clearHistory();
+  setTool('select');
+  enableAutosave();
+}
+
+function updateProjectName() {
+  document.getElementById('project-name').textContent = getProjectInfo().name;
+}
+
+// ── Session Recovery ──
+async function offerSessionRestore() {
+  const session = await getRecoverableSession();
+  if (!session) {
+    enableAutosave();
+    return;
+  }
+
+  const modal = document.getElementById('restore-modal');
+  const thumbnail = document.getElementById('restore-thumbnail');
+  thumbnail.src = session.thumbnail || '';
+  thumbnail.classList.toggle('hidden', !session.thumbnail);
+  document.getElementById('restore-time').textContent =
+    'Last saved ' + new Date(session.savedAt).toLocaleString();
+  modal.classList.remove('hidden');
+
+  document.getElementById('restore-session').addEventListener('click', async () => {
+    modal.classList.add('hidden');
+    setStatus('Restoring last session…');
+    try {
+      const complete = await restoreSession(session, handlePageChange);
+      updateProjectName();
+      clearHistory();
+      setTool('select');
+      setStatus(complete
+        ? 'Last session restored'
+        : 'Last session restored — reload the floor plan, it was too large to autosave');
+    } catch (err) {
+      console.error('Session restore error:', err);
+      setStatus('Could not restore last session');
+    }
+    enableAutosave();
+  }, { once: true });
+
+  document.getElementById('restore-discard').addEventListener('click', async () => {
+    modal.classList.add('hidden');
+    await discardSession();
+    enableAutosave();
+  }, { once: true });
+}
+
+function resetPageIndicators() {
+  document.getElementById('page-indicator').classList.add('hidden');
+  document.getElementById('btn-prev-page').classList.add('hidden');
+  document.getElementById('btn-next-page').classList.add('hidden');
 }
 
 // ── Sidebar Resize ──
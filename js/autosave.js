@@ -0,0 +1,226 @@
+/**
+ * Autosave — Continuous save of the open project into the local library
+ * Triggered from history changes; the last open project can be restored on launch.
+ *
+ * Storage policy: the background is stored once per loaded plan and
+ * referenced by id; plans over MAX_BACKGROUND_BYTES (or that would push the
+ * origin close to its quota) are skipped and only the objects are kept.
+ * Backgrounds no longer referenced by any project are pruned after each save.
+ */
+
+import { serializeProject, loadProject, getProjectInfo, setProjectInfo } from './project-manager.js';
+import { getTotalPages } from './pdf-loader.js';
+import { createThumbnail } from './export-manager.js';
+import {
+  saveSession, loadSession, clearSession,
+  saveProjectRecord, loadProjectRecord, listProjectRecords,
+  saveBackground, loadBackground, pruneBackgrounds,
+} from './project-store.js';
+
+const AUTOSAVE_DELAY_MS = 1500;
+const MAX_BACKGROUND_BYTES = 40 * 1024 * 1024;
+const QUOTA_HEADROOM = 0.8; // Never fill more than 80% of the origin quota
+
+let enabled = false;
+let autosaveTimer = null;
+let writeQueue = Promise.resolve();
+let storedBackground = { data: null, id: null }; // Last background written to the store
+let persistedProjectId = null; // Open project already has a library record
+let onStatus = null;
+let warnedSkippedBackground = false;
+
+// ── Init ──
+
+export function initAutosave(statusCallback) {
+  onStatus = statusCallback;
+
+  // Ask Safari not to evict our storage under pressure
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+
+  // Write immediately when the app is backgrounded or closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushAutosave();
+  });
+  window.addEventListener('pagehide', flushAutosave);
+}
+
+// Autosave is off while a project is being swapped in (and at launch until
+// the user has decided whether to restore), so a half-loaded canvas never
+// overwrites a library record
+export function enableAutosave() {
+  enabled = true;
+}
+
+export function disableAutosave() {
+  enabled = false;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+}
+
+export function scheduleAutosave() {
+  if (!enabled) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(queueWrite, AUTOSAVE_DELAY_MS);
+}
+
+// Resolves once any pending or running write has landed
+export function flushAutosave() {
+  if (enabled && autosaveTimer) {
+    clearTimeout(autosaveTimer);
+    queueWrite();
+  }
+  return writeQueue;
+}
+
+function queueWrite() {
+  autosaveTimer = null;
+  enqueue(writeAutosave);
+}
+
+function enqueue(task) {
+  writeQueue = writeQueue.then(task).catch(err => {
+    console.warn('Autosave failed:', err);
+  });
+  return writeQueue;
+}
+
+async function writeAutosave() {
+  const info = getProjectInfo();
+  const project = serializeProject();
+
+  // Don't fill the library with blank projects
+  const isEmpty = Object.keys(project.pages).length === 0 && !project.background;
+  if (isEmpty && persistedProjectId !== info.id) return;
+
+  const background = await persistBackground(project.background);
+
+  await saveProjectRecord({
+    id: info.id,
+    name: info.name,
+    createdAt: info.createdAt,
+    modifiedAt: project.savedAt,
+    pageCount: project.background ? getTotalPages() : 0,
+    thumbnail: createThumbnail(),
+    project: { ...project, background },
+  });
+  persistedProjectId = info.id;
+
+  await saveSession({ projectId: info.id, savedAt: project.savedAt });
+  await pruneUnusedBackgrounds();
+}
+
+// ── Background Storage ──
+
+async function persistBackground(source) {
+  if (!source) return null;
+
+  const ref = { id: null, type: source.type, page: source.page, angle: source.angle };
+
+  if (source.data === storedBackground.data) {
+    return { ...ref, id: storedBackground.id };
+  }
+
+  const size = source.type === 'pdf' ? source.data.byteLength : source.data.length;
+  if (size > MAX_BACKGROUND_BYTES || !(await hasRoomFor(size))) {
+    warnSkippedBackground();
+    return { ...ref, skipped: true };
+  }
+
+  const id = 'bg_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+  try {
+    await saveBackground({ id, type: source.type, data: source.data });
+  } catch (err) {
+    if (err && err.name === 'QuotaExceededError') {
+      warnSkippedBackground();
+      return { ...ref, skipped: true };
+    }
+    throw err;
+  }
+
+  storedBackground = { data: source.data, id };
+  return { ...ref, id };
+}
+
+async function hasRoomFor(bytes) {
+  if (!navigator.storage || !navigator.storage.estimate) return true;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    if (!quota) return true;
+    return usage + bytes < quota * QUOTA_HEADROOM;
+  } catch {
+    return true;
+  }
+}
+
+function warnSkippedBackground() {
+  if (warnedSkippedBackground) return;
+  warnedSkippedBackground = true;
+  if (onStatus) onStatus('Plan too large for autosave — objects are saved, use Save to keep the plan');
+}
+
+async function pruneUnusedBackgrounds() {
+  const records = await listProjectRecords();
+  const keepIds = records
+    .map(r => r.project && r.project.background && r.project.background.id)
+    .filter(Boolean);
+  if (storedBackground.id) keepIds.push(storedBackground.id);
+  await pruneBackgrounds(keepIds);
+}
+
+// Queued behind any in-flight autosave so a just-written plan is never pruned
+export function cleanupStorage() {
+  return enqueue(pruneUnusedBackgrounds);
+}
+
+// ── Opening Library Projects ──
+
+// Returns false when the record's plan could not be kept by autosave
+export async function openProjectRecord(record, onPageChange) {
+  const project = { ...record.project };
+  const ref = project.background;
+  project.background = null;
+
+  if (ref && ref.id) {
+    const stored = await loadBackground(ref.id);
+    if (stored) {
+      project.background = { type: ref.type, data: stored.data, page: ref.page, angle: ref.angle };
+      storedBackground = { data: stored.data, id: ref.id };
+    }
+  }
+
+  await loadProject(project, onPageChange);
+  setProjectInfo(record);
+  persistedProjectId = record.id;
+
+  return !(ref && !project.background);
+}
+
+// ── Recovery ──
+
+export async function getRecoverableSession() {
+  try {
+    const session = await loadSession();
+    if (!session || !session.projectId) return null;
+    const record = await loadProjectRecord(session.projectId);
+    if (!record || !record.project) return null;
+    return { savedAt: record.modifiedAt, thumbnail: record.thumbnail, record };
+  } catch (err) {
+    console.warn('Autosave: could not read last session', err);
+    return null;
+  }
+}
+
+export function restoreSession(session, onPageChange) {
+  return openProjectRecord(session.record, onPageChange);
+}
+
+// The project itself stays in the library
+export async function discardSession() {
+  try {
+    await clearSession();
+  } catch (err) {
+    console.warn('Autosave: could not clear last session', err);
+  }
+}
@@ -0,0 +1,351 @@
+/**
+ * Axis Manager — 180° lines (axes of action) between pairs of actors
+ *
+ * An axis is two canvas objects sharing an axisId: the line through both
+ * actors, extended across the plan, and a tinted zone over its safe side.
+ * The line carries axisData { actorIds, side, hideOnExport }; actors are
+ * referenced by objectId, and the geometry is always derived from where
+ * they stand, so it follows them while dragged and after any restore.
+ *
+ * Cameras on the far side of any axis get a warning badge, painted onto
+ * the live canvas only, and moving one across reports it through the
+ * warning callback.
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { beginChange } from './history-manager.js';
+import { getCameraPosition } from './camera-icon.js';
+import { escapeHtml } from './html-utils.js';
+
+const AXIS_COLOR = '#e67e22';
+const SAFE_SIDE_FILL = 'rgba(46, 204, 113, 0.12)';
+const WARNING_COLOR = '#e74c3c';
+const BADGE_RADIUS = 8;
+const UNBOUNDED_EXTENT = 4000; // Half-size of the area covered without a plan
+
+// Interaction flags — not serialised by Fabric, so re-applied on restore
+const LINE_INTERACTION = {
+  objectCaching: false,
+  selectable: true,
+  evented: true,
+  hasControls: false,
+  hasBorders: true,
+  lockMovementX: true,
+  lockMovementY: true,
+  lockRotation: true,
+  lockScalingX: true,
+  lockScalingY: true,
+  perPixelTargetFind: true,
+  padding: 8,
+};
+
+const ZONE_INTERACTION = {
+  objectCaching: false,
+  selectable: false,
+  evented: false,
+};
+
+let camerasAcross = new Set();
+let onWarning = null;
+
+// ── Init ──
+
+export function initAxisManager(warningCallback) {
+  onWarning = warningCallback;
+  const canvas = getCanvas();
+
+  canvas.on('object:moving', (e) => {
+    if (movesActors(e.target)) syncAxes();
+  });
+
+  canvas.on('object:modified', () => checkAxisCrossings());
+
+  canvas.on('after:render', ({ ctx }) => {
+    // Only the on-screen canvas; exports render to their own contexts
+    if (ctx === canvas.getContext()) drawWarnings(ctx);
+  });
+}
+
+function movesActors(target) {
+  if (!target) return false;
+  if (target.objectType === 'actor') return true;
+  return target.type === 'activeselection' && target.getObjects().some(o => o.objectType === 'actor');
+}
+
+// ── Create / Remove ──
+
+// Returns [zone, line], already on the canvas. The safe side starts on
+// the side most cameras are on.
+export function createAxis(actorA, actorB) {
+  const canvas = getCanvas();
+  const axisId = 'axis_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+  const data = { actorIds: [actorA.objectId, actorB.objectId], side: 1, hideOnExport: false };
+
+  const votes = getCameras().reduce((sum, camera) => sum + sideOf(actorA, actorB, getCameraPosition(camera)), 0);
+  if (votes < 0) data.side = -1;
+
+  const zone = new fabric.Polygon([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }], {
+    fill: SAFE_SIDE_FILL,
+    stroke: null,
+    ...ZONE_INTERACTION,
+    objectType: 'axisZone',
+    axisId,
+  });
+  const line = new fabric.Line([0, 0, 1, 1], {
+    stroke: AXIS_COLOR,
+    strokeWidth: 2,
+    strokeDashArray: [10, 6],
+    ...LINE_INTERACTION,
+    objectType: 'axisLine',
+    axisId,
+    axisData: data,
+  });
+
+  canvas.add(zone, line);
+  // Under everything else, so the tint never covers icons
+  canvas.sendObjectToBack(line);
+  canvas.sendObjectToBack(zone);
+  syncAxis(line);
+  checkAxisCrossings();
+  canvas.requestRenderAll();
+  return [zone, line];
+}
+
+export function getAxisObjects(axisId) {
+  return getCanvas().getObjects().filter(o => o.axisId === axisId);
+}
+
+// Axis parts of every axis through this actor
+export function getActorAxisObjects(actor) {
+  return getAxisLines()
+    .filter(line => line.axisData.actorIds.includes(actor.objectId))
+    .flatMap(line => getAxisObjects(line.axisId));
+}
+
+export function removeAxis(axisId) {
+  const canvas = getCanvas();
+  getAxisObjects(axisId).forEach(o => canvas.remove(o));
+  checkAxisCrossings(false);
+}
+
+export function removeActorAxes(actor) {
+  const axisIds = new Set(getActorAxisObjects(actor).map(o => o.axisId));
+  axisIds.forEach(removeAxis);
+}
+
+// ── Geometry ──
+
+function getAxisLines() {
+  return getCanvas().getObjects().filter(o => o.objectType === 'axisLine');
+}
+
+function getCameras() {
+  return getCanvas().getObjects().filter(o => o.objectType === 'camera');
+}
+
+function getAxisActors(line) {
+  const actors = getCanvas().getObjects().filter(o => o.objectType === 'actor');
+  return line.axisData.actorIds.map(id => actors.find(a => a.objectId === id));
+}
+
+// Positive on one side of the line a→b, negative on the other, 0 on it
+function cross(a, b, point) {
+  return (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+}
+
+// +1 or -1 for the side of the axis between two actors, 0 on the line
+function sideOf(actorA, actorB, point) {
+  return Math.sign(cross(actorA.getCenterPoint(), actorB.getCenterPoint(), point));
+}
+
+// The plan's rectangle, or a wide area around the axis when there is none
+function getBounds(center) {
+  const bg = getCanvas().backgroundImage;
+  if (bg) return fabric.util.makeBoundingBoxFromPoints(bg.getCoords());
+  return {
+    left: center.x - UNBOUNDED_EXTENT,
+    top: center.y - UNBOUNDED_EXTENT,
+    width: UNBOUNDED_EXTENT * 2,
+    height: UNBOUNDED_EXTENT * 2,
+  };
+}
+
+export function syncAxes() {
+  getAxisLines().forEach(syncAxis);
+  getCanvas().requestRenderAll();
+}
+
+// Re-derive one axis from its actors. Axes whose actor is missing are hidden.
+function syncAxis(line) {
+  const zone = getAxisObjects(line.axisId).find(o => o.objectType === 'axisZone');
+  const [actorA, actorB] = getAxisActors(line);
+  const a = actorA && actorA.getCenterPoint();
+  const b = actorB && actorB.getCenterPoint();
+  const valid = !!a && !!b && a.distanceFrom(b) > 1;
+
+  line.set({ visible: valid });
+  if (zone) zone.set({ visible: valid });
+  if (!valid) return;
+
+  // Corners of the bounds, in order, and where the axis crosses its edges
+  const bounds = getBounds(a.midPointFrom(b));
+  const corners = [
+    { x: bounds.left, y: bounds.top },
+    { x: bounds.left + bounds.width, y: bounds.top },
+    { x: bounds.left + bounds.width, y: bounds.top + bounds.height },
+    { x: bounds.left, y: bounds.top + bounds.height },
+  ];
+
+  // The safe zone is the bounds clipped to the safe half-plane
+  const crossings = [];
+  const safe = [];
+  corners.forEach((corner, i) => {
+    const next = corners[(i + 1) % corners.length];
+    const here = cross(a, b, corner);
+    const there = cross(a, b, next);
+    if (Math.sign(here) === line.axisData.side || here === 0) safe.push(corner);
+    if (here * there < 0) {
+      const t = here / (here - there);
+      const point = { x: corner.x + (next.x - corner.x) * t, y: corner.y + (next.y - corner.y) * t };
+      crossings.push(point);
+      safe.push(point);
+    }
+  });
+
+  // The axis runs outside the plan — fall back to the span between the actors
+  const [start, end] = crossings.length === 2 ? crossings : [a, b];
+  reshape(line, new fabric.Line([start.x, start.y, end.x, end.y]), ['x1', 'y1', 'x2', 'y2']);
+  line.setCoords();
+
+  if (zone) {
+    const points = safe.length >= 3 ? safe : [a, b, a];
+    reshape(zone, new fabric.Polygon(points), ['points', 'pathOffset']);
+    zone.setCoords();
+  }
+}
+
+// Take over the geometry of a freshly built shape, keeping the object
+// (and its objectId and selection) in place
+function reshape(target, fresh, keys) {
+  const props = { left: fresh.left, top: fresh.top, width: fresh.width, height: fresh.height };
+  keys.forEach(key => {
+    props[key] = fresh[key];
+  });
+  target.set(props);
+}
+
+// ── Crossing Warnings ──
+
+// Cameras on the far side of one axis
+function getCamerasAcross(line) {
+  const [actorA, actorB] = getAxisActors(line);
+  if (!line.visible || !actorA || !actorB) return [];
+  return getCameras().filter(camera => sideOf(actorA, actorB, getCameraPosition(camera)) === -line.axisData.side);
+}
+
+// Cameras on the far side of any axis
+export function getCamerasAcrossLine() {
+  return new Set(getAxisLines().flatMap(getCamerasAcross));
+}
+
+// Reports cameras that have just ended up across a line, e.g. after a
+// drag or when a camera is placed
+export function checkAxisCrossings(report = true) {
+  const across = getCamerasAcrossLine();
+  const crossed = [...across].filter(camera => !camerasAcross.has(camera));
+  camerasAcross = across;
+
+  if (report && crossed.length > 0 && onWarning) {
+    const names = crossed.map(c => c.cameraLabel || 'A camera').join(', ');
+    onWarning(`${names} ${crossed.length === 1 ? 'is' : 'are'} across the line of action`);
+  }
+}
+
+function drawWarnings(ctx) {
+  if (camerasAcross.size === 0) return;
+  const canvas = getCanvas();
+  const zoom = canvas.getZoom();
+
+  ctx.save();
+  ctx.transform(...canvas.viewportTransform);
+  camerasAcross.forEach(camera => {
+    if (!camera.canvas || !camera.visible) return;
+    const { x, y } = camera.getCenterPoint();
+    const radius = BADGE_RADIUS / zoom;
+    const badgeX = x + camera.width / 2;
+    const badgeY = y - camera.height / 2;
+
+    ctx.beginPath();
+    ctx.arc(badgeX, badgeY, radius, 0, Math.PI * 2);
+    ctx.fillStyle = WARNING_COLOR;
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${12 / zoom}px -apple-system, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('!', badgeX, badgeY + 0.5 / zoom);
+  });
+  ctx.restore();
+}
+
+// ── Restore / Export ──
+
+export function restoreAxes() {
+  getCanvas().getObjects().forEach(o => {
+    if (o.objectType === 'axisLine') o.set(LINE_INTERACTION);
+    else if (o.objectType === 'axisZone') o.set(ZONE_INTERACTION);
+  });
+  syncAxes();
+  checkAxisCrossings(false);
+}
+
+// Hides the axes marked "hide on export" while an export renders
+export function setAxesExportHidden(hidden) {
+  getAxisLines().forEach(line => {
+    if (!line.axisData.hideOnExport) return;
+    getAxisObjects(line.axisId).forEach(o => o.set({ visible: !hidden }));
+  });
+  if (!hidden) syncAxes();
+}
+
+// ── Properties Panel ──
+
+export function renderAxisProperties(line) {
+  const container = document.getElementById('panel-content');
+  const across = getCamerasAcross(line);
+
+  container.innerHTML = `
+    <div class="prop-group">
+      <label class="prop-label">Safe side</label>
+      <button class="roster-btn" id="axis-flip">Flip to the other side</button>
+    </div>
+    <div class="prop-group">
+      <label class="prop-check">
+        <input type="checkbox" id="axis-hide-export" ${line.axisData.hideOnExport ? 'checked' : ''}>
+        Hide on export
+      </label>
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Cameras across the line</label>
+      ${across.length > 0
+        ? `<div class="prop-text">${across.map(c => escapeHtml(c.cameraLabel || 'Unlabelled camera')).join(', ')}</div>`
+        : '<div class="prop-hint">None — every camera is on the safe side</div>'}
+    </div>
+  `;
+
+  document.getElementById('axis-flip').addEventListener('click', () => {
+    const change = beginChange(() => getAxisObjects(line.axisId));
+    line.axisData = { ...line.axisData, side: -line.axisData.side };
+    syncAxis(line);
+    checkAxisCrossings();
+    change.commit('Flipped line of action');
+    getCanvas().requestRenderAll();
+    renderAxisProperties(line);
+  });
+
+  document.getElementById('axis-hide-export').addEventListener('change', (e) => {
+    const change = beginChange(() => getAxisObjects(line.axisId));
+    line.axisData = { ...line.axisData, hideOnExport: e.target.checked };
+    change.commit(e.target.checked ? 'Hid line of action on export' : 'Showed line of action on export');
+  });
+}
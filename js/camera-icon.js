@@ -1,13 +1,60 @@
 /**
  * Camera Icon — Triangle representing camera field of view
  * Wide base = front (filming direction), apex = back (camera position)
- * Group layout: [0]=triangle, [1]=label
+ * Group layout: [0]=triangle, [1]=label, [2]=tele cone, [3]=lens caption,
+ * [4]=rig glyph
+ *
+ * The FOV is either set directly or derived from a lens: sensor width and
+ * focal length (cameraLens). A zoom lens draws its wide end as the main
+ * triangle and its tele end as a dashed cone nested inside.
+ *
+ * With a plan scale, the properties panel lists the actors inside the FOV
+ * with their distance, shot size and framed width, kept live while
+ * anything is dragged.
+ *
+ * A camera can ride a rig (cameraRig), drawn as a glyph behind the apex:
+ * a dolly lays track along its camera arrows, a crane shows its swing
+ * arc, a drone carries its altitude. No rig means sticks.
  */
 
 import { getCanvas } from './canvas-manager.js';
+import { beginChange, trackInput } from './history-manager.js';
+import { getScale, setScale, formatDistance, toMetres, describeScale } from './scale-manager.js';
+import { getArrowObjects, setArrowTrack, ARROW_ATTACH_DISTANCE } from './movement-arrow.js';
+import { getCrowdMemberPoints } from './crowd-icon.js';
+import { escapeHtml, escapeAttr } from './html-utils.js';
 
 const DEFAULT_FOV = 45;
 const DEFAULT_CONE_LENGTH = 30;
+const DEFAULT_FOCAL = 35;
+const FRAME_ASPECT = 16 / 9;
+const DEFAULT_CRANE_RADIUS = 80;  // Plan px
+const CRANE_SWING = 70;           // Degrees of arc drawn either side of the lens axis, in total
+
+const CAMERA_RIGS = {
+  dolly: 'Dolly',
+  crane: 'Crane',
+  steadicam: 'Steadicam',
+  handheld: 'Handheld',
+  drone: 'Drone',
+};
+
+// Shot size by the frame height at the subject, in metres
+const SHOT_SIZES = [
+  { name: 'ECU', maxHeight: 0.15 },
+  { name: 'CU', maxHeight: 0.35 },
+  { name: 'MCU', maxHeight: 0.6 },
+  { name: 'MS', maxHeight: 1.1 },
+  { name: 'WS', maxHeight: Infinity },
+];
+
+// Horizontal sensor widths in mm
+const SENSOR_FORMATS = {
+  s35: { name: 'Super 35', width: 24.89 },
+  ff: { name: 'Full frame', width: 36 },
+  minilf: { name: 'ALEXA Mini LF', width: 36.7 },
+  custom: { name: 'Custom', width: null },
+};
 const PRESET_COLORS = [
   '#e74c3c', '#3498db', '#2ecc71', '#f1c40f',
   '#e67e22', '#9b59b6', '#1abc9c', '#e91e63',
@@ -15,6 +62,25 @@ const PRESET_COLORS = [
   '#8b4513', '#d4b896',
 ];
 
+// Camera whose subjects in frame are showing, kept current while objects are dragged
+let subjectsCamera = null;
+let subjectsTracking = false;
+let onPickScale = null;
+
+// Interaction flags — not serialised by Fabric, so re-applied on restore
+const CAMERA_INTERACTION = {
+  hasControls: true,
+  hasBorders: true,
+  lockScalingX: true,
+  lockScalingY: true,
+};
+
+const CAMERA_CONTROLS = {
+  tl: false, tr: false, bl: false, br: false,
+  ml: false, mr: false, mt: false, mb: false,
+  mtr: true,
+};
+
 function isLightColor(hex) {
   const r = parseInt(hex.slice(1, 3), 16);
   const g = parseInt(hex.slice(3, 5), 16);
@@ -22,6 +88,11 @@ function isLightColor(hex) {
   return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.8;
 }
 
+// pickScaleCallback: starts picking the plan scale from two points
+export function initCameraIcon(pickScaleCallback) {
+  onPickScale = pickScaleCallback;
+}
+
 export function createCameraIcon(x, y, options = {}) {
   const color = options.color || '#3498db';
   const fov = options.fov || DEFAULT_FOV;
@@ -42,31 +113,44 @@ export function createCameraIcon(x, y, options = {}) {
     visible: label.length > 0,
   });
 
-  const group = new fabric.Group([triangle, labelText], {
+  const group = new fabric.Group([
+    triangle,
+    labelText,
+    buildTeleCone(null, coneLength, color),
+    buildLensCaption(null, coneLength, color),
+    buildRigGlyph(null, coneLength, color),
+  ], {
     left: x,
     top: y,
     originX: 'center',
     originY: 'center',
-    hasControls: true,
-    hasBorders: true,
-    lockScalingX: true,
-    lockScalingY: true,
+    ...CAMERA_INTERACTION,
     objectType: 'camera',
     cameraColor: color,
     cameraFov: fov,
     cameraConeLength: coneLength,
     cameraLabel: label,
+    cameraRange: null,
+    cameraRig: null,
   });
 
-  group.setControlsVisibility({
-    tl: false, tr: false, bl: false, br: false,
-    ml: false, mr: false, mt: false, mb: false,
-    mtr: true,
-  });
+  group.setControlsVisibility(CAMERA_CONTROLS);
 
   return group;
 }
 
+export function restoreCameraIcon(camera) {
+  if (!camera || camera.objectType !== 'camera') return;
+  camera.set(CAMERA_INTERACTION);
+  camera.setControlsVisibility(CAMERA_CONTROLS);
+
+  // Cameras saved before lenses or rigs are missing their later parts
+  if (camera.getObjects().length < 5) {
+    if (camera.cameraRig === undefined) camera.cameraRig = null;
+    rebuildParts(camera);
+  }
+}
+
 function buildTriangle(fov, length, color) {
   const halfAngle = (fov / 2) * (Math.PI / 180);
   const halfWidth = Math.tan(halfAngle) * length;
@@ -88,6 +172,139 @@ function buildTriangle(fov, length, color) {
   return triangle;
 }
 
+// Tele end of a zoom, dashed inside the wide-end triangle
+function buildTeleCone(lens, length, color) {
+  const fov = lens && lens.zoom ? getLensFov(lens, lens.tele) : 0;
+  const halfWidth = Math.tan((fov / 2) * (Math.PI / 180)) * length;
+  return new fabric.Polygon([
+    { x: 0, y: length / 2 },
+    { x: -halfWidth, y: -length / 2 },
+    { x: halfWidth, y: -length / 2 },
+  ], {
+    fill: null,
+    stroke: isLightColor(color) ? '#333333' : color,
+    strokeWidth: 1,
+    strokeDashArray: [3, 2],
+    originX: 'center',
+    originY: 'center',
+    visible: fov > 0,
+  });
+}
+
+// Focal length just inside the wide end, so it shows in every export
+function buildLensCaption(lens, length, color) {
+  return new fabric.FabricText(getLensCaption(lens), {
+    fontSize: 8,
+    fontFamily: '-apple-system, sans-serif',
+    fill: isLightColor(color) ? '#333' : color,
+    originX: 'center',
+    originY: 'top',
+    left: 0,
+    top: -length / 2 + 2,
+    visible: !!lens,
+  });
+}
+
+// Drawn behind the apex, where the camera sits; an empty caption for sticks
+function buildRigGlyph(rig, length, color) {
+  const stroke = isLightColor(color) ? '#333333' : color;
+  const line = { stroke, strokeWidth: 1.5, fill: null, strokeLineCap: 'round' };
+  const body = { ...line, fill: hexToRgba(color, 0.25), originX: 'center', originY: 'center' };
+  const back = length / 2;
+  let shapes = [];
+  let captionTop = back;
+
+  switch (rig && rig.type) {
+    case 'dolly':
+      shapes = [
+        new fabric.Rect({ ...body, left: 0, top: back + 8, width: 14, height: 10 }),
+        ...[[-7, back + 3], [7, back + 3], [-7, back + 13], [7, back + 13]].map(([x, y]) =>
+          new fabric.Circle({ left: x, top: y, radius: 2, fill: stroke, originX: 'center', originY: 'center' })),
+      ];
+      captionTop = back + 17;
+      break;
+    case 'crane': {
+      // Arm from the base back to the camera, and the arc it can swing through
+      const radius = rig.radius || DEFAULT_CRANE_RADIUS;
+      const pivot = back + radius;
+      const sweep = fabric.util.degreesToRadians(CRANE_SWING / 2);
+      const x = Math.sin(sweep) * radius;
+      const y = pivot - Math.cos(sweep) * radius;
+      shapes = [
+        new fabric.Path(`M ${-x} ${y} A ${radius} ${radius} 0 0 1 ${x} ${y}`, { ...line, strokeDashArray: [4, 3] }),
+        new fabric.Line([0, back, 0, pivot], line),
+        new fabric.Rect({ ...body, left: 0, top: pivot, width: 10, height: 10 }),
+      ];
+      captionTop = pivot + 7;
+      break;
+    }
+    case 'steadicam':
+      // Gimbal ring on a post, with the sled at its foot
+      shapes = [
+        new fabric.Circle({ ...body, left: 0, top: back + 6, radius: 4 }),
+        new fabric.Line([0, back + 10, 0, back + 18], line),
+        new fabric.Line([-5, back + 18, 5, back + 18], line),
+      ];
+      captionTop = back + 21;
+      break;
+    case 'handheld':
+      shapes = [
+        new fabric.Polyline([
+          { x: -8, y: back + 5 }, { x: -4, y: back + 10 }, { x: 0, y: back + 5 },
+          { x: 4, y: back + 10 }, { x: 8, y: back + 5 },
+        ], line),
+      ];
+      captionTop = back + 13;
+      break;
+    case 'drone': {
+      const center = back + 12;
+      const arm = 7;
+      shapes = [
+        new fabric.Line([-arm, center - arm, arm, center + arm], line),
+        new fabric.Line([arm, center - arm, -arm, center + arm], line),
+        ...[[-arm, -arm], [arm, -arm], [-arm, arm], [arm, arm]].map(([x, y]) =>
+          new fabric.Circle({ ...body, strokeWidth: 1, left: x, top: center + y, radius: 3.5 })),
+      ];
+      captionTop = center + arm + 5;
+      break;
+    }
+  }
+
+  const caption = new fabric.FabricText(getRigCaption(rig), {
+    fontSize: 7,
+    fontWeight: 'bold',
+    fontFamily: '-apple-system, sans-serif',
+    fill: isLightColor(color) ? '#333' : color,
+    originX: 'center',
+    originY: 'top',
+    left: 0,
+    top: captionTop,
+  });
+
+  return new fabric.Group([...shapes, caption], {
+    originX: 'center',
+    originY: 'center',
+    visible: !!rig,
+  });
+}
+
+// "Sticks", "Dolly", "Crane, 12' swing", "Drone at 40 ft"
+export function describeRig(rig) {
+  if (!rig) return 'Sticks';
+  const name = CAMERA_RIGS[rig.type];
+  if (rig.type === 'crane') {
+    const radius = formatDistance(rig.radius);
+    return radius ? `${name}, ${radius} swing` : name;
+  }
+  return rig.type === 'drone' && rig.altitude ? `${name} at ${rig.altitude}` : name;
+}
+
+function getRigCaption(rig) {
+  if (!rig) return '';
+  const name = CAMERA_RIGS[rig.type].toUpperCase();
+  return rig.type === 'drone' && rig.altitude ? `${name} ↑${rig.altitude}` : name;
+}
+
 function hexToRgba(hex, alpha) {
   const r = parseInt(hex.slice(1, 3), 16);
   const g = parseInt(hex.slice(3, 5), 16);
@@ -98,13 +315,21 @@ function hexToRgba(hex, alpha) {
 export function updateCameraColor(camera, newColor) {
   if (!camera || camera.objectType !== 'camera') return;
   const objects = camera.getObjects();
-  // [0]=triangle, [1]=label
+  // [0]=triangle, [1]=label, [2]=tele cone, [3]=lens caption
   const strokeColor = isLightColor(newColor) ? '#333333' : newColor;
   objects[0].set({
     fill: hexToRgba(newColor, 0.25),
     stroke: strokeColor,
   });
+  if (objects[2]) objects[2].set({ stroke: strokeColor });
+  if (objects[3]) objects[3].set({ fill: isLightColor(newColor) ? '#333' : newColor });
   camera.cameraColor = newColor;
+
+  // The rig glyph mixes strokes, fills and a caption — simpler to rebuild
+  if (camera.cameraRig) {
+    rebuildParts(camera);
+    return;
+  }
   camera.dirty = true;
   getCanvas().requestRenderAll();
 }
@@ -112,29 +337,163 @@ export function updateCameraColor(camera, newColor) {
 export function updateCameraFov(camera, newFov) {
   if (!camera || camera.objectType !== 'camera') return;
   camera.cameraFov = newFov;
-
-  const objects = camera.getObjects();
-  const oldTriangle = objects[0];
-  const newTriangle = buildTriangle(newFov, camera.cameraConeLength, camera.cameraColor);
-  camera.remove(oldTriangle);
-  camera.insertAt(0, newTriangle);
-  camera.dirty = true;
-  getCanvas().requestRenderAll();
+  rebuildParts(camera);
 }
 
 export function updateCameraConeLength(camera, newLength) {
   if (!camera || camera.objectType !== 'camera') return;
   camera.cameraConeLength = newLength;
+  rebuildParts(camera);
+}
+
+// Swap in a fresh triangle, tele cone, lens caption and rig glyph for the
+// current FOV, cone length, lens and rig; the label keeps its place at [1].
+// Group.add() takes objects in canvas coordinates, so every part is placed
+// around where the old triangle sat.
+function rebuildParts(camera) {
+  const { cameraFov, cameraConeLength, cameraColor, cameraLens, cameraRig } = camera;
+  const [oldTriangle, , ...extras] = camera.getObjects();
+  const center = oldTriangle.getCenterPoint();
+  const angle = camera.angle || 0;
+  const scale = camera.scaleX || 1;
+
+  camera.remove(oldTriangle, ...extras);
+  const triangle = buildTriangle(cameraFov, cameraConeLength, cameraColor);
+  const parts = [
+    buildTeleCone(cameraLens, cameraConeLength, cameraColor),
+    buildLensCaption(cameraLens, cameraConeLength, cameraColor),
+    buildRigGlyph(cameraRig, cameraConeLength, cameraColor),
+  ];
+  [triangle, ...parts].forEach(part => placePart(part, center, angle, scale));
+  camera.insertAt(0, triangle);
+  camera.add(...parts);
 
-  const objects = camera.getObjects();
-  const oldTriangle = objects[0];
-  const newTriangle = buildTriangle(camera.cameraFov, newLength, camera.cameraColor);
-  camera.remove(oldTriangle);
-  camera.insertAt(0, newTriangle);
   camera.dirty = true;
   getCanvas().requestRenderAll();
 }
 
+// Parts are built around the triangle's centre at 0,0; move one onto the
+// canvas around center, turned and pinch-resized with the camera
+function placePart(part, center, angle, scale) {
+  const offset = fabric.util.rotateVector(
+    new fabric.Point(part.left * scale, part.top * scale),
+    fabric.util.degreesToRadians(angle),
+  );
+  part.set({ left: center.x + offset.x, top: center.y + offset.y, angle, scaleX: scale, scaleY: scale });
+}
+
+// Plan position of the apex — the camera itself — whatever the rotation
+export function getCameraPosition(camera) {
+  const triangle = camera.getObjects()[0];
+  const apex = new fabric.Point(triangle.left, triangle.top + camera.cameraConeLength / 2);
+  return apex.transform(camera.calcTransformMatrix());
+}
+
+// Actors within the wide-end FOV and the coverage range (cameraRange in
+// plan px, unlimited when unset), nearest first. distance is straight from
+// the camera; depth runs along the lens axis and sets the framing.
+export function getActorsInView(camera) {
+  const view = getView(camera);
+  const subjects = [];
+  getCanvas().getObjects().forEach(actor => {
+    if (actor.objectType !== 'actor') return;
+    const seen = seePoint(view, actor.getCenterPoint());
+    if (seen) subjects.push({ actor, ...seen });
+  });
+  return subjects.sort((a, b) => a.distance - b.distance);
+}
+
+// Background extras in view, across every crowd
+export function countExtrasInView(camera) {
+  const view = getView(camera);
+  return getCanvas().getObjects()
+    .filter(o => o.objectType === 'crowd')
+    .reduce((sum, crowd) => sum + getCrowdMemberPoints(crowd).filter(p => seePoint(view, p)).length, 0);
+}
+
+// Cameras whose view takes in a plan point
+export function getCamerasSeeingPoint(point) {
+  return getCanvas().getObjects().filter(o => o.objectType === 'camera' && seePoint(getView(o), point));
+}
+
+function getView(camera) {
+  const angle = fabric.util.degreesToRadians(camera.angle || 0);
+  return {
+    origin: getCameraPosition(camera),
+    axis: new fabric.Point(Math.sin(angle), -Math.cos(angle)),
+    halfFov: fabric.util.degreesToRadians(camera.cameraFov / 2),
+    range: camera.cameraRange,
+  };
+}
+
+// { distance, depth } of a plan point the view covers, else null
+function seePoint({ origin, axis, halfFov, range }, point) {
+  const offset = point.subtract(origin);
+  const distance = Math.hypot(offset.x, offset.y);
+  const depth = offset.x * axis.x + offset.y * axis.y;
+  if (depth <= 0 || Math.acos(Math.min(1, depth / distance)) > halfFov) return null;
+  if (range && distance > range) return null;
+  return { distance, depth };
+}
+
+export function getCamerasSeeing(actor) {
+  return getCanvas().getObjects().filter(o =>
+    o.objectType === 'camera' && getActorsInView(o).some(entry => entry.actor === actor));
+}
+
+// Frame width in plan px at a depth along the lens axis
+function getFramedWidth(fov, depth) {
+  return 2 * depth * Math.tan(fabric.util.degreesToRadians(fov / 2));
+}
+
+function getShotSize(framedWidth) {
+  const height = toMetres(framedWidth) / FRAME_ASPECT;
+  return SHOT_SIZES.find(size => height <= size.maxHeight).name;
+}
+
+// A zoom frames at its wide end, then its tele end
+function getCameraFovs(camera) {
+  const lens = camera.cameraLens;
+  return lens && lens.zoom ? [camera.cameraFov, getLensFov(lens, lens.tele)] : [camera.cameraFov];
+}
+
+// Shot size on the nearest actor in frame — "MS", or "WS–MCU" across a
+// zoom — or '' with nobody in frame or no plan scale
+export function getShotSizeLabel(camera) {
+  const nearest = getActorsInView(camera)[0];
+  if (!nearest || !getScale()) return '';
+  return getCameraFovs(camera).map(fov => getShotSize(getFramedWidth(fov, nearest.depth))).join('–');
+}
+
+// ── Lenses ──
+
+// Horizontal FOV in degrees for a focal length on a sensor width (mm)
+export function focalToFov(focal, sensorWidth) {
+  return 2 * Math.atan(sensorWidth / (2 * focal)) * (180 / Math.PI);
+}
+
+function getSensorWidth(lens) {
+  const format = SENSOR_FORMATS[lens.sensor];
+  return format && format.width ? format.width : lens.sensorWidth;
+}
+
+function getLensFov(lens, focal) {
+  return Math.round(focalToFov(focal, getSensorWidth(lens)) * 10) / 10;
+}
+
+export function getLensCaption(lens) {
+  if (!lens) return '';
+  return lens.zoom ? `${lens.focal}–${lens.tele}mm` : `${lens.focal}mm`;
+}
+
+// lens: { sensor, sensorWidth, focal, zoom, tele }, or null to set the
+// FOV by hand again. The main triangle shows the widest angle.
+export function updateCameraLens(camera, lens) {
+  if (!camera || camera.objectType !== 'camera') return;
+  camera.cameraLens = lens;
+  updateCameraFov(camera, lens ? getLensFov(lens, lens.focal) : camera.cameraFov);
+}
+
 export function updateCameraLabel(camera, newLabel) {
   if (!camera || camera.objectType !== 'camera') return;
   const objects = camera.getObjects();
@@ -145,12 +504,148 @@ export function updateCameraLabel(camera, newLabel) {
   getCanvas().requestRenderAll();
 }
 
+// ── Rigs ──
+
+// rig: { type, radius, altitude }, or null for sticks. Taking a camera
+// onto a dolly lays track along its arrows; leaving the dolly lifts it.
+export function updateCameraRig(camera, rig) {
+  if (!camera || camera.objectType !== 'camera') return;
+  const arrows = getCameraArrows(camera);
+  const wasDolly = isDolly(camera.cameraRig);
+  camera.cameraRig = rig;
+  rebuildParts(camera);
+  if (wasDolly !== isDolly(rig)) {
+    arrows.forEach(arrow => setArrowTrack(arrow.arrowId, isDolly(rig)));
+  }
+}
+
+function isDolly(rig) {
+  return !!rig && rig.type === 'dolly';
+}
+
+// Solid arrows chained on from the camera, the way playback walks them
+function getCameraArrows(camera) {
+  const arrows = getCanvas().getObjects().filter(o =>
+    o.objectType === 'movementArrow' && o.arrowData && !o.arrowData.strokeDashArray);
+  const chain = [];
+  let tip = getCameraPosition(camera);
+
+  for (;;) {
+    const next = arrows
+      .filter(a => !chain.includes(a))
+      .map(a => ({ arrow: a, distance: Math.hypot(a.arrowData.startX - tip.x, a.arrowData.startY - tip.y) }))
+      .filter(c => c.distance <= ARROW_ATTACH_DISTANCE)
+      .sort((a, b) => a.distance - b.distance)[0];
+    if (!next) return chain;
+    chain.push(next.arrow);
+    tip = new fabric.Point(next.arrow.arrowData.endX, next.arrow.arrowData.endY);
+  }
+}
+
+// Nearest camera standing within reach of x, y — where a move drawn from
+// there starts
+export function findCameraAt(x, y) {
+  return getCanvas().getObjects()
+    .filter(o => o.objectType === 'camera')
+    .map(camera => ({ camera, distance: getCameraPosition(camera).distanceFrom(new fabric.Point(x, y)) }))
+    .filter(c => c.distance <= ARROW_ATTACH_DISTANCE)
+    .sort((a, b) => a.distance - b.distance)
+    .map(c => c.camera)[0] || null;
+}
+
+// Whether a camera arrow from x, y carries on a dolly move: it starts at
+// a dolly camera or where laid track ends
+export function isDollyArrowStart(x, y) {
+  const near = (p) => Math.hypot(p.x - x, p.y - y) <= ARROW_ATTACH_DISTANCE;
+  return getCanvas().getObjects().some(o =>
+    (o.objectType === 'camera' && isDolly(o.cameraRig) && near(getCameraPosition(o))) ||
+    (o.objectType === 'movementArrow' && o.arrowData && o.arrowData.track &&
+      near({ x: o.arrowData.endX, y: o.arrowData.endY })));
+}
+
+function renderRigSection(camera) {
+  const rig = camera.cameraRig;
+  const type = rig ? rig.type : '';
+  const trackCount = type === 'dolly' ? getCameraArrows(camera).length : 0;
+  const unit = getScale() ? getScale().unit : 'plan px';
+
+  return `
+    <div class="prop-group">
+      <label class="prop-label">Rig</label>
+      <select class="prop-input" id="cam-rig">
+        <option value="" ${!rig ? 'selected' : ''}>Sticks</option>
+        ${Object.entries(CAMERA_RIGS).map(([key, name]) => `
+          <option value="${key}" ${key === type ? 'selected' : ''}>${name}</option>
+        `).join('')}
+      </select>
+      ${type === 'dolly' ? `
+        <div class="prop-hint">${trackCount
+          ? `Track laid along ${trackCount} camera arrow${trackCount === 1 ? '' : 's'}`
+          : 'Draw a camera arrow from this camera to lay track'}</div>
+      ` : ''}
+    </div>
+    ${type === 'crane' ? `
+      <div class="prop-group">
+        <label class="prop-label">Swing radius (${unit})</label>
+        <input type="number" class="prop-input" id="cam-rig-radius" min="0" step="any"
+               value="${Math.round(toScaleUnits(rig.radius) * 10) / 10}">
+      </div>
+    ` : ''}
+    ${type === 'drone' ? `
+      <div class="prop-group">
+        <label class="prop-label">Altitude</label>
+        <input type="text" class="prop-input" id="cam-rig-altitude" maxlength="10"
+               value="${escapeAttr(rig.altitude || '')}" placeholder="40 ft">
+      </div>
+    ` : ''}
+  `;
+}
+
+// One undo step per change, taking in any track laid or lifted
+function setupRigInputs(camera) {
+  const applyRig = (label, rig) => {
+    const arrowIds = getCameraArrows(camera).map(a => a.arrowId);
+    const change = beginChange(() => [camera, ...arrowIds.flatMap(getArrowObjects)]);
+    updateCameraRig(camera, rig);
+    change.commit(label);
+  };
+
+  document.getElementById('cam-rig').addEventListener('change', (e) => {
+    const type = e.target.value;
+    applyRig('Changed rig', type
+      ? { radius: DEFAULT_CRANE_RADIUS, altitude: '', ...camera.cameraRig, type }
+      : null);
+    renderCameraProperties(camera);
+  });
+
+  const radius = document.getElementById('cam-rig-radius');
+  if (radius) {
+    radius.addEventListener('change', () => {
+      const value = parseFloat(radius.value);
+      if (!(value > 0)) {
+        radius.value = Math.round(toScaleUnits(camera.cameraRig.radius) * 10) / 10;
+        return;
+      }
+      applyRig('Changed crane radius', { ...camera.cameraRig, radius: fromScaleUnits(value) });
+    });
+  }
+
+  const altitude = document.getElementById('cam-rig-altitude');
+  if (altitude) {
+    altitude.addEventListener('change', () => {
+      applyRig('Changed drone altitude', { ...camera.cameraRig, altitude: altitude.value.trim() });
+    });
+  }
+}
+
 export function getCameraPresetColors() {
   return PRESET_COLORS;
 }
 
 export function renderCameraProperties(camera) {
   const container = document.getElementById('panel-content');
+  const lens = camera.cameraLens;
+  const mode = !lens ? 'manual' : lens.zoom ? 'zoom' : 'prime';
 
   container.innerHTML = `
     <div class="prop-group">
@@ -158,15 +653,60 @@ export function renderCameraProperties(camera) {
       <input type="text" class="prop-input" id="cam-label" value="${camera.cameraLabel}" maxlength="4" placeholder="CAM1">
     </div>
     <div class="prop-group">
-      <label class="prop-label">FOV: <span id="fov-val">${camera.cameraFov}</span>&deg;</label>
-      <input type="range" class="prop-range" id="cam-fov" min="10" max="120" value="${camera.cameraFov}">
+      <label class="prop-label">Lens</label>
+      <select class="prop-input" id="cam-lens-mode">
+        <option value="manual" ${mode === 'manual' ? 'selected' : ''}>Set FOV by hand</option>
+        <option value="prime" ${mode === 'prime' ? 'selected' : ''}>Prime</option>
+        <option value="zoom" ${mode === 'zoom' ? 'selected' : ''}>Zoom</option>
+      </select>
+    </div>
+    ${lens ? `
+      <div class="prop-group">
+        <label class="prop-label">Sensor</label>
+        <select class="prop-input" id="cam-sensor">
+          ${Object.entries(SENSOR_FORMATS).map(([key, f]) => `
+            <option value="${key}" ${key === lens.sensor ? 'selected' : ''}>${f.name}${f.width ? ` (${f.width}mm)` : ''}</option>
+          `).join('')}
+        </select>
+      </div>
+      ${lens.sensor === 'custom' ? `
+        <div class="prop-group">
+          <label class="prop-label">Sensor width (mm)</label>
+          <input type="number" class="prop-input" id="cam-sensor-width" min="1" max="100" step="0.01" value="${lens.sensorWidth}">
+        </div>
+      ` : ''}
+      <div class="prop-group">
+        <label class="prop-label">${lens.zoom ? 'Wide end (mm)' : 'Focal length (mm)'}</label>
+        <input type="number" class="prop-input" id="cam-focal" min="1" max="2000" step="1" value="${lens.focal}">
+      </div>
+      ${lens.zoom ? `
+        <div class="prop-group">
+          <label class="prop-label">Tele end (mm)</label>
+          <input type="number" class="prop-input" id="cam-tele" min="1" max="2000" step="1" value="${lens.tele}">
+        </div>
+      ` : ''}
+    ` : ''}
+    <div class="prop-group">
+      <label class="prop-label">FOV: <span id="fov-val">${camera.cameraFov}</span>&deg;${lens && lens.zoom ? ` – ${getLensFov(lens, lens.tele)}&deg;` : ''}</label>
+      <input type="range" class="prop-range" id="cam-fov" min="10" max="120" value="${camera.cameraFov}" ${lens ? 'disabled' : ''}>
     </div>
     <div class="prop-group">
       <label class="prop-label">Cone Length: <span id="cone-val">${camera.cameraConeLength}</span></label>
       <input type="range" class="prop-range" id="cam-cone" min="30" max="300" value="${camera.cameraConeLength}">
     </div>
+    <div class="prop-group">
+      <label class="prop-label">Coverage range (${getScale() ? getScale().unit : 'plan px'})</label>
+      <input type="number" class="prop-input" id="cam-range" min="0" step="any"
+             value="${camera.cameraRange ? Math.round(toScaleUnits(camera.cameraRange) * 10) / 10 : ''}" placeholder="Unlimited">
+    </div>
+    ${renderRigSection(camera)}
+    ${renderSubjectsSection(camera)}
   `;
 
+  trackInput(document.getElementById('cam-label'), [camera], 'Renamed camera');
+  trackInput(document.getElementById('cam-fov'), [camera], 'Changed FOV');
+  trackInput(document.getElementById('cam-cone'), [camera], 'Changed cone length');
+
   document.getElementById('cam-label').addEventListener('input', (e) => {
     updateCameraLabel(camera, e.target.value);
   });
@@ -175,6 +715,7 @@ export function renderCameraProperties(camera) {
     const val = parseInt(e.target.value);
     document.getElementById('fov-val').textContent = val;
     updateCameraFov(camera, val);
+    refreshSubjects();
   });
 
   document.getElementById('cam-cone').addEventListener('input', (e) => {
@@ -182,4 +723,158 @@ export function renderCameraProperties(camera) {
     document.getElementById('cone-val').textContent = val;
     updateCameraConeLength(camera, val);
   });
+
+  // Empty clears the range back to unlimited
+  document.getElementById('cam-range').addEventListener('change', (e) => {
+    const value = parseFloat(e.target.value);
+    const change = beginChange([camera]);
+    camera.cameraRange = value > 0 ? fromScaleUnits(value) : null;
+    change.commit('Changed coverage range');
+    refreshSubjects();
+    getCanvas().requestRenderAll();
+  });
+
+  setupLensInputs(camera);
+  setupRigInputs(camera);
+  setupSubjects(camera);
+}
+
+// Plan px ↔ the page's scale unit; plain px while uncalibrated
+function toScaleUnits(pixels) {
+  const scale = getScale();
+  return scale ? pixels / scale.pixelsPerUnit : pixels;
+}
+
+function fromScaleUnits(value) {
+  const scale = getScale();
+  return scale ? value * scale.pixelsPerUnit : value;
+}
+
+// ── Subjects in Frame ──
+
+// The scale fields stay outside #cam-subjects, so live updates never
+// replace an input under the cursor
+function renderSubjectsSection(camera) {
+  const scale = getScale();
+  return `
+    <div class="prop-group">
+      <label class="prop-label">Plan scale${scale ? `: ${describeScale()}` : ''}</label>
+      <div class="prop-row">
+        <input type="number" class="prop-input" id="cam-scale" min="0.01" step="0.1"
+               value="${scale ? Math.round(scale.pixelsPerUnit * 100) / 100 : ''}" placeholder="px per">
+        <select class="prop-input" id="cam-scale-unit">
+          <option value="ft" ${!scale || scale.unit === 'ft' ? 'selected' : ''}>ft</option>
+          <option value="m" ${scale && scale.unit === 'm' ? 'selected' : ''}>m</option>
+        </select>
+        <button class="roster-btn" id="cam-pick-scale" title="Tap both ends of a known dimension">Pick</button>
+      </div>
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Subjects in frame</label>
+      <div id="cam-subjects">${renderSubjectRows(camera)}</div>
+    </div>
+  `;
+}
+
+function renderSubjectRows(camera) {
+  const subjects = getActorsInView(camera);
+  if (subjects.length === 0) return '<div class="prop-hint">No actors inside the cone</div>';
+  if (!getScale()) return '<div class="prop-hint">Set the plan scale to estimate shot sizes</div>';
+
+  const fovs = getCameraFovs(camera);
+
+  return `
+    <div class="shot-row shot-row-header">
+      <span>Actor</span><span>Distance</span><span>Shot</span><span>Width</span>
+    </div>
+  ` + subjects.map(({ actor, distance, depth }) => {
+    const widths = fovs.map(fov => getFramedWidth(fov, depth));
+    return `
+      <div class="shot-row">
+        <span>${escapeHtml(actor.actorLabel || 'Actor')}</span>
+        <span>${formatDistance(distance)}</span>
+        <span>${widths.map(getShotSize).join('–')}</span>
+        <span>${widths.map(formatDistance).join(' – ')}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+function refreshSubjects() {
+  const list = document.getElementById('cam-subjects');
+  if (!list || !subjectsCamera || !subjectsCamera.canvas) return;
+  list.innerHTML = renderSubjectRows(subjectsCamera);
+}
+
+function setupSubjects(camera) {
+  subjectsCamera = camera;
+
+  // Installed once; does nothing while no subjects list is showing
+  if (!subjectsTracking) {
+    subjectsTracking = true;
+    ['object:moving', 'object:rotating', 'object:modified'].forEach(name => {
+      getCanvas().on(name, refreshSubjects);
+    });
+  }
+
+  // Typed scales are px per one unit
+  const applyScale = () => {
+    const value = parseFloat(document.getElementById('cam-scale').value);
+    if (value > 0) setScale(value, 1, document.getElementById('cam-scale-unit').value);
+  };
+  document.getElementById('cam-scale').addEventListener('change', applyScale);
+  document.getElementById('cam-scale-unit').addEventListener('change', applyScale);
+
+  document.getElementById('cam-pick-scale').addEventListener('click', () => {
+    if (onPickScale) onPickScale(camera);
+  });
+}
+
+// Lens fields apply on change (not every keystroke), one undo step each.
+// Switching mode or sensor re-renders the panel for the matching fields.
+function setupLensInputs(camera) {
+  const applyLens = (label, nextLens, rerender = false) => {
+    // Keep a zoom's wide end the shorter focal length
+    if (nextLens && nextLens.zoom && nextLens.tele < nextLens.focal) {
+      nextLens = { ...nextLens, focal: nextLens.tele, tele: nextLens.focal };
+    }
+    const change = beginChange([camera]);
+    updateCameraLens(camera, nextLens);
+    change.commit(label);
+    if (rerender) renderCameraProperties(camera);
+    else document.getElementById('fov-val').textContent = camera.cameraFov;
+  };
+
+  document.getElementById('cam-lens-mode').addEventListener('change', (e) => {
+    const current = camera.cameraLens || { sensor: 's35', sensorWidth: SENSOR_FORMATS.s35.width, focal: DEFAULT_FOCAL };
+    const next = e.target.value === 'manual'
+      ? null
+      : { ...current, zoom: e.target.value === 'zoom', tele: current.tele || current.focal * 2 };
+    applyLens('Changed lens', next, true);
+  });
+
+  const lens = camera.cameraLens;
+  if (!lens) return;
+
+  document.getElementById('cam-sensor').addEventListener('change', (e) => {
+    const sensor = e.target.value;
+    const width = SENSOR_FORMATS[sensor].width || getSensorWidth(lens);
+    applyLens('Changed sensor', { ...camera.cameraLens, sensor, sensorWidth: width }, true);
+  });
+
+  const numberField = (id, key, label) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      if (!(value > 0)) {
+        input.value = camera.cameraLens[key];
+        return;
+      }
+      applyLens(label, { ...camera.cameraLens, [key]: value }, true);
+    });
+  };
+  numberField('cam-sensor-width', 'sensorWidth', 'Changed sensor');
+  numberField('cam-focal', 'focal', 'Changed focal length');
+  numberField('cam-tele', 'tele', 'Changed focal length');
 }
@@ -105,6 +105,17 @@ export function fitToScreen() {
   canvas.requestRenderAll();
 }
 
+export function getViewportTransform() {
+  return canvas.viewportTransform.slice();
+}
+
+export function restoreViewport(vpt) {
+  zoomLevel = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, vpt[0]));
+  canvas.setViewportTransform([zoomLevel, 0, 0, zoomLevel, vpt[4], vpt[5]]);
+  updateZoomDisplay();
+  canvas.requestRenderAll();
+}
+
 export function rotatePlan() {
   const bg = canvas.backgroundImage;
   if (!bg) return;
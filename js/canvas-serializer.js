@@ -0,0 +1,117 @@
+/**
+ * Canvas Serializer — Canvas objects to/from JSON
+ * Fabric only serialises visual state, so after any load the custom object
+ * types are handed back to their modules to restore live behaviour.
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { restoreActorIcon, syncEyelines } from './actor-icon.js';
+import { restoreCrowd } from './crowd-icon.js';
+import { restoreProp } from './prop-icon.js';
+import { restoreLightIcon } from './light-icon.js';
+import { restoreMicIcon, syncLavs, checkBoomPositions } from './mic-icon.js';
+import { restoreCameraIcon } from './camera-icon.js';
+import { restoreMovementArrows } from './movement-arrow.js';
+import { restoreTrails } from './trail-manager.js';
+import { restoreText } from './text-tool.js';
+import { restoreRuler } from './scale-manager.js';
+import { restoreAxes } from './axis-manager.js';
+
+// Custom properties carried through toJSON()
+export const SERIALIZED_PROPS = [
+  'objectType', 'actorColor', 'actorLabel', 'actorEyeline',
+  'cameraColor', 'cameraFov', 'cameraConeLength', 'cameraLabel', 'cameraLens', 'cameraRange', 'cameraRig',
+  'shotNumber', 'shotDescription',
+  'arrowId', 'arrowColor', 'arrowData', 'cpIndex',
+  'textColor', 'textFontSize',
+  'trailId', 'trailSegmentIndex', 'trailSegmentData', 'markLabel', 'markNote',
+  'rulerLength', 'axisId', 'axisData', 'crowdData',
+  'propSymbol', 'propName', 'propColor',
+  'lightFixture', 'lightBeam', 'lightThrow', 'lightIntensity', 'lightKelvin', 'lightGel', 'lightLabel',
+  'micType', 'micReach', 'micRange', 'micCharacter', 'micLabel',
+  'objectId',
+];
+
+export function serializeCanvas() {
+  return getCanvas().toJSON(SERIALIZED_PROPS);
+}
+
+// Objects only — the background is owned by pdf-loader
+export function serializeObjects() {
+  return serializeCanvas().objects;
+}
+
+// One object in plan coordinates, even while it is part of an active
+// selection (Fabric stores those relative to the selection). Deep-copied,
+// since arrow and trail data objects are shared with the live object.
+export function serializeObject(obj) {
+  if (!obj.group) return JSON.parse(JSON.stringify(obj.toObject(SERIALIZED_PROPS)));
+
+  // Take on the plan transform just long enough to serialise it
+  const original = {
+    left: obj.left, top: obj.top, angle: obj.angle, scaleX: obj.scaleX, scaleY: obj.scaleY,
+    skewX: obj.skewX, skewY: obj.skewY, flipX: obj.flipX, flipY: obj.flipY,
+  };
+  const { translateX, translateY, ...transform } = fabric.util.qrDecompose(obj.calcTransformMatrix());
+  obj.set({ ...transform, flipX: false, flipY: false });
+  obj.setPositionByOrigin(new fabric.Point(translateX, translateY), 'center', 'center');
+  const json = obj.toObject(SERIALIZED_PROPS);
+  obj.set(original);
+  return JSON.parse(JSON.stringify(json));
+}
+
+export async function loadObjects(objectsJson) {
+  const canvas = getCanvas();
+  const objects = await fabric.util.enlivenObjects(objectsJson || []);
+
+  canvas.discardActiveObject();
+  canvas.getObjects().slice().forEach(o => canvas.remove(o));
+  if (objects.length > 0) canvas.add(...objects);
+
+  restoreObjects();
+  canvas.requestRenderAll();
+}
+
+// Adds objects on top of the current canvas, e.g. when copying between
+// setups. The copies get new object ids. Returns the added objects.
+export async function appendObjects(objectsJson) {
+  const canvas = getCanvas();
+  const copies = objectsJson.map(({ objectId, ...json }) => json);
+  const objects = await fabric.util.enlivenObjects(copies);
+  if (objects.length === 0) return objects;
+
+  canvas.add(...objects);
+  restoreObjects(objects);
+  canvas.requestRenderAll();
+  return objects;
+}
+
+// objects: only some freshly enlivened objects (e.g. re-inserted by undo);
+// defaults to the whole canvas
+export function restoreObjects(objects = null) {
+  const targets = objects || getCanvas().getObjects();
+  targets.forEach(restoreObject);
+
+  if (objects) {
+    const arrowIds = [...new Set(objects.filter(o => o.objectType === 'movementArrow').map(o => o.arrowId))];
+    if (arrowIds.length > 0) restoreMovementArrows(arrowIds);
+  } else {
+    restoreMovementArrows();
+  }
+  restoreTrails(targets);
+  restoreAxes();
+  syncEyelines();
+  syncLavs();
+  checkBoomPositions(false);
+}
+
+function restoreObject(obj) {
+  if (obj.objectType === 'actor') restoreActorIcon(obj);
+  else if (obj.objectType === 'camera') restoreCameraIcon(obj);
+  else if (obj.objectType === 'text') restoreText(obj);
+  else if (obj.objectType === 'ruler') restoreRuler(obj);
+  else if (obj.objectType === 'crowd') restoreCrowd(obj);
+  else if (obj.objectType === 'prop') restoreProp(obj);
+  else if (obj.objectType === 'light') restoreLightIcon(obj);
+  else if (obj.objectType === 'mic') restoreMicIcon(obj);
+}
@@ -1,8 +1,11 @@
 /**
  * Character Roster — Persistent character presets with localStorage
- * Supports both actors and cameras.
+ * Supports both actors and cameras, plus one built-in entry shared by all
+ * background extras, which picks the crowd tool.
  */
 
+import { escapeHtml } from './html-utils.js';
+
 const STORAGE_KEY = 'shotdesigner_characters';
 const PRESET_COLORS = [
   '#e74c3c', '#3498db', '#2ecc71', '#f1c40f',
@@ -11,6 +14,15 @@ const PRESET_COLORS = [
   '#8b4513', '#d4b896',
 ];
 
+// Always listed first; never stored or deleted
+export const BG_CHARACTER = {
+  id: 'char_bg',
+  name: 'Background extras',
+  label: 'BG',
+  color: '#9e9e9e',
+  type: 'crowd',
+};
+
 let characters = [];
 let onSelectCallback = null;
 let activeCharacterId = null;
@@ -39,6 +51,13 @@ export function getCharacters() {
   return characters;
 }
 
+export function setCharacters(chars) {
+  characters = chars.map(c => ({ ...c }));
+  activeCharacterId = null;
+  saveCharactersToStorage(characters);
+  renderRoster();
+}
+
 export function addCharacter({ name, label, color, type }) {
   const char = {
     id: 'char_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
@@ -179,16 +198,11 @@ export function renderRoster() {
   const listEl = document.getElementById('roster-list');
   const emptyEl = document.getElementById('roster-empty');
 
-  if (characters.length === 0) {
-    listEl.innerHTML = '';
-    emptyEl.classList.remove('hidden');
-    return;
-  }
-
-  emptyEl.classList.add('hidden');
+  emptyEl.classList.toggle('hidden', characters.length > 0);
 
-  listEl.innerHTML = characters.map(char => {
+  listEl.innerHTML = [BG_CHARACTER, ...characters].map(char => {
     const isCamera = char.type === 'camera';
+    const isShared = char === BG_CHARACTER;
     const iconContent = isCamera
       ? `<svg width="16" height="16" viewBox="0 0 20 20" fill="${char.color}" fill-opacity="0.4" stroke="${char.color}" stroke-width="1.5"><polygon points="10,18 1,2 19,2"/></svg>`
       : escapeHtml(char.label);
@@ -196,13 +210,15 @@ export function renderRoster() {
     return `
       <div class="roster-item ${char.id === activeCharacterId ? 'active' : ''}"
            data-id="${char.id}" style="--char-color: ${char.color}">
-        <div class="roster-item-icon ${isCamera ? 'roster-item-icon-camera' : ''}">${iconContent}</div>
+        <div class="roster-item-icon ${isCamera ? 'roster-item-icon-camera' : ''} ${isShared ? 'roster-item-icon-crowd' : ''}">${iconContent}</div>
         <span class="roster-item-name">${escapeHtml(char.name)}</span>
-        <button class="roster-item-delete" data-id="${char.id}" title="Delete">
-          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
-          </svg>
-        </button>
+        ${isShared ? '' : `
+          <button class="roster-item-delete" data-id="${char.id}" title="Delete">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        `}
       </div>
     `;
   }).join('');
@@ -213,7 +229,7 @@ export function renderRoster() {
       if (e.target.closest('.roster-item-delete')) return;
 
       const id = item.dataset.id;
-      const char = characters.find(c => c.id === id);
+      const char = [BG_CHARACTER, ...characters].find(c => c.id === id);
       if (char && onSelectCallback) {
         activeCharacterId = id;
         renderRoster();
@@ -240,9 +256,3 @@ export function clearActiveCharacter() {
   activeCharacterId = null;
   renderRoster();
 }
-
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
-}
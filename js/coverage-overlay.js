@@ -0,0 +1,68 @@
+/**
+ * Coverage Overlay — Shows what the selected camera sees
+ * While a single camera is selected, actors inside its field of view get
+ * a ring and the rest are dimmed; a limited coverage range is drawn as an
+ * arc. Painted straight onto the live canvas after each render, so it
+ * never reaches the saved objects, exports or history thumbnails.
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { getActorsInView, getCameraPosition } from './camera-icon.js';
+
+const COVERED_COLOR = '#2ecc71';
+const DIMMED_FILL = 'rgba(20, 20, 20, 0.65)';
+const RING_GAP = 4;
+
+export function initCoverageOverlay() {
+  const canvas = getCanvas();
+  canvas.on('after:render', ({ ctx }) => {
+    // Only the on-screen canvas; exports render to their own contexts
+    if (ctx !== canvas.getContext()) return;
+    const active = canvas.getActiveObject();
+    if (active && active.objectType === 'camera') drawCoverage(ctx, active);
+  });
+}
+
+function drawCoverage(ctx, camera) {
+  const canvas = getCanvas();
+  const covered = new Set(getActorsInView(camera).map(entry => entry.actor));
+  const zoom = canvas.getZoom();
+
+  ctx.save();
+  ctx.transform(...canvas.viewportTransform);
+
+  canvas.getObjects().forEach(actor => {
+    if (actor.objectType !== 'actor' || !actor.visible) return;
+    const center = actor.getCenterPoint();
+    const radius = actor.width / 2;
+
+    ctx.beginPath();
+    if (covered.has(actor)) {
+      ctx.arc(center.x, center.y, radius + RING_GAP, 0, Math.PI * 2);
+      ctx.strokeStyle = COVERED_COLOR;
+      ctx.lineWidth = 3 / zoom;
+      ctx.stroke();
+    } else {
+      ctx.arc(center.x, center.y, radius + 1, 0, Math.PI * 2);
+      ctx.fillStyle = DIMMED_FILL;
+      ctx.fill();
+    }
+  });
+
+  if (camera.cameraRange) {
+    // The camera faces up in its own frame, so its axis is angle − 90°
+    const origin = getCameraPosition(camera);
+    const axis = fabric.util.degreesToRadians((camera.angle || 0) - 90);
+    const halfFov = fabric.util.degreesToRadians(camera.cameraFov / 2);
+    ctx.beginPath();
+    ctx.moveTo(origin.x, origin.y);
+    ctx.arc(origin.x, origin.y, camera.cameraRange, axis - halfFov, axis + halfFov);
+    ctx.closePath();
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+    ctx.strokeStyle = COVERED_COLOR;
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
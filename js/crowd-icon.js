@@ -0,0 +1,372 @@
+/**
+ * Crowd Icon — Background extras laid out as one Fabric.js group
+ * Group layout: [0]=footprint, then [body, nose, label] per extra
+ *
+ * A crowd fills the region it was drawn over (or, for a queue, the line)
+ * with crowdData.count small grey icons in a formation. The footprint is
+ * an invisible rectangle spanning that region, so the group keeps its
+ * size and centre however the extras are laid out inside it; they are
+ * rebuilt from crowdData whenever the formation or count changes.
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { beginChange, trackInput } from './history-manager.js';
+
+export const CROWD_LABEL = 'BG';
+
+const EXTRA_RADIUS = 12;
+const EXTRA_FILL = '#9e9e9e';
+const EXTRA_BORDER = '#616161';
+const EXTRA_SPACING = EXTRA_RADIUS * 2 + 6; // Centre to centre, at least
+const SCATTER_ATTEMPTS = 40;
+const MAX_EXTRAS = 100;
+const DEFAULT_COUNT = 12;
+
+const FORMATIONS = {
+  scatter: { name: 'Random scatter' },
+  rows: { name: 'Rows' },
+  queue: { name: 'Queue' },
+  circle: { name: 'Circle' },
+};
+
+// Interaction flags — not serialised by Fabric, so re-applied on restore
+const CROWD_INTERACTION = {
+  hasControls: true,
+  hasBorders: true,
+  lockScalingX: true,
+  lockScalingY: true,
+  lockRotation: false,
+  subTargetCheck: false,
+};
+
+const CROWD_CONTROLS = {
+  tl: false, tr: false, bl: false, br: false,
+  ml: false, mr: false, mt: false, mb: false,
+  mtr: true,
+};
+
+// ── Init ──
+
+export function initCrowdIcon() {
+  getCanvas().on('object:rotating', (e) => {
+    if (!e.target) return;
+    const objects = e.target.type === 'activeselection' ? e.target.getObjects() : [e.target];
+    objects.filter(o => o.objectType === 'crowd').forEach(keepLabelsUpright);
+  });
+}
+
+// ── Create / Restore ──
+
+export function getFormations() {
+  return FORMATIONS;
+}
+
+// A crowd over the region between two taps: its corners, or the head
+// and tail of a queue
+export function createCrowd(x1, y1, x2, y2, options = {}) {
+  const formation = FORMATIONS[options.formation] ? options.formation : 'scatter';
+  const count = clampCount(options.count ?? DEFAULT_COUNT);
+  const min = EXTRA_RADIUS * 2 + 8;
+  let width, height, angle;
+
+  if (formation === 'queue') {
+    // Laid out head-up, then turned to run from the first tap to the second
+    width = min;
+    height = Math.max(Math.hypot(x2 - x1, y2 - y1), min);
+    angle = Math.atan2(x1 - x2, y2 - y1) * 180 / Math.PI;
+  } else {
+    width = Math.max(Math.abs(x2 - x1), min);
+    height = Math.max(Math.abs(y2 - y1), min);
+    angle = 0;
+  }
+
+  const crowdData = { formation, count, width, height, seed: createSeed() };
+  const group = new fabric.Group(buildParts(crowdData), {
+    left: (x1 + x2) / 2,
+    top: (y1 + y2) / 2,
+    originX: 'center',
+    originY: 'center',
+    ...CROWD_INTERACTION,
+    // Custom data
+    objectType: 'crowd',
+    crowdData,
+  });
+  group.setControlsVisibility(CROWD_CONTROLS);
+  group.rotate(angle);
+  keepLabelsUpright(group);
+
+  return group;
+}
+
+export function restoreCrowd(crowd) {
+  if (!crowd || crowd.objectType !== 'crowd') return;
+  crowd.set(CROWD_INTERACTION);
+  crowd.setControlsVisibility(CROWD_CONTROLS);
+  keepLabelsUpright(crowd);
+}
+
+// Changes any of formation, count or seed and lays the extras out again
+export function updateCrowd(crowd, changes) {
+  if (!crowd || crowd.objectType !== 'crowd') return;
+  crowd.crowdData = {
+    ...crowd.crowdData,
+    ...changes,
+    count: clampCount(changes.count ?? crowd.crowdData.count),
+  };
+
+  // Group.add() takes objects in canvas coordinates. The new parts go in
+  // before the old come out, so the layout never sees an empty group.
+  const oldParts = crowd.getObjects().slice();
+  const center = oldParts[0].getCenterPoint();
+  const angle = crowd.angle || 0;
+  const scale = crowd.scaleX || 1;
+  const parts = buildParts(crowd.crowdData);
+  parts.forEach(part => placePart(part, center, angle, scale));
+  crowd.add(...parts);
+  crowd.remove(...oldParts);
+  keepLabelsUpright(crowd);
+
+  crowd.setCoords();
+  crowd.dirty = true;
+  getCanvas().requestRenderAll();
+}
+
+// Parts are built around the footprint's centre at 0,0; move one onto
+// the canvas around center, turned and scaled with the crowd
+function placePart(part, center, angle, scale) {
+  const offset = fabric.util.rotateVector(
+    new fabric.Point(part.left * scale, part.top * scale),
+    fabric.util.degreesToRadians(angle),
+  );
+  part.set({ left: center.x + offset.x, top: center.y + offset.y, angle, scaleX: scale, scaleY: scale });
+}
+
+function keepLabelsUpright(crowd) {
+  const facing = (crowd.angle || 0) + (crowd.group ? crowd.group.angle || 0 : 0);
+  getMemberParts(crowd).forEach(({ label }) => label.set('angle', -facing));
+  crowd.dirty = true;
+}
+
+function getMemberParts(crowd) {
+  const [, ...rest] = crowd.getObjects();
+  const members = [];
+  for (let i = 0; i + 2 < rest.length; i += 3) {
+    members.push({ body: rest[i], nose: rest[i + 1], label: rest[i + 2] });
+  }
+  return members;
+}
+
+// Plan positions of the extras, e.g. to count those a camera sees
+export function getCrowdMemberPoints(crowd) {
+  return getMemberParts(crowd).map(({ body }) => body.getCenterPoint());
+}
+
+export function describeCrowd(crowd) {
+  return `${crowd.crowdData.count} ${CROWD_LABEL}`;
+}
+
+// ── Parts ──
+
+function buildParts(data) {
+  const footprint = new fabric.Rect({
+    width: data.width,
+    height: data.height,
+    fill: 'rgba(0,0,0,0)',
+    stroke: null,
+    originX: 'center',
+    originY: 'center',
+    left: 0,
+    top: 0,
+  });
+  const members = layoutFormation(data).flatMap(({ x, y, facing }) => buildExtra(x, y, facing));
+  return [footprint, ...members];
+}
+
+// A smaller, grey actor: body, nose and label
+function buildExtra(x, y, facing) {
+  const r = EXTRA_RADIUS;
+  const body = new fabric.Circle({
+    radius: r,
+    fill: EXTRA_FILL,
+    stroke: EXTRA_BORDER,
+    strokeWidth: 1.5,
+    originX: 'center',
+    originY: 'center',
+    left: x,
+    top: y,
+  });
+
+  const turn = fabric.util.degreesToRadians(facing);
+  const nose = new fabric.Polygon([
+    { x: 0, y: -r - 6 },
+    { x: -4, y: -r + 2 },
+    { x: 4, y: -r + 2 },
+  ].map(p => {
+    const rotated = fabric.util.rotateVector(new fabric.Point(p.x, p.y), turn);
+    return { x: x + rotated.x, y: y + rotated.y };
+  }), {
+    fill: EXTRA_BORDER,
+    stroke: null,
+    originX: 'center',
+    originY: 'center',
+  });
+
+  const label = new fabric.FabricText(CROWD_LABEL, {
+    fontSize: 8,
+    fontWeight: 'bold',
+    fontFamily: '-apple-system, sans-serif',
+    fill: '#333',
+    originX: 'center',
+    originY: 'center',
+    left: x,
+    top: y,
+  });
+
+  return [body, nose, label];
+}
+
+// ── Formations ──
+
+// Extra centres inside the footprint, and which way each faces (degrees,
+// 0 = up the footprint)
+function layoutFormation({ formation, count, width, height, seed }) {
+  const halfW = Math.max(width / 2 - EXTRA_RADIUS, 0);
+  const halfH = Math.max(height / 2 - EXTRA_RADIUS, 0);
+
+  switch (formation) {
+    case 'rows': return layoutRows(count, halfW, halfH);
+    case 'queue': return layoutQueue(count, halfH);
+    case 'circle': return layoutCircle(count, halfW, halfH);
+    default: return layoutScatter(count, halfW, halfH, seed);
+  }
+}
+
+// Random points at least EXTRA_SPACING apart; once the region is too
+// full for that, the roomiest of the attempts
+function layoutScatter(count, halfW, halfH, seed) {
+  const random = createRandom(seed);
+  const points = [];
+
+  for (let i = 0; i < count; i++) {
+    let best = null;
+    let bestGap = -1;
+    for (let attempt = 0; attempt < SCATTER_ATTEMPTS; attempt++) {
+      const candidate = { x: (random() * 2 - 1) * halfW, y: (random() * 2 - 1) * halfH };
+      const gap = points.reduce((min, p) => Math.min(min, Math.hypot(p.x - candidate.x, p.y - candidate.y)), Infinity);
+      if (gap > bestGap) {
+        best = candidate;
+        bestGap = gap;
+      }
+      if (gap >= EXTRA_SPACING) break;
+    }
+    points.push(best);
+  }
+  return points.map(p => ({ ...p, facing: 0 }));
+}
+
+// A grid shaped like the region, filled row by row from the front
+function layoutRows(count, halfW, halfH) {
+  const width = halfW * 2 || 1;
+  const height = halfH * 2 || 1;
+  const cols = Math.max(1, Math.min(count, Math.round(Math.sqrt(count * width / height))));
+  const rows = Math.ceil(count / cols);
+
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const row = Math.floor(i / cols);
+    const inRow = row === rows - 1 ? count - row * cols : cols;
+    const col = i % cols;
+    points.push({
+      x: inRow > 1 ? -halfW + (col * 2 * halfW) / (cols - 1) : 0,
+      y: rows > 1 ? -halfH + (row * 2 * halfH) / (rows - 1) : 0,
+      facing: 0,
+    });
+  }
+  return points;
+}
+
+// One behind the other, head at the top, all facing it
+function layoutQueue(count, halfH) {
+  return Array.from({ length: count }, (_, i) => ({
+    x: 0,
+    y: count > 1 ? -halfH + (i * 2 * halfH) / (count - 1) : 0,
+    facing: 0,
+  }));
+}
+
+// Round the edge of the region, facing its centre
+function layoutCircle(count, halfW, halfH) {
+  return Array.from({ length: count }, (_, i) => {
+    const t = (i / count) * Math.PI * 2 - Math.PI / 2;
+    const x = Math.cos(t) * halfW;
+    const y = Math.sin(t) * halfH;
+    return { x, y, facing: Math.atan2(-x, y) * 180 / Math.PI };
+  });
+}
+
+function clampCount(count) {
+  return Math.max(1, Math.min(MAX_EXTRAS, Math.round(Number(count)) || 1));
+}
+
+function createSeed() {
+  return Math.floor(Math.random() * 0x7fffffff);
+}
+
+// Small seeded generator (mulberry32), so a scatter lays out the same
+// every time it is rebuilt
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ── Properties Panel ──
+
+export function renderCrowdProperties(crowd) {
+  const container = document.getElementById('panel-content');
+  const data = crowd.crowdData;
+
+  container.innerHTML = `
+    <div class="prop-group">
+      <label class="prop-label">Extras</label>
+      <input type="number" class="prop-input" id="crowd-count" min="1" max="${MAX_EXTRAS}" value="${data.count}">
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Formation</label>
+      <select class="prop-input" id="crowd-formation">
+        ${Object.entries(FORMATIONS).map(([key, f]) => `
+          <option value="${key}" ${key === data.formation ? 'selected' : ''}>${f.name}</option>
+        `).join('')}
+      </select>
+    </div>
+    <div class="prop-group ${data.formation === 'scatter' ? '' : 'hidden'}" id="crowd-shuffle-group">
+      <button class="roster-btn" id="crowd-shuffle">Reshuffle</button>
+    </div>
+    <div class="prop-hint">Drag the handle to turn the whole crowd</div>
+  `;
+
+  const countInput = document.getElementById('crowd-count');
+  trackInput(countInput, [crowd], 'Changed number of extras');
+  countInput.addEventListener('input', () => {
+    if (!(Number(countInput.value) >= 1)) return;
+    updateCrowd(crowd, { count: Number(countInput.value) });
+  });
+
+  document.getElementById('crowd-formation').addEventListener('change', (e) => {
+    const change = beginChange([crowd]);
+    updateCrowd(crowd, { formation: e.target.value });
+    change.commit('Changed crowd formation');
+    document.getElementById('crowd-shuffle-group').classList.toggle('hidden', e.target.value !== 'scatter');
+  });
+
+  document.getElementById('crowd-shuffle').addEventListener('click', () => {
+    const change = beginChange([crowd]);
+    updateCrowd(crowd, { seed: createSeed() });
+    change.commit('Reshuffled extras');
+  });
+}
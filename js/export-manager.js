@@ -1,165 +1,529 @@
 /**
- * Export Manager — JPEG and PDF export
+ * Export Manager — JPEG, PDF, animation (GIF / WebM) and shot list export
  * Uses native iOS share sheet for camera roll / app sharing
  */
 
 import { getCanvas } from './canvas-manager.js';
+import { goToPage, getCurrentPage } from './pdf-loader.js';
+import { getActiveSetupId, selectSetup, getSetups, getExportTitle } from './layer-manager.js';
+import { hideTrailControlPoints, showTrailControlPoints } from './trail-manager.js';
+import { setAxesExportHidden } from './axis-manager.js';
+import { getLightingLegend } from './light-icon.js';
+import {
+  enterPlayback, exitPlayback, isPlaybackActive, pause, seek, getPlaybackState, setSubjectsHidden,
+} from './playback-manager.js';
+import { createGifEncoder } from './gif-encoder.js';
+import { SHOT_LIST_COLUMNS, getShotListRows, buildShotListCsv } from './shot-list.js';
+
+const ANIMATION_END_HOLD = 1; // Seconds the last frame stays up
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Shot list page: landscape US Letter, column widths in points
+const SHOT_PAGE_W = 792;
+const SHOT_PAGE_H = 612;
+const SHOT_PAGE_MARGIN = 36;
+const SHOT_COLUMN_WIDTHS = {
+  setup: 44, camera: 60, lens: 70, rig: 70, move: 130, shotSize: 50, subjects: 116, description: 180,
+};
 
 const isIOS = () =>
   /iPad|iPhone|iPod/.test(navigator.userAgent) ||
   (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
 
-export async function exportJPEG() {
+// targets: [{ page, setupId }] to include (defaults to the setup on screen).
+// onPageChange is the page callback used while flipping through them.
+export async function exportJPEG(targets, onPageChange) {
   try {
-    const canvas = getCanvas();
+    const captures = await captureTargets(targets, onPageChange);
+    const files = [];
+
+    for (const capture of captures) {
+      // Create a JPEG with white background
+      const img = await loadImage(capture.dataUrl);
+      const offscreen = document.createElement('canvas');
+      offscreen.width = img.width;
+      offscreen.height = img.height;
+      const ctx = offscreen.getContext('2d');
+
+      // White background (JPEG has no transparency)
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, offscreen.width, offscreen.height);
+
+      // Draw content centered
+      ctx.drawImage(img, 0, 0);
+
+      const jpegDataUrl = offscreen.toDataURL('image/jpeg', 0.92);
+      files.push({ blob: dataUrlToBlob(jpegDataUrl), filename: captureFileName(capture, captures.length) });
+    }
+
+    await shareOrDownloadAll(files);
+  } catch (err) {
+    console.error('JPEG export error:', err);
+    alert('JPEG export error: ' + err.message);
+  }
+}
+
+function captureFileName(capture, count) {
+  if (count === 1) return 'dosl-export.jpg';
+  const setup = capture.setupCount > 1 ? `-s${capture.setupNumber}` : '';
+  return `dosl-export-p${capture.page}${setup}.jpg`;
+}
+
+export async function exportPDF(targets, onPageChange) {
+  try {
+    const captures = await captureTargets(targets, onPageChange);
+    const pdfBlob = generatePdfBlob(captures);
+    await shareOrDownload(pdfBlob, 'dosl-export.pdf');
+  } catch (err) {
+    console.error('PDF export error:', err);
+    alert('PDF export error: ' + err.message);
+  }
+}
+
+// ── Shot List ──
+
+// The setup on screen, as CSV with a BOM so spreadsheets read it as UTF-8
+export async function exportShotListCSV() {
+  try {
+    const csv = buildShotListCsv(getShotListRows());
+    await shareOrDownload(new Blob(['\ufeff' + csv], { type: 'text/csv' }), 'dosl-shot-list.csv');
+  } catch (err) {
+    console.error('Shot list export error:', err);
+    alert('Shot list export error: ' + err.message);
+  }
+}
+
+// ── Animation ──
+
+export function isWebmSupported() {
+  return getWebmType() !== null;
+}
+
+function getWebmType() {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+  return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Renders the blocking of the setup on screen frame by frame, moving every
+// actor and camera along its arrows and trails (see playback-manager.js).
+// options: { format: 'gif' | 'webm', fps, multiplier, loop }.
+// onProgress receives 0–1 while frames are rendered.
+export async function exportAnimation(options, onProgress) {
+  const canvas = getCanvas();
+  const wasActive = isPlaybackActive();
+  const startTime = getPlaybackState().time;
+
+  try {
+    if (!wasActive) await enterPlayback();
+    pause();
+
+    const { duration } = getPlaybackState();
+    if (duration === 0) {
+      alert('Nothing to animate — draw movement arrows or track actors and cameras first.');
+      return;
+    }
+
     prepareForExport(canvas);
+    setSubjectsHidden(true);
 
     const bounds = getContentBounds(canvas);
+    const blob = options.format === 'webm'
+      ? await recordWebm(canvas, bounds, duration, options, onProgress)
+      : await encodeGif(canvas, bounds, duration, options, onProgress);
+    await shareOrDownload(blob, `dosl-blocking.${options.format === 'webm' ? 'webm' : 'gif'}`);
+  } catch (err) {
+    console.error('Animation export error:', err);
+    alert('Animation export error: ' + err.message);
+  } finally {
+    setSubjectsHidden(false);
+    restoreAfterExport(canvas);
+    if (wasActive) {
+      seek(startTime);
+    } else {
+      exitPlayback();
+    }
+  }
+}
 
-    // Draw content onto an offscreen canvas with white background, centered
-    const multiplier = 2;
-    const srcDataUrl = canvas.toDataURL({
-      format: 'png',
-      quality: 1,
-      multiplier,
+async function encodeGif(canvas, bounds, duration, { fps, multiplier, loop }, onProgress) {
+  const frameCount = Math.ceil(duration * fps) + 1;
+  const delay = Math.round(100 / fps); // GIF delays are in hundredths of a second
+  let encoder = null;
+
+  for (let i = 0; i < frameCount; i++) {
+    seek(Math.min(i / fps, duration));
+    const frame = renderFrame(canvas, bounds, multiplier);
+    if (!encoder) encoder = createGifEncoder({ width: frame.width, height: frame.height, loop });
+
+    const pixels = frame.getContext('2d').getImageData(0, 0, frame.width, frame.height).data;
+    const isLast = i === frameCount - 1;
+    encoder.addFrame(pixels, isLast ? delay + ANIMATION_END_HOLD * 100 : delay);
+
+    if (onProgress) onProgress((i + 1) / frameCount);
+    await nextTick(); // Keep the page responsive between frames
+  }
+  return encoder.finish();
+}
+
+// MediaRecorder records in real time, so frames are drawn at the frame
+// rate. WebM has no loop flag — players decide.
+async function recordWebm(canvas, bounds, duration, { fps, multiplier }, onProgress) {
+  const type = getWebmType();
+  if (!type) throw new Error('WebM recording is not supported in this browser.');
+
+  const first = renderFrame(canvas, bounds, multiplier);
+  const output = document.createElement('canvas');
+  output.width = first.width;
+  output.height = first.height;
+  const ctx = output.getContext('2d');
+
+  const stream = output.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const recorder = new MediaRecorder(stream, { mimeType: type });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  recorder.start();
+  const frameCount = Math.ceil((duration + ANIMATION_END_HOLD) * fps) + 1;
+  for (let i = 0; i < frameCount; i++) {
+    seek(Math.min(i / fps, duration));
+    ctx.drawImage(i === 0 ? first : renderFrame(canvas, bounds, multiplier), 0, 0);
+    if (track.requestFrame) track.requestFrame();
+    if (onProgress) onProgress((i + 1) / frameCount);
+    await wait(1000 / fps);
+  }
+  recorder.stop();
+  await stopped;
+
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+// One frame of the plan area on white (neither format has transparency)
+function renderFrame(canvas, bounds, multiplier) {
+  const vpt = canvas.viewportTransform.slice();
+  canvas.viewportTransform = [1, 0, 0, 1, 0, 0];
+  let content;
+  try {
+    content = canvas.toCanvasElement(multiplier, {
       left: bounds.left,
       top: bounds.top,
       width: bounds.width,
       height: bounds.height,
     });
+  } finally {
+    canvas.setViewportTransform(vpt);
+  }
 
-    restoreAfterExport(canvas);
+  // Even dimensions keep video encoders happy
+  const frame = document.createElement('canvas');
+  frame.width = content.width - (content.width % 2);
+  frame.height = content.height - (content.height % 2);
+  const ctx = frame.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, frame.width, frame.height);
+  ctx.drawImage(content, 0, 0);
+  return frame;
+}
 
-    // Create a JPEG with white background
-    const img = await loadImage(srcDataUrl);
-    const offscreen = document.createElement('canvas');
-    offscreen.width = img.width;
-    offscreen.height = img.height;
-    const ctx = offscreen.getContext('2d');
-
-    // White background (JPEG has no transparency)
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, offscreen.width, offscreen.height);
-
-    // Draw content centered
-    ctx.drawImage(img, 0, 0);
-
-    const jpegDataUrl = offscreen.toDataURL('image/jpeg', 0.92);
-    const blob = dataUrlToBlob(jpegDataUrl);
-
-    // On iOS, share sheet lets user save to camera roll
-    if (isIOS() && navigator.share) {
-      const file = new File([blob], 'dosl-export.jpg', { type: 'image/jpeg' });
-      try {
-        await navigator.share({ files: [file] });
-        return;
-      } catch (err) {
-        if (err.name === 'AbortError') return;
-      }
-    }
+function nextTick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
 
-    // Desktop fallback
-    downloadBlob(blob, 'dosl-export.jpg');
-  } catch (err) {
-    console.error('JPEG export error:', err);
-    alert('JPEG export error: ' + err.message);
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// On iOS, use native share sheet (camera roll, Files, AirDrop, Scriptation, etc.)
+// Desktop falls back to a download
+export function shareOrDownload(blob, filename) {
+  return shareOrDownloadAll([{ blob, filename }]);
+}
+
+async function shareOrDownloadAll(items) {
+  if (isIOS() && navigator.share) {
+    const files = items.map(({ blob, filename }) => new File([blob], filename, { type: blob.type }));
+    try {
+      await navigator.share({ files });
+      return;
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+    }
   }
+
+  items.forEach(({ blob, filename }) => downloadBlob(blob, filename));
 }
 
-export async function exportPDF() {
+// ── Page Capture ──
+
+// Flips through the requested pages and setups (each with its own object
+// layer), renders them, then returns to the setup the user was on
+async function captureTargets(targets, onPageChange) {
+  const startPage = getCurrentPage();
+  const startSetup = getActiveSetupId();
+  const isCurrent = t => t.page === startPage && (!t.setupId || t.setupId === startSetup);
+  if (!targets || targets.length === 0 || (targets.length === 1 && isCurrent(targets[0]))) {
+    return [await captureCurrentSetup()];
+  }
+
+  const captures = [];
   try {
-    const pdfBlob = generatePdfBlob();
-
-    // On iOS, use native share sheet (save to Files, AirDrop, Scriptation, etc.)
-    if (isIOS() && navigator.share) {
-      const pdfFile = new File([pdfBlob], 'dosl-export.pdf', { type: 'application/pdf' });
-      try {
-        await navigator.share({ files: [pdfFile] });
-        return;
-      } catch (err) {
-        if (err.name === 'AbortError') return;
-      }
+    for (const target of targets) {
+      if (target.page !== getCurrentPage()) await goToPage(target.page, onPageChange);
+      if (target.setupId) await selectSetup(target.setupId);
+      captures.push(await captureCurrentSetup());
     }
-
-    // Desktop fallback
-    downloadBlob(pdfBlob, 'dosl-export.pdf');
-  } catch (err) {
-    console.error('PDF export error:', err);
-    alert('PDF export error: ' + err.message);
+  } finally {
+    if (startPage !== getCurrentPage()) await goToPage(startPage, onPageChange);
+    await selectSetup(startSetup);
   }
+  return captures;
 }
 
-function generatePdfBlob() {
+async function captureCurrentSetup() {
   const canvas = getCanvas();
   prepareForExport(canvas);
 
   const bounds = getContentBounds(canvas);
+  const dataUrl = renderContent(canvas, bounds, { format: 'png', quality: 1, multiplier: 2 });
+
+  restoreAfterExport(canvas);
+
+  const setups = getSetups();
+  const withLegend = await addLightingLegend(dataUrl, getLightingLegend());
+  const image = await addTitleBand(withLegend.dataUrl, getExportTitle());
+  return {
+    ...image,
+    page: getCurrentPage(),
+    setupNumber: setups.findIndex(s => s.active) + 1,
+    setupCount: setups.length,
+    shots: getShotListRows(),
+  };
+}
+
+// Setup title as a white band above the plan
+async function addTitleBand(dataUrl, title) {
+  const img = await loadImage(dataUrl);
+  if (!title) return { dataUrl, width: img.width, height: img.height };
+
+  const fontSize = Math.max(24, Math.round(img.width / 40));
+  const bandH = Math.round(fontSize * 2);
+
+  const offscreen = document.createElement('canvas');
+  offscreen.width = img.width;
+  offscreen.height = img.height + bandH;
+  const ctx = offscreen.getContext('2d');
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, offscreen.width, bandH);
+  ctx.fillStyle = '#222222';
+  ctx.font = `bold ${fontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(title, fontSize, bandH / 2);
+  ctx.drawImage(img, 0, bandH);
+
+  return { dataUrl: offscreen.toDataURL('image/png'), width: offscreen.width, height: offscreen.height };
+}
 
-  const dataUrl = canvas.toDataURL({
-    format: 'png',
-    quality: 1,
-    multiplier: 2,
-    left: bounds.left,
-    top: bounds.top,
-    width: bounds.width,
-    height: bounds.height,
+// Lighting legend as a white band below the plan, one row per light
+async function addLightingLegend(dataUrl, rows) {
+  const img = await loadImage(dataUrl);
+  if (rows.length === 0) return { dataUrl, width: img.width, height: img.height };
+
+  const fontSize = Math.max(16, Math.round(img.width / 60));
+  const rowH = Math.round(fontSize * 1.6);
+  const bandH = rowH * (rows.length + 1) + fontSize;
+
+  const offscreen = document.createElement('canvas');
+  offscreen.width = img.width;
+  offscreen.height = img.height + bandH;
+  const ctx = offscreen.getContext('2d');
+
+  ctx.drawImage(img, 0, 0);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, img.height, offscreen.width, bandH);
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#222222';
+  ctx.font = `bold ${fontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+  ctx.fillText('Lighting', fontSize, img.height + rowH / 2 + fontSize / 2);
+
+  ctx.font = `${fontSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+  rows.forEach((row, i) => {
+    const y = img.height + rowH * (i + 1.5) + fontSize / 2;
+    ctx.fillStyle = row.color;
+    ctx.fillRect(fontSize, y - fontSize / 2, fontSize, fontSize);
+    ctx.strokeStyle = '#666666';
+    ctx.strokeRect(fontSize, y - fontSize / 2, fontSize, fontSize);
+    ctx.fillStyle = '#222222';
+    ctx.fillText(`${row.label}  ${row.text}`, fontSize * 2.6, y);
   });
 
-  restoreAfterExport(canvas);
+  return { dataUrl: offscreen.toDataURL('image/png'), width: offscreen.width, height: offscreen.height };
+}
 
+function generatePdfBlob(captures) {
   if (!window.jspdf) {
     throw new Error('PDF library not loaded. Please reload the app.');
   }
 
-  // US Letter page (8.5 x 11 inches = 612 x 792 points)
-  const contentAspect = bounds.width / bounds.height;
-  const isLandscape = contentAspect > 1;
-
-  const PAGE_W = isLandscape ? 792 : 612;
-  const PAGE_H = isLandscape ? 612 : 792;
+  const { jsPDF } = window.jspdf;
+  let pdf = null;
+
+  captures.forEach(({ dataUrl, width, height }) => {
+    // US Letter page (8.5 x 11 inches = 612 x 792 points)
+    const contentAspect = width / height;
+    const isLandscape = contentAspect > 1;
+    const orientation = isLandscape ? 'landscape' : 'portrait';
+
+    const PAGE_W = isLandscape ? 792 : 612;
+    const PAGE_H = isLandscape ? 612 : 792;
+
+    // Fit content to fill entire page without cropping
+    let fitW, fitH;
+    if (contentAspect > PAGE_W / PAGE_H) {
+      fitW = PAGE_W;
+      fitH = PAGE_W / contentAspect;
+    } else {
+      fitH = PAGE_H;
+      fitW = PAGE_H * contentAspect;
+    }
 
-  // Fit content to fill entire page without cropping
-  let fitW, fitH;
-  if (contentAspect > PAGE_W / PAGE_H) {
-    fitW = PAGE_W;
-    fitH = PAGE_W / contentAspect;
-  } else {
-    fitH = PAGE_H;
-    fitW = PAGE_H * contentAspect;
-  }
+    // Center on page
+    const x = (PAGE_W - fitW) / 2;
+    const y = (PAGE_H - fitH) / 2;
 
-  // Center on page
-  const x = (PAGE_W - fitW) / 2;
-  const y = (PAGE_H - fitH) / 2;
+    if (!pdf) {
+      pdf = new jsPDF({ orientation, unit: 'pt', format: 'letter' });
+    } else {
+      pdf.addPage('letter', orientation);
+    }
 
-  const { jsPDF } = window.jspdf;
-  const pdf = new jsPDF({
-    orientation: isLandscape ? 'landscape' : 'portrait',
-    unit: 'pt',
-    format: 'letter',
+    pdf.addImage(dataUrl, 'PNG', x, y, fitW, fitH);
   });
 
-  pdf.addImage(dataUrl, 'PNG', x, y, fitW, fitH);
+  // Every camera of the exported setups, after the diagrams
+  const shots = captures.flatMap(c => c.shots || []);
+  if (shots.length > 0) addShotListPages(pdf, shots);
+
   return pdf.output('blob');
 }
 
+// A table continued over as many pages as it takes, header on each
+function addShotListPages(pdf, rows) {
+  const FONT_SIZE = 9;
+  const LINE_HEIGHT = 11;
+  const PAD = 4;
+  const SWATCH = 6;
+  const widths = SHOT_LIST_COLUMNS.map(c => SHOT_COLUMN_WIDTHS[c.key]);
+  let y = 0;
+
+  const measure = (cells, bold) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.setFontSize(FONT_SIZE);
+    const lines = cells.map((text, i) => pdf.splitTextToSize(pdfText(text), widths[i] - PAD * 2 - (i === 1 ? SWATCH + 3 : 0)));
+    return { lines, height: Math.max(...lines.map(l => l.length)) * LINE_HEIGHT + PAD * 2 };
+  };
+
+  const drawRow = ({ lines, height }, bold, color) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.setFontSize(FONT_SIZE);
+    let x = SHOT_PAGE_MARGIN;
+    lines.forEach((cellLines, i) => {
+      let textX = x + PAD;
+      // Camera colour ahead of its label
+      if (i === 1 && color) {
+        pdf.setFillColor(color);
+        pdf.rect(textX, y + PAD + 2, SWATCH, SWATCH, 'F');
+        textX += SWATCH + 3;
+      }
+      pdf.text(cellLines, textX, y + PAD + FONT_SIZE);
+      x += widths[i];
+    });
+    y += height;
+    pdf.setDrawColor(200);
+    pdf.line(SHOT_PAGE_MARGIN, y, SHOT_PAGE_W - SHOT_PAGE_MARGIN, y);
+  };
+
+  const startPage = () => {
+    pdf.addPage('letter', 'landscape');
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(14);
+    pdf.setTextColor(34);
+    pdf.text('Shot List', SHOT_PAGE_MARGIN, SHOT_PAGE_MARGIN + 10);
+    y = SHOT_PAGE_MARGIN + 24;
+    drawRow(measure(SHOT_LIST_COLUMNS.map(c => c.title), true));
+  };
+
+  startPage();
+  rows.forEach(row => {
+    const cells = measure(SHOT_LIST_COLUMNS.map(c => row[c.key] || (c.key === 'description' ? '' : '-')), false);
+    if (y + cells.height > SHOT_PAGE_H - SHOT_PAGE_MARGIN) startPage();
+    drawRow(cells, false, row.color);
+  });
+}
+
+// The built-in PDF fonts only cover Latin-1
+function pdfText(text) {
+  return String(text).replace(/[–—]/g, '-').replace(/[^\x00-\xff]/g, '?');
+}
+
+// Small JPEG preview of the plan for autosave / project lists.
+// Keeps the current selection, unlike the full exports.
+export function createThumbnail(maxSize = 240) {
+  const canvas = getCanvas();
+  const bounds = getContentBounds(canvas);
+  const multiplier = Math.min(1, maxSize / Math.max(bounds.width, bounds.height, 1));
+
+  setHandlesVisible(canvas, false);
+  const dataUrl = renderContent(canvas, bounds, { format: 'jpeg', quality: 0.7, multiplier });
+  setHandlesVisible(canvas, true);
+
+  return dataUrl;
+}
+
+// Render in plan coordinates, independent of the current zoom/pan
+function renderContent(canvas, bounds, { format = 'png', quality = 1, multiplier = 2 } = {}) {
+  const vpt = canvas.viewportTransform.slice();
+  canvas.viewportTransform = [1, 0, 0, 1, 0, 0];
+  try {
+    return canvas.toDataURL({
+      format,
+      quality,
+      multiplier,
+      left: bounds.left,
+      top: bounds.top,
+      width: bounds.width,
+      height: bounds.height,
+    });
+  } finally {
+    canvas.setViewportTransform(vpt);
+  }
+}
+
 function prepareForExport(canvas) {
   canvas.discardActiveObject();
-  canvas.getObjects().forEach(o => {
-    if (o.arrowId && (o.objectType === 'controlPoint' || o.objectType === 'startPoint' || o.objectType === 'endPoint')) {
-      o.set({ visible: false });
-    }
-  });
+  setHandlesVisible(canvas, false);
+  setAxesExportHidden(true);
   canvas.requestRenderAll();
 }
 
 function restoreAfterExport(canvas) {
+  setHandlesVisible(canvas, true);
+  setAxesExportHidden(false);
+  canvas.requestRenderAll();
+}
+
+function setHandlesVisible(canvas, visible) {
   canvas.getObjects().forEach(o => {
     if (o.arrowId && (o.objectType === 'controlPoint' || o.objectType === 'startPoint' || o.objectType === 'endPoint')) {
-      o.set({ visible: true });
+      o.set({ visible });
     }
   });
-  canvas.requestRenderAll();
+  if (visible) {
+    showTrailControlPoints();
+  } else {
+    hideTrailControlPoints();
+  }
 }
 
 function getContentBounds(canvas) {
@@ -0,0 +1,189 @@
+/**
+ * GIF Encoder — Animated GIF89a writer, no dependencies
+ * Frames are added one at a time (RGBA pixels) and compressed straight
+ * away, so long animations never hold every raw frame in memory.
+ * Each frame gets its own 256-colour palette, picked by popularity from
+ * a 15-bit colour histogram — plenty for plans and diagrams.
+ */
+
+const PALETTE_SIZE = 256;
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096;
+
+// loop: true repeats forever, false plays once
+export function createGifEncoder({ width, height, loop = true }) {
+  const parts = [];
+
+  parts.push(asciiBytes('GIF89a'));
+  parts.push(new Uint8Array([
+    width & 0xff, width >> 8,
+    height & 0xff, height >> 8,
+    0x00, // No global colour table — every frame has its own
+    0x00, // Background colour index
+    0x00, // Pixel aspect ratio
+  ]));
+
+  if (loop) {
+    // NETSCAPE2.0 application extension, loop count 0 = forever
+    parts.push(new Uint8Array([0x21, 0xff, 0x0b]));
+    parts.push(asciiBytes('NETSCAPE2.0'));
+    parts.push(new Uint8Array([0x03, 0x01, 0x00, 0x00, 0x00]));
+  }
+
+  return {
+    // rgba: width × height × 4 bytes; delay in hundredths of a second
+    addFrame(rgba, delay) {
+      const { palette, indices } = quantize(rgba);
+      parts.push(new Uint8Array([
+        // Graphic control extension: leave the frame in place, no transparency
+        0x21, 0xf9, 0x04, 0x04, delay & 0xff, delay >> 8, 0x00, 0x00,
+        // Image descriptor: full frame with a 256-entry local colour table
+        0x2c, 0x00, 0x00, 0x00, 0x00,
+        width & 0xff, width >> 8, height & 0xff, height >> 8,
+        0x87,
+      ]));
+      parts.push(palette);
+      parts.push(new Uint8Array([MIN_CODE_SIZE]));
+      parts.push(lzwEncode(indices));
+      parts.push(new Uint8Array([0x00]));
+    },
+
+    finish() {
+      parts.push(new Uint8Array([0x3b]));
+      return new Blob(parts, { type: 'image/gif' });
+    },
+  };
+}
+
+function asciiBytes(str) {
+  return new Uint8Array([...str].map(c => c.charCodeAt(0)));
+}
+
+// ── Colour Quantisation ──
+
+function quantize(rgba) {
+  const pixelCount = rgba.length / 4;
+
+  // Histogram of 5-bit-per-channel colours, with sums for bin averages
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  for (let i = 0; i < pixelCount; i++) {
+    const r = rgba[i * 4];
+    const g = rgba[i * 4 + 1];
+    const b = rgba[i * 4 + 2];
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    counts[key]++;
+    sums[key * 3] += r;
+    sums[key * 3 + 1] += g;
+    sums[key * 3 + 2] += b;
+  }
+
+  const bins = [];
+  for (let key = 0; key < 32768; key++) {
+    if (counts[key] > 0) bins.push(key);
+  }
+  bins.sort((a, b) => counts[b] - counts[a]);
+
+  const colors = bins.slice(0, PALETTE_SIZE).map(key => [
+    Math.round(sums[key * 3] / counts[key]),
+    Math.round(sums[key * 3 + 1] / counts[key]),
+    Math.round(sums[key * 3 + 2] / counts[key]),
+  ]);
+
+  const palette = new Uint8Array(PALETTE_SIZE * 3);
+  colors.forEach((c, i) => palette.set(c, i * 3));
+
+  // Nearest palette entry per histogram bin, looked up once per bin
+  const lookup = new Int16Array(32768).fill(-1);
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    const r = rgba[i * 4];
+    const g = rgba[i * 4 + 1];
+    const b = rgba[i * 4 + 2];
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (lookup[key] === -1) lookup[key] = nearestColor(colors, r, g, b);
+    indices[i] = lookup[key];
+  }
+
+  return { palette, indices };
+}
+
+function nearestColor(colors, r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < colors.length; i++) {
+    const dr = colors[i][0] - r;
+    const dg = colors[i][1] - g;
+    const db = colors[i][2] - b;
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  }
+  return best;
+}
+
+// ── LZW ──
+
+// Variable-length LZW codes, packed LSB-first into 255-byte sub-blocks
+function lzwEncode(indices) {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      nextCode = endCode + 1;
+      codeSize = MIN_CODE_SIZE + 1;
+      table = new Map();
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  const out = new Uint8Array(bytes.length + Math.ceil(bytes.length / 255));
+  let offset = 0;
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    out[offset++] = block.length;
+    out.set(block, offset);
+    offset += block.length;
+  }
+  return out;
+}
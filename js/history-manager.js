@@ -1,54 +1,89 @@
 /**
- * History Manager — Undo/Redo with snapshot stack
+ * History Manager — Undo/Redo with a stack of invertible commands
+ *
+ * Each command records only the objects it touched, as JSON snapshots taken
+ * before and after the change: { label, before: entries, after: entries },
+ * where an entry is { id, index, json }. Undo removes the "after" objects and
+ * re-inserts the "before" ones at their z-index; redo does the reverse.
+ * Adding is a command with no "before", removing one with no "after", and
+ * moves, restyles, arrow reshapes and text edits carry both.
+ *
+ * Commands are plain data, so per-layer stacks can be stashed and restored.
+ * Steps recorded while the history panel is open keep a thumbnail of the
+ * canvas after them; only the last MAX_THUMBNAILS hold on to theirs.
+ *
+ * Bookmarks are named checkpoints holding a full copy of the objects, so
+ * they can be restored even after their step was trimmed off the stack.
  */
 
 import { getCanvas } from './canvas-manager.js';
+import { serializeObject, serializeObjects, restoreObjects } from './canvas-serializer.js';
 
-const MAX_STATES = 50;
+const MAX_COMMANDS = 500;
+const MAX_THUMBNAILS = 50;
 let undoStack = [];
 let redoStack = [];
 let isRestoring = false;
-let debounceTimer = null;
-const DEBOUNCE_MS = 300;
+let applyQueue = Promise.resolve();
+let bookmarks = [];       // [{ id, name, command, objects, thumbnail, createdAt }]
+let baseThumbnail = null; // Canvas before the first step on the stack
+let trimmed = false;      // The first steps have been dropped (MAX_COMMANDS)
 
 let onStateChange = null;
+let makeThumbnail = null;
+let wantsThumbnails = null;
 
-export function initHistory(stateChangeCallback) {
+// wantsThumbnailsCallback: whether steps are on show, so worth a thumbnail
+export function initHistory(stateChangeCallback, thumbnailCallback, wantsThumbnailsCallback) {
   onStateChange = stateChangeCallback;
+  makeThumbnail = thumbnailCallback;
+  wantsThumbnails = wantsThumbnailsCallback;
 
-  const canvas = getCanvas();
+  // Every object gets a stable id so commands can find it again
+  getCanvas().on('object:added', (e) => {
+    if (e.target && !e.target.objectId) e.target.objectId = createObjectId();
+  });
 
-  // Save initial state
-  saveState();
+  notifyStateChange();
+}
 
-  // Listen for modifications
-  canvas.on('object:modified', debouncedSave);
-  canvas.on('object:added', debouncedSave);
-  canvas.on('object:removed', debouncedSave);
+function createObjectId() {
+  return 'obj_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
 }
 
-function debouncedSave() {
-  if (isRestoring) return;
-  clearTimeout(debounceTimer);
-  debounceTimer = setTimeout(saveState, DEBOUNCE_MS);
+// ── Recording ──
+
+// JSON snapshots of the given objects with their current z-index
+export function captureObjects(objects) {
+  const all = getCanvas().getObjects();
+  return objects
+    .filter(o => all.includes(o))
+    .map(o => {
+      if (!o.objectId) o.objectId = createObjectId();
+      return { id: o.objectId, index: all.indexOf(o), json: serializeObject(o) };
+    })
+    .sort((a, b) => a.index - b.index);
 }
 
-export function saveState() {
+export function recordChange(label, before, after) {
   if (isRestoring) return;
-  const canvas = getCanvas();
-  const json = canvas.toJSON([
-    'objectType', 'actorColor', 'actorLabel',
-    'cameraColor', 'cameraFov', 'cameraConeLength', 'cameraLabel',
-    'arrowId', 'arrowColor', 'arrowData',
-    'textColor', 'textFontSize',
-  ]);
-
-  undoStack.push(JSON.stringify(json));
-
-  // Trim stack
-  if (undoStack.length > MAX_STATES) {
-    undoStack.shift();
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  pushCommand({ label, before, after });
+}
+
+function pushCommand(command) {
+  // Rendering the canvas on every edit is only worth it while it is seen
+  command.thumbnail = !wantsThumbnails || wantsThumbnails() ? captureThumbnail() : null;
+  command.time = Date.now();
+  undoStack.push(command);
+  if (undoStack.length > MAX_COMMANDS) {
+    const dropped = undoStack.shift();
+    baseThumbnail = dropped.thumbnail;
+    trimmed = true;
   }
+  const stale = undoStack[undoStack.length - 1 - MAX_THUMBNAILS];
+  if (stale) stale.thumbnail = null;
 
   // Clear redo stack on new action
   redoStack = [];
@@ -56,43 +91,128 @@ export function saveState() {
   notifyStateChange();
 }
 
-export function undo() {
-  if (undoStack.length <= 1) return; // Keep at least the initial state
+function captureThumbnail() {
+  if (!makeThumbnail) return null;
+  try {
+    return makeThumbnail();
+  } catch (err) {
+    console.warn('History: could not render thumbnail', err);
+    return null;
+  }
+}
 
-  const canvas = getCanvas();
-  isRestoring = true;
+// Call after the objects are on the canvas
+export function recordAdded(label, objects) {
+  recordChange(label, [], captureObjects(objects));
+}
+
+// Call before the objects leave the canvas
+export function recordRemoval(label, objects, remove) {
+  const before = captureObjects(objects);
+  remove();
+  recordChange(label, before, []);
+}
 
-  // Move current state to redo
-  const current = undoStack.pop();
-  redoStack.push(current);
+// For edits that span several events (sliders, drags, text editing):
+// snapshot now, record one command when commit() is called.
+// objects may be a function, for parts that are rebuilt during the edit.
+export function beginChange(objects) {
+  const resolve = typeof objects === 'function' ? objects : () => objects;
+  const before = captureObjects(resolve());
+  return {
+    commit(label) {
+      recordChange(label, before, captureObjects(resolve()));
+    },
+  };
+}
 
-  // Restore previous state
-  const previous = undoStack[undoStack.length - 1];
-  canvas.loadFromJSON(JSON.parse(previous)).then(() => {
-    canvas.requestRenderAll();
-    isRestoring = false;
-    notifyStateChange();
+// One command per edit of a form control: the first 'input' snapshots,
+// 'change' (slider released, text field committed) records.
+// Register before the control's own 'input' listener.
+export function trackInput(input, objects, label) {
+  let change = null;
+  input.addEventListener('input', () => {
+    if (!change) change = beginChange(objects);
+  });
+  input.addEventListener('change', () => {
+    if (change) change.commit(label);
+    change = null;
+  });
+}
+
+// ── Undo / Redo ──
+
+export function undo() {
+  return enqueueApply(() => {
+    if (undoStack.length === 0) return null;
+    const command = undoStack.pop();
+    redoStack.push(command);
+    return applyEntries(command.after, command.before);
   });
 }
 
 export function redo() {
-  if (redoStack.length === 0) return;
+  return enqueueApply(() => {
+    if (redoStack.length === 0) return null;
+    const command = redoStack.pop();
+    undoStack.push(command);
+    return applyEntries(command.before, command.after);
+  });
+}
+
+// position: number of steps applied, 0 = before the first step on the stack
+export function jumpTo(position) {
+  return enqueueApply(async () => {
+    while (undoStack.length > position && undoStack.length > 0) {
+      const command = undoStack.pop();
+      redoStack.push(command);
+      await applyEntries(command.after, command.before);
+    }
+    while (undoStack.length < position && redoStack.length > 0) {
+      const command = redoStack.pop();
+      undoStack.push(command);
+      await applyEntries(command.before, command.after);
+    }
+  });
+}
+
+function enqueueApply(task) {
+  applyQueue = applyQueue
+    .then(async () => {
+      isRestoring = true;
+      try {
+        await task();
+      } finally {
+        isRestoring = false;
+        notifyStateChange();
+      }
+    })
+    .catch(err => console.error('History: could not apply command', err));
+  return applyQueue;
+}
 
+// Swap one set of object snapshots on the canvas for another
+async function applyEntries(removeEntries, insertEntries) {
   const canvas = getCanvas();
-  isRestoring = true;
+  canvas.discardActiveObject();
 
-  const next = redoStack.pop();
-  undoStack.push(next);
+  const removeIds = new Set(removeEntries.map(e => e.id));
+  canvas.getObjects()
+    .filter(o => removeIds.has(o.objectId))
+    .forEach(o => canvas.remove(o));
 
-  canvas.loadFromJSON(JSON.parse(next)).then(() => {
-    canvas.requestRenderAll();
-    isRestoring = false;
-    notifyStateChange();
+  // Ascending z-order, so each index is valid once the ones below are back
+  const objects = await fabric.util.enlivenObjects(insertEntries.map(e => e.json));
+  insertEntries.forEach((entry, i) => {
+    canvas.insertAt(Math.min(entry.index, canvas.getObjects().length), objects[i]);
   });
+
+  restoreObjects(objects);
+  canvas.requestRenderAll();
 }
 
 export function canUndo() {
-  return undoStack.length > 1;
+  return undoStack.length > 0;
 }
 
 export function canRedo() {
@@ -102,7 +222,116 @@ export function canRedo() {
 export function clearHistory() {
   undoStack = [];
   redoStack = [];
-  saveState();
+  bookmarks = [];
+  trimmed = false;
+  baseThumbnail = captureThumbnail();
+  notifyStateChange();
+}
+
+// ── History Panel ──
+
+// Applied steps first, then the redoable ones in the order they'd be redone
+export function getHistoryEntries() {
+  const steps = undoStack.concat(redoStack.slice().reverse());
+  return {
+    base: { label: trimmed ? 'Earlier steps' : 'Start', thumbnail: baseThumbnail },
+    steps: steps.map(c => ({ label: c.label, thumbnail: c.thumbnail, time: c.time })),
+    position: undoStack.length,
+    bookmarks: bookmarks.map(b => ({
+      id: b.id,
+      name: b.name,
+      thumbnail: b.thumbnail,
+      createdAt: b.createdAt,
+      position: getBookmarkPosition(b),
+    })),
+  };
+}
+
+// Where the bookmark's step sits on the stack, or -1 once it's gone
+function getBookmarkPosition(bookmark) {
+  if (!bookmark.command) return trimmed ? -1 : 0;
+  const steps = undoStack.concat(redoStack.slice().reverse());
+  const index = steps.indexOf(bookmark.command);
+  return index === -1 ? -1 : index + 1;
+}
+
+// ── Bookmarks ──
+
+// Bookmark the current state
+export function addBookmark(name) {
+  const bookmark = {
+    id: 'bookmark_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+    name,
+    command: undoStack[undoStack.length - 1] || null,
+    objects: JSON.parse(JSON.stringify(serializeObjects())),
+    thumbnail: captureThumbnail(),
+    createdAt: Date.now(),
+  };
+  bookmarks.push(bookmark);
+  notifyStateChange();
+  return bookmark.id;
+}
+
+export function renameBookmark(id, name) {
+  const bookmark = bookmarks.find(b => b.id === id);
+  if (!bookmark) return;
+  bookmark.name = name;
+  notifyStateChange();
+}
+
+export function deleteBookmark(id) {
+  bookmarks = bookmarks.filter(b => b.id !== id);
+  notifyStateChange();
+}
+
+// Jump along the stack while the step is still on it; otherwise swap the
+// saved copy in as a new (undoable) step
+export function goToBookmark(id) {
+  const bookmark = bookmarks.find(b => b.id === id);
+  if (!bookmark) return Promise.resolve();
+
+  const position = getBookmarkPosition(bookmark);
+  if (position !== -1) return jumpTo(position);
+
+  return enqueueApply(async () => {
+    // Temporary overlays (playback proxies) aren't part of the diagram
+    const before = captureObjects(getCanvas().getObjects().filter(o => !o.excludeFromExport));
+    const after = bookmark.objects.map((json, index) => ({ id: json.objectId, index, json }));
+    await applyEntries(before, after);
+    pushCommand({ label: `Restored "${bookmark.name}"`, before, after });
+  });
+}
+
+// ── Per-layer stacks (swapped in and out on page change) ──
+
+export function getHistorySnapshot() {
+  return {
+    undoStack: undoStack.slice(),
+    redoStack: redoStack.slice(),
+    bookmarks: bookmarks.slice(),
+    baseThumbnail,
+    trimmed,
+  };
+}
+
+export function restoreHistory(snapshot) {
+  undoStack = snapshot.undoStack.slice();
+  redoStack = snapshot.redoStack.slice();
+  bookmarks = snapshot.bookmarks.slice();
+  baseThumbnail = snapshot.baseThumbnail;
+  trimmed = snapshot.trimmed;
+  notifyStateChange();
+}
+
+// Canvas changes made by the task are not recorded as undo steps
+export async function runWithoutHistory(task) {
+  await applyQueue;
+  isRestoring = true;
+  try {
+    return await task();
+  } finally {
+    isRestoring = false;
+  }
 }
 
 function notifyStateChange() {
@@ -0,0 +1,98 @@
+/**
+ * History Panel — Sidebar list of every undo step with a thumbnail
+ * Tapping a step jumps the canvas to it; bookmarks are named checkpoints
+ * that stay restorable after their step is trimmed from the stack.
+ * Re-rendered from history-manager's onStateChange callback.
+ */
+
+import {
+  getHistoryEntries, jumpTo, addBookmark, renameBookmark, deleteBookmark, goToBookmark,
+} from './history-manager.js';
+import { escapeHtml } from './html-utils.js';
+
+// ── Init ──
+
+export function initHistoryPanel() {
+  const section = document.getElementById('history-section');
+
+  document.getElementById('btn-toggle-history').addEventListener('click', () => {
+    section.classList.toggle('collapsed');
+    renderHistoryPanel();
+  });
+
+  document.getElementById('btn-add-bookmark').addEventListener('click', () => {
+    const count = getHistoryEntries().bookmarks.length;
+    const name = prompt('Bookmark name', `Checkpoint ${count + 1}`);
+    if (name === null) return;
+    addBookmark(name.trim() || `Checkpoint ${count + 1}`);
+    section.classList.remove('collapsed');
+  });
+
+  document.getElementById('history-list').addEventListener('click', (e) => {
+    const step = e.target.closest('.history-step');
+    if (step) jumpTo(Number(step.dataset.position));
+  });
+
+  document.getElementById('history-bookmarks').addEventListener('click', (e) => {
+    const item = e.target.closest('.history-bookmark');
+    if (!item) return;
+    const id = item.dataset.id;
+    const action = e.target.closest('[data-action]');
+
+    if (!action) {
+      goToBookmark(id);
+    } else if (action.dataset.action === 'rename') {
+      const bookmark = getHistoryEntries().bookmarks.find(b => b.id === id);
+      const name = prompt('Rename bookmark', bookmark ? bookmark.name : '');
+      if (name && name.trim()) renameBookmark(id, name.trim());
+    } else if (action.dataset.action === 'delete') {
+      deleteBookmark(id);
+    }
+  });
+
+  renderHistoryPanel();
+}
+
+export function isHistoryPanelOpen() {
+  const section = document.getElementById('history-section');
+  return !!section && !section.classList.contains('collapsed');
+}
+
+// ── Rendering ──
+
+export function renderHistoryPanel() {
+  if (!isHistoryPanelOpen()) return;
+
+  const { base, steps, position, bookmarks } = getHistoryEntries();
+
+  document.getElementById('history-bookmarks').innerHTML = bookmarks.map(b => `
+    <div class="history-bookmark ${b.position === position ? 'current' : ''}" data-id="${b.id}"
+         title="${b.position === -1 ? 'Restores a saved copy' : 'Jumps to the bookmarked step'}">
+      ${renderThumb(b.thumbnail)}
+      <span class="history-label">${escapeHtml(b.name)}</span>
+      <button class="history-action" data-action="rename" title="Rename">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z"/></svg>
+      </button>
+      <button class="history-action" data-action="delete" title="Delete bookmark">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    </div>
+  `).join('');
+
+  // Newest first; the redoable steps sit above the current one, dimmed
+  const rows = [{ ...base, position: 0 }, ...steps.map((step, i) => ({ ...step, position: i + 1 }))];
+  document.getElementById('history-list').innerHTML = rows.reverse().map(row => {
+    const state = row.position === position ? 'current' : row.position > position ? 'undone' : '';
+    const marked = bookmarks.some(b => b.position === row.position) ? ' bookmarked' : '';
+    return `
+      <div class="history-step ${state}${marked}" data-position="${row.position}">
+        ${renderThumb(row.thumbnail)}
+        <span class="history-label">${escapeHtml(row.label)}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+function renderThumb(src) {
+  return `<div class="history-thumb">${src ? `<img src="${src}" alt="">` : ''}</div>`;
+}
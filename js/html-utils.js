@@ -0,0 +1,15 @@
+/**
+ * HTML Utils — Helpers for building panel markup from strings
+ */
+
+// Text as HTML, safe to interpolate between tags
+export function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// Text for a quoted attribute value, where quotes would end the attribute
+export function escapeAttr(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
@@ -0,0 +1,289 @@
+/**
+ * Layer Manager — Object layers per PDF page, one per setup
+ * Every page holds an ordered list of setups (shot diagrams) over the shared
+ * background. Only the active setup of the active page lives on the canvas;
+ * every other setup keeps its objects as JSON together with its own
+ * undo/redo stacks.
+ */
+
+import { serializeObjects, loadObjects, appendObjects } from './canvas-serializer.js';
+import { getHistorySnapshot, restoreHistory, clearHistory, runWithoutHistory, recordAdded } from './history-manager.js';
+
+// page number → { setups: [{ id, title, objects, history }], active: index }
+let layers = new Map();
+let activePage = 1;
+let swapQueue = Promise.resolve();
+let onLayersChange = null;
+
+export function initLayerManager(layersChangeCallback) {
+  onLayersChange = layersChangeCallback;
+}
+
+export function getActivePage() {
+  return activePage;
+}
+
+function createSetup(title = '', objects = []) {
+  return {
+    id: 'setup_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+    title,
+    objects,
+    history: null,
+  };
+}
+
+function getPageEntry(page) {
+  if (!layers.has(page)) {
+    layers.set(page, { setups: [createSetup()], active: 0 });
+  }
+  return layers.get(page);
+}
+
+function getActiveSetup() {
+  const entry = getPageEntry(activePage);
+  return entry.setups[entry.active];
+}
+
+// Canvas swaps are queued so rapid page/setup changes can't interleave
+function enqueue(task) {
+  swapQueue = swapQueue.then(task).catch(err => {
+    console.error('Layer swap failed:', err);
+  });
+  return swapQueue;
+}
+
+function notifyChange() {
+  if (onLayersChange) onLayersChange();
+}
+
+// Called whenever the background page changes; swaps the canvas objects
+// and history over to the new page's active setup
+export function syncLayerToPage(page) {
+  return enqueue(() => {
+    const entry = getPageEntry(page);
+    return swapTo(page, entry.setups[entry.active].id);
+  });
+}
+
+async function swapTo(page, setupId) {
+  const entry = getPageEntry(page);
+  const index = entry.setups.findIndex(s => s.id === setupId);
+  if (index === -1) return;
+  if (page === activePage && index === layers.get(activePage).active) {
+    notifyChange();
+    return;
+  }
+
+  stashActiveLayer();
+
+  // activePage only moves once the new objects are on the canvas, so a
+  // save mid-swap still files the old objects under the old setup
+  const setup = entry.setups[index];
+  await runWithoutHistory(() => loadObjects(setup.objects));
+  activePage = page;
+  entry.active = index;
+
+  if (setup.history) {
+    restoreHistory(setup.history);
+  } else {
+    clearHistory();
+  }
+  notifyChange();
+}
+
+function stashActiveLayer() {
+  const setup = getActiveSetup();
+  setup.objects = serializeObjects();
+  setup.history = getHistorySnapshot();
+}
+
+// ── Setups ──
+
+// Setups of the active page, in strip order
+export function getSetups() {
+  const entry = getPageEntry(activePage);
+  return entry.setups.map((setup, i) => ({
+    id: setup.id,
+    title: setup.title,
+    name: getSetupName(entry, i),
+    active: i === entry.active,
+  }));
+}
+
+function getSetupName(entry, index) {
+  const title = entry.setups[index].title;
+  return `Setup ${index + 1}` + (title ? `: ${title}` : '');
+}
+
+export function selectSetup(setupId) {
+  return enqueue(() => swapTo(activePage, setupId));
+}
+
+export function addSetup() {
+  return enqueue(() => {
+    const entry = getPageEntry(activePage);
+    const setup = createSetup();
+    entry.setups.splice(entry.active + 1, 0, setup);
+    return swapTo(activePage, setup.id);
+  });
+}
+
+// The copy keeps every object (actors, cameras, arrows, text), so only
+// what changes between setups needs moving
+export function duplicateSetup() {
+  return enqueue(() => {
+    stashActiveLayer();
+    const entry = getPageEntry(activePage);
+    const source = entry.setups[entry.active];
+    const title = source.title ? source.title + ' copy' : '';
+    const setup = createSetup(title, JSON.parse(JSON.stringify(source.objects)));
+    entry.setups.splice(entry.active + 1, 0, setup);
+    return swapTo(activePage, setup.id);
+  });
+}
+
+// delta: -1 moves the active setup left, +1 right
+export function moveSetup(delta) {
+  const entry = getPageEntry(activePage);
+  const from = entry.active;
+  const to = from + delta;
+  if (to < 0 || to >= entry.setups.length) return;
+
+  const [setup] = entry.setups.splice(from, 1);
+  entry.setups.splice(to, 0, setup);
+  entry.active = to;
+  notifyChange();
+}
+
+export function renameSetup(setupId, title) {
+  const setup = getPageEntry(activePage).setups.find(s => s.id === setupId);
+  if (!setup) return;
+  setup.title = (title || '').trim();
+  notifyChange();
+}
+
+// The last setup of a page can't be deleted
+export function deleteSetup(setupId) {
+  return enqueue(async () => {
+    const entry = getPageEntry(activePage);
+    const index = entry.setups.findIndex(s => s.id === setupId);
+    if (index === -1 || entry.setups.length <= 1) return;
+
+    if (index === entry.active) {
+      const neighbour = entry.setups[index > 0 ? index - 1 : 1];
+      await swapTo(activePage, neighbour.id);
+    }
+    const activeId = entry.setups[entry.active].id;
+    entry.setups = entry.setups.filter(s => s.id !== setupId);
+    entry.active = entry.setups.findIndex(s => s.id === activeId);
+    notifyChange();
+  });
+}
+
+// Adds the previous setup's actors that aren't already placed here
+// (matched by label and colour). Returns the number of actors copied.
+export function copyActorsFromPrevious() {
+  let copied = 0;
+  return enqueue(async () => {
+    const entry = getPageEntry(activePage);
+    if (entry.active === 0) return;
+
+    const previous = entry.setups[entry.active - 1];
+    const placed = new Set(serializeObjects()
+      .filter(o => o.objectType === 'actor')
+      .map(o => actorKey(o)));
+    const actors = previous.objects.filter(o => o.objectType === 'actor' && !placed.has(actorKey(o)));
+
+    copied = actors.length;
+    if (copied > 0) recordAdded('Copied actors from previous setup', await appendObjects(actors));
+  }).then(() => copied);
+}
+
+function actorKey(actor) {
+  return actor.actorLabel + '|' + actor.actorColor;
+}
+
+// ── Exports ──
+
+// Title stamped on exports of the active setup. Plain single-setup pages
+// stay untitled.
+export function getExportTitle() {
+  const entry = getPageEntry(activePage);
+  if (entry.setups.length === 1 && !entry.setups[0].title) return '';
+  return getSetupName(entry, entry.active);
+}
+
+// Every setup of every page, for the export picker
+export function getExportTargets(totalPages) {
+  stashActiveLayer();
+  const targets = [];
+  for (let page = 1; page <= totalPages; page++) {
+    const entry = layers.get(page);
+    const setups = entry ? entry.setups : [null];
+    setups.forEach((setup, i) => {
+      targets.push({
+        page,
+        setupId: setup ? setup.id : null,
+        name: setups.length > 1 || (setup && setup.title) ? getSetupName(entry, i) : '',
+        annotated: !!setup && setup.objects.length > 0,
+        current: page === activePage && (!entry || i === entry.active),
+      });
+    });
+  }
+  return targets;
+}
+
+export function getActiveSetupId() {
+  return getActiveSetup().id;
+}
+
+// ── Project Persistence ──
+
+// page → { active, setups } for every page with content, including the live canvas
+export function getAllLayers() {
+  stashActiveLayer();
+  const pages = {};
+  layers.forEach((entry, page) => {
+    const hasContent = entry.setups.length > 1 || entry.setups.some(s => s.objects.length > 0 || s.title);
+    if (!hasContent) return;
+    pages[page] = {
+      active: entry.active,
+      setups: entry.setups.map(s => ({ id: s.id, title: s.title, objects: s.objects })),
+    };
+  });
+  return pages;
+}
+
+// Objects of a page's active setup
+export function getLayerObjects(page) {
+  const entry = layers.get(page);
+  return entry ? entry.setups[entry.active].objects : [];
+}
+
+// Replace all layers, e.g. when a project is opened. The caller loads the
+// active page's objects onto the canvas. Accepts the version 2 format too,
+// where each page is a plain object list.
+export function setLayers(pages, page) {
+  layers = new Map();
+  Object.keys(pages || {}).forEach(key => {
+    const stored = pages[key];
+    const entry = Array.isArray(stored)
+      ? { setups: [createSetup('', stored)], active: 0 }
+      : { setups: stored.setups.map(restoreSetup), active: Math.min(stored.active || 0, stored.setups.length - 1) };
+    if (entry.setups.length > 0) layers.set(Number(key), entry);
+  });
+  activePage = page || 1;
+  notifyChange();
+}
+
+function restoreSetup(stored) {
+  const setup = createSetup(stored.title || '', stored.objects || []);
+  if (stored.id) setup.id = stored.id;
+  return setup;
+}
+
+export function resetLayers() {
+  layers = new Map();
+  activePage = 1;
+  notifyChange();
+}
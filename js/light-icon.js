@@ -0,0 +1,398 @@
+/**
+ * Light Icon — Lighting fixtures with their beam, as one Fabric.js group
+ * Group layout: [0]=beam, [1]=fixture glyph, [2]=label
+ *
+ * Parts are built around the fixture at 0,0 with the beam thrown up the
+ * page, so it is the fixture that stays put while the beam, throw or
+ * fixture type is changed. The beam is tinted by the colour temperature
+ * (lightKelvin), or the gel when one is set (lightGel), and gets more
+ * opaque with lightIntensity. A flag has no beam: it casts a shadow.
+ *
+ * All lights can be hidden at once, on screen and in exports, for a
+ * clean director's version of the plan.
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { beginChange, trackInput } from './history-manager.js';
+import { escapeAttr } from './html-utils.js';
+
+const DEFAULT_KELVIN = 5600;
+const DEFAULT_INTENSITY = 80; // Percent
+const BEAM_STEPS = 16;        // Arc segments
+
+export const FIXTURES = {
+  fresnel: { name: 'Fresnel', beam: 30, throw: 160, kelvin: 3200 },
+  led: { name: 'LED panel', beam: 90, throw: 120, kelvin: 5600 },
+  hmi: { name: 'HMI', beam: 40, throw: 220, kelvin: 5600 },
+  practical: { name: 'Practical', beam: 360, throw: 60, kelvin: 2700 },
+  bounce: { name: 'Bounce', beam: 120, throw: 100, kelvin: 5600 },
+  flag: { name: 'Flag', beam: 50, throw: 80, kelvin: null },
+};
+
+const GELS = {
+  cto: { name: 'CTO', color: '#ffb46b' },
+  halfCto: { name: '½ CTO', color: '#ffd2a6' },
+  ctb: { name: 'CTB', color: '#8fb4ff' },
+  halfCtb: { name: '½ CTB', color: '#c2d6ff' },
+  plusGreen: { name: 'Plus green', color: '#9fe08a' },
+  minusGreen: { name: 'Minus green', color: '#e08ad0' },
+  straw: { name: 'Straw', color: '#f5d76e' },
+  red: { name: 'Red', color: '#e74c3c' },
+  blue: { name: 'Blue', color: '#3498db' },
+  lavender: { name: 'Lavender', color: '#b39ddb' },
+};
+
+const SHADOW_COLOR = '#000000';
+const GLYPH_FILL = '#444444';
+const GLYPH_STROKE = '#222222';
+
+// Interaction flags — not serialised by Fabric, so re-applied on restore
+const LIGHT_INTERACTION = {
+  hasControls: true,
+  hasBorders: true,
+  lockScalingX: true,
+  lockScalingY: true,
+  subTargetCheck: false,
+};
+
+const LIGHT_CONTROLS = {
+  tl: false, tr: false, bl: false, br: false,
+  ml: false, mr: false, mt: false, mb: false,
+  mtr: true,
+};
+
+let lightsHidden = false;
+
+// ── Create / Restore ──
+
+export function createLightIcon(x, y, options = {}) {
+  const fixture = FIXTURES[options.fixture] ? options.fixture : 'fresnel';
+  const defaults = FIXTURES[fixture];
+  const data = {
+    lightFixture: fixture,
+    lightBeam: defaults.beam,
+    lightThrow: defaults.throw,
+    lightIntensity: DEFAULT_INTENSITY,
+    lightKelvin: defaults.kelvin || DEFAULT_KELVIN,
+    lightGel: null,
+    lightLabel: options.label || '',
+  };
+
+  const group = new fabric.Group(buildParts(data), {
+    originX: 'center',
+    originY: 'center',
+    ...LIGHT_INTERACTION,
+    objectType: 'light',
+    ...data,
+  });
+  group.setControlsVisibility(LIGHT_CONTROLS);
+
+  // The group centres on its bounds; shift it so the fixture is at x, y
+  const fixturePoint = group.getObjects()[1].getCenterPoint();
+  group.set({ left: group.left + x - fixturePoint.x, top: group.top + y - fixturePoint.y });
+  group.set({ visible: !lightsHidden });
+  group.setCoords();
+
+  return group;
+}
+
+export function restoreLightIcon(light) {
+  if (!light || light.objectType !== 'light') return;
+  light.set(LIGHT_INTERACTION);
+  light.setControlsVisibility(LIGHT_CONTROLS);
+  light.set({ visible: !lightsHidden });
+}
+
+// Plan position of the fixture itself, whatever the rotation
+export function getLightPosition(light) {
+  return light.getObjects()[1].getCenterPoint();
+}
+
+// Applies any light* properties and builds the parts again
+export function updateLight(light, changes) {
+  if (!light || light.objectType !== 'light') return;
+  const fixturePoint = getLightPosition(light);
+  const angle = light.angle || 0;
+  const scale = light.scaleX || 1;
+  light.set(changes);
+
+  // Group.add() takes objects in canvas coordinates. The new parts go in
+  // before the old come out, so the layout never sees an empty group.
+  const oldParts = light.getObjects().slice();
+  const parts = buildParts(light);
+  parts.forEach(part => placePart(part, fixturePoint, angle, scale));
+  light.add(...parts);
+  light.remove(...oldParts);
+
+  light.setCoords();
+  light.dirty = true;
+  getCanvas().requestRenderAll();
+}
+
+// Parts are built around the fixture at 0,0; move one onto the canvas
+// around fixturePoint, turned and scaled with the light
+function placePart(part, fixturePoint, angle, scale) {
+  const offset = fabric.util.rotateVector(
+    new fabric.Point(part.left * scale, part.top * scale),
+    fabric.util.degreesToRadians(angle),
+  );
+  part.set({ left: fixturePoint.x + offset.x, top: fixturePoint.y + offset.y, angle, scaleX: scale, scaleY: scale });
+}
+
+// ── Colour ──
+
+// The gel when one is set, else the colour temperature; null for a flag
+export function getLightTint(light) {
+  if (light.lightFixture === 'flag') return null;
+  if (light.lightGel && GELS[light.lightGel]) return GELS[light.lightGel].color;
+  return kelvinToHex(light.lightKelvin || DEFAULT_KELVIN);
+}
+
+// Black-body colour, after Tanner Helland's fit
+function kelvinToHex(kelvin) {
+  const t = kelvin / 100;
+  const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const g = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  return '#' + [r, g, b].map(c => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToRgba(hex, alpha) {
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  return `rgba(${r},${g},${b},${alpha})`;
+}
+
+// "Fresnel · 30° · 80% · 3200K", "HMI · 40° · 100% · 5600K + CTO"
+export function describeLight(light) {
+  const fixture = FIXTURES[light.lightFixture] || FIXTURES.fresnel;
+  const parts = [fixture.name];
+  if (light.lightBeam < 360) parts.push(`${light.lightBeam}°`);
+  if (light.lightFixture !== 'flag') {
+    parts.push(`${light.lightIntensity}%`);
+    const gel = GELS[light.lightGel];
+    parts.push(`${light.lightKelvin}K${gel ? ` + ${gel.name}` : ''}`);
+  }
+  return parts.join(' · ');
+}
+
+// ── Parts ──
+
+function buildParts(data) {
+  const tint = getLightTint(data);
+  return [buildBeam(data, tint), buildGlyph(data.lightFixture, tint), buildLabel(data.lightLabel)];
+}
+
+// A wedge thrown up the page from the fixture, or a pool all round it
+function buildBeam({ lightFixture, lightBeam, lightThrow, lightIntensity }, tint) {
+  const isShadow = lightFixture === 'flag';
+  const alpha = isShadow ? 0.18 : 0.08 + 0.32 * (lightIntensity / 100);
+  const style = {
+    fill: hexToRgba(isShadow ? SHADOW_COLOR : tint, alpha),
+    stroke: hexToRgba(isShadow ? SHADOW_COLOR : tint, Math.min(1, alpha + 0.35)),
+    strokeWidth: 1,
+    strokeDashArray: lightFixture === 'bounce' ? [4, 4] : null,
+    originX: 'center',
+    originY: 'center',
+  };
+
+  if (lightBeam >= 360) {
+    return new fabric.Circle({ ...style, radius: lightThrow, left: 0, top: 0 });
+  }
+
+  const half = fabric.util.degreesToRadians(lightBeam / 2);
+  const points = [{ x: 0, y: 0 }];
+  for (let i = 0; i <= BEAM_STEPS; i++) {
+    const a = -half + (2 * half * i) / BEAM_STEPS;
+    points.push({ x: Math.sin(a) * lightThrow, y: -Math.cos(a) * lightThrow });
+  }
+  return new fabric.Polygon(points, style);
+}
+
+// The fixture, front facing up
+function buildGlyph(fixture, tint) {
+  const lens = tint || GLYPH_FILL;
+  const base = { stroke: GLYPH_STROKE, strokeWidth: 1.5, originX: 'center', originY: 'center' };
+  let shapes;
+
+  switch (fixture) {
+    case 'led':
+      shapes = [
+        new fabric.Rect({ ...base, width: 28, height: 16, fill: GLYPH_FILL, left: 0, top: 0 }),
+        new fabric.Rect({ ...base, width: 22, height: 4, fill: lens, strokeWidth: 0.5, left: 0, top: -4 }),
+      ];
+      break;
+    case 'hmi':
+      shapes = [
+        new fabric.Rect({ ...base, width: 22, height: 20, rx: 3, ry: 3, fill: GLYPH_FILL, left: 0, top: 0 }),
+        new fabric.Circle({ ...base, radius: 6, fill: lens, left: 0, top: -2 }),
+        new fabric.Rect({ ...base, width: 12, height: 5, fill: GLYPH_STROKE, left: 0, top: 14 }),
+      ];
+      break;
+    case 'practical':
+      shapes = [
+        new fabric.Circle({ ...base, radius: 9, fill: lens, left: 0, top: 0 }),
+        new fabric.Line([-6, -6, 6, 6], { ...base, fill: null }),
+        new fabric.Line([6, -6, -6, 6], { ...base, fill: null }),
+      ];
+      break;
+    case 'bounce':
+      shapes = [new fabric.Rect({ ...base, width: 32, height: 5, fill: '#ffffff', stroke: '#666666', left: 0, top: 0 })];
+      break;
+    case 'flag':
+      shapes = [new fabric.Rect({ ...base, width: 32, height: 5, fill: '#111111', left: 0, top: 0 })];
+      break;
+    default: // fresnel
+      shapes = [
+        new fabric.Circle({ ...base, radius: 10, fill: GLYPH_FILL, left: 0, top: 0 }),
+        new fabric.Circle({ ...base, radius: 5, fill: lens, strokeWidth: 0.5, left: 0, top: 0 }),
+        new fabric.Line([-10, -10, -15, -16], { ...base, fill: null, strokeWidth: 2 }),
+        new fabric.Line([10, -10, 15, -16], { ...base, fill: null, strokeWidth: 2 }),
+      ];
+  }
+
+  return new fabric.Group(shapes, { left: 0, top: 0, originX: 'center', originY: 'center' });
+}
+
+function buildLabel(label) {
+  return new fabric.FabricText(label || '', {
+    fontSize: 10,
+    fontWeight: 'bold',
+    fontFamily: '-apple-system, sans-serif',
+    fill: '#333',
+    backgroundColor: 'rgba(255,255,255,0.7)',
+    originX: 'center',
+    originY: 'center',
+    left: 0,
+    top: 22,
+    visible: !!label,
+  });
+}
+
+// ── Visibility ──
+
+export function areLightsHidden() {
+  return lightsHidden;
+}
+
+// Hides or shows every light, on screen and in exports
+export function setLightsHidden(hidden) {
+  lightsHidden = hidden;
+  const canvas = getCanvas();
+  const active = canvas.getActiveObject();
+  if (hidden && active && (active.objectType === 'light' ||
+      (active.type === 'activeselection' && active.getObjects().some(o => o.objectType === 'light')))) {
+    canvas.discardActiveObject();
+  }
+  canvas.getObjects().filter(o => o.objectType === 'light').forEach(o => o.set({ visible: !hidden }));
+  canvas.requestRenderAll();
+}
+
+// Visible lights for an export legend, in canvas order
+export function getLightingLegend() {
+  if (lightsHidden) return [];
+  return getCanvas().getObjects()
+    .filter(o => o.objectType === 'light')
+    .map((light, i) => ({
+      label: light.lightLabel || `L${i + 1}`,
+      color: getLightTint(light) || SHADOW_COLOR,
+      text: describeLight(light),
+    }));
+}
+
+// ── Properties Panel ──
+
+export function renderLightProperties(light) {
+  const container = document.getElementById('panel-content');
+  const isFlag = light.lightFixture === 'flag';
+  const isPool = light.lightBeam >= 360;
+
+  container.innerHTML = `
+    <div class="prop-group">
+      <label class="prop-label">Label</label>
+      <input type="text" class="prop-input" id="light-label" value="${escapeAttr(light.lightLabel)}" maxlength="6" placeholder="L1">
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Fixture</label>
+      <select class="prop-input" id="light-fixture">
+        ${Object.entries(FIXTURES).map(([key, f]) => `
+          <option value="${key}" ${key === light.lightFixture ? 'selected' : ''}>${f.name}</option>
+        `).join('')}
+      </select>
+    </div>
+    ${isPool ? '' : `
+      <div class="prop-group">
+        <label class="prop-label">${isFlag ? 'Shadow' : 'Beam'}: <span id="light-beam-val">${light.lightBeam}</span>&deg;</label>
+        <input type="range" class="prop-range" id="light-beam" min="5" max="180" value="${light.lightBeam}">
+      </div>
+    `}
+    <div class="prop-group">
+      <label class="prop-label">Throw: <span id="light-throw-val">${light.lightThrow}</span></label>
+      <input type="range" class="prop-range" id="light-throw" min="20" max="400" value="${light.lightThrow}">
+    </div>
+    ${isFlag ? '' : `
+      <div class="prop-group">
+        <label class="prop-label">Intensity: <span id="light-intensity-val">${light.lightIntensity}</span>%</label>
+        <input type="range" class="prop-range" id="light-intensity" min="0" max="100" step="5" value="${light.lightIntensity}">
+      </div>
+      <div class="prop-group">
+        <label class="prop-label">Colour temperature: <span id="light-kelvin-val">${light.lightKelvin}</span>K</label>
+        <input type="range" class="prop-range" id="light-kelvin" min="2000" max="10000" step="100" value="${light.lightKelvin}">
+      </div>
+      <div class="prop-group">
+        <label class="prop-label">Gel</label>
+        <select class="prop-input" id="light-gel">
+          <option value="">None</option>
+          ${Object.entries(GELS).map(([key, g]) => `
+            <option value="${key}" ${key === light.lightGel ? 'selected' : ''}>${g.name}</option>
+          `).join('')}
+        </select>
+      </div>
+    `}
+  `;
+
+  const labelInput = document.getElementById('light-label');
+  trackInput(labelInput, [light], 'Renamed light');
+  labelInput.addEventListener('input', () => {
+    updateLight(light, { lightLabel: labelInput.value.trim() });
+  });
+
+  // A new fixture type starts from its own beam, throw and colour
+  document.getElementById('light-fixture').addEventListener('change', (e) => {
+    const defaults = FIXTURES[e.target.value];
+    const change = beginChange([light]);
+    updateLight(light, {
+      lightFixture: e.target.value,
+      lightBeam: defaults.beam,
+      lightThrow: defaults.throw,
+      lightKelvin: defaults.kelvin || light.lightKelvin,
+    });
+    change.commit('Changed light fixture');
+    renderLightProperties(light);
+  });
+
+  setupSlider(light, 'light-beam', 'lightBeam', 'Changed beam angle');
+  setupSlider(light, 'light-throw', 'lightThrow', 'Changed light throw');
+  setupSlider(light, 'light-intensity', 'lightIntensity', 'Changed light intensity');
+  setupSlider(light, 'light-kelvin', 'lightKelvin', 'Changed colour temperature');
+
+  const gelSelect = document.getElementById('light-gel');
+  if (gelSelect) {
+    gelSelect.addEventListener('change', () => {
+      const change = beginChange([light]);
+      updateLight(light, { lightGel: gelSelect.value || null });
+      change.commit(gelSelect.value ? 'Gelled light' : 'Removed gel');
+    });
+  }
+}
+
+function setupSlider(light, id, prop, label) {
+  const input = document.getElementById(id);
+  if (!input) return;
+  trackInput(input, [light], label);
+  input.addEventListener('input', () => {
+    document.getElementById(`${id}-val`).textContent = input.value;
+    updateLight(light, { [prop]: Number(input.value) });
+  });
+}
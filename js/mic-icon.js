@@ -0,0 +1,430 @@
+/**
+ * Mic Icon — Sound department placement, as one Fabric.js group
+ * Group layout: [0]=pickup pattern, [1]=mic glyph, [2]=label
+ *
+ * Three kinds (micType): a boom, drawn from where the operator stands with
+ * the pole's reach (micReach) and a cardioid at its tip; a plant mic with
+ * its cardioid; and a lav, an omni pickup worn by a roster character
+ * (micCharacter) that rides on that actor's shoulder wherever they go.
+ * micRange sets the size of the pickup pattern. Parts are built around
+ * the mic glyph at 0,0, facing up the page.
+ *
+ * A boom operator standing inside any camera's view gets a warning badge,
+ * painted onto the live canvas only, and moving one into shot reports it
+ * through the warning callback. All mics can be hidden at once, on screen
+ * and in exports.
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { beginChange, trackInput } from './history-manager.js';
+import { getCamerasSeeingPoint } from './camera-icon.js';
+import { getCharacters } from './character-roster.js';
+import { escapeHtml, escapeAttr } from './html-utils.js';
+
+export const MIC_TYPES = {
+  boom: { name: 'Boom', letter: 'B', reach: 150, range: 70 },
+  plant: { name: 'Plant mic', letter: 'P', reach: 0, range: 90 },
+  lav: { name: 'Lav', letter: 'L', reach: 0, range: 30 },
+};
+
+const SOUND_COLOR = '#16a085';
+const WARNING_COLOR = '#e74c3c';
+const BADGE_RADIUS = 8;
+const PATTERN_STEPS = 32;
+const LAV_OFFSET = { x: 14, y: -14 }; // Clipped on the wearer's shoulder
+
+// Interaction flags — not serialised by Fabric, so re-applied on restore
+const MIC_INTERACTION = {
+  hasControls: true,
+  hasBorders: true,
+  lockScalingX: true,
+  lockScalingY: true,
+  subTargetCheck: false,
+};
+
+const MIC_CONTROLS = {
+  tl: false, tr: false, bl: false, br: false,
+  ml: false, mr: false, mt: false, mb: false,
+  mtr: true,
+};
+
+let micsHidden = false;
+let boomsInShot = new Set();
+let onWarning = null;
+
+// ── Init ──
+
+export function initMicIcon(warningCallback) {
+  onWarning = warningCallback;
+  const canvas = getCanvas();
+
+  canvas.on('object:moving', (e) => {
+    if (movesActors(e.target)) syncLavs();
+  });
+
+  canvas.on('object:modified', (e) => {
+    if (movesActors(e.target)) syncLavs();
+    checkBoomPositions();
+  });
+
+  canvas.on('after:render', ({ ctx }) => {
+    // Only the on-screen canvas; exports render to their own contexts
+    if (ctx === canvas.getContext()) drawWarnings(ctx);
+  });
+}
+
+function movesActors(target) {
+  if (!target) return false;
+  if (target.objectType === 'actor') return true;
+  return target.type === 'activeselection' && target.getObjects().some(o => o.objectType === 'actor');
+}
+
+// ── Create / Restore ──
+
+export function createMicIcon(x, y, options = {}) {
+  const micType = MIC_TYPES[options.type] ? options.type : 'boom';
+  const data = {
+    micType,
+    micReach: MIC_TYPES[micType].reach,
+    micRange: MIC_TYPES[micType].range,
+    micCharacter: options.characterId || null,
+    micLabel: options.label || '',
+  };
+
+  const group = new fabric.Group(buildParts(data), {
+    originX: 'center',
+    originY: 'center',
+    objectType: 'mic',
+    ...data,
+  });
+  applyInteraction(group);
+
+  moveMicTo(group, new fabric.Point(x, y));
+  group.set({ visible: !micsHidden });
+  return group;
+}
+
+export function restoreMicIcon(mic) {
+  if (!mic || mic.objectType !== 'mic') return;
+  applyInteraction(mic);
+  mic.set({ visible: !micsHidden });
+}
+
+// Lavs go where their wearer goes, so they cannot be dragged off
+function applyInteraction(mic) {
+  const worn = mic.micType === 'lav' && !!mic.micCharacter;
+  mic.set({ ...MIC_INTERACTION, lockMovementX: worn, lockMovementY: worn });
+  mic.setControlsVisibility({ ...MIC_CONTROLS, mtr: mic.micType !== 'lav' });
+}
+
+// Plan position of the mic glyph — the operator for a boom
+export function getMicPosition(mic) {
+  return mic.getObjects()[1].getCenterPoint();
+}
+
+// The group centres on its bounds; shift it so the glyph lands on point
+function moveMicTo(mic, point) {
+  const current = getMicPosition(mic);
+  mic.set({ left: mic.left + point.x - current.x, top: mic.top + point.y - current.y });
+  mic.setCoords();
+}
+
+// Applies any mic* properties and builds the parts again
+export function updateMic(mic, changes) {
+  if (!mic || mic.objectType !== 'mic') return;
+  const micPoint = getMicPosition(mic);
+  const angle = mic.angle || 0;
+  const scale = mic.scaleX || 1;
+  mic.set(changes);
+
+  // Group.add() takes objects in canvas coordinates. The new parts go in
+  // before the old come out, so the layout never sees an empty group.
+  const oldParts = mic.getObjects().slice();
+  const parts = buildParts(mic);
+  parts.forEach(part => placePart(part, micPoint, angle, scale));
+  mic.add(...parts);
+  mic.remove(...oldParts);
+
+  applyInteraction(mic);
+  mic.setCoords();
+  mic.dirty = true;
+  syncLavs();
+  checkBoomPositions(false);
+  getCanvas().requestRenderAll();
+}
+
+// Parts are built around the glyph at 0,0; move one onto the canvas
+// around micPoint, turned and scaled with the mic
+function placePart(part, micPoint, angle, scale) {
+  const offset = fabric.util.rotateVector(
+    new fabric.Point(part.left * scale, part.top * scale),
+    fabric.util.degreesToRadians(angle),
+  );
+  part.set({ left: micPoint.x + offset.x, top: micPoint.y + offset.y, angle, scaleX: scale, scaleY: scale });
+}
+
+// ── Parts ──
+
+function buildParts(data) {
+  return [buildPattern(data), buildGlyph(data.micType), buildLabel(getMicLabel(data))];
+}
+
+function buildPattern({ micType, micReach, micRange }) {
+  const style = {
+    fill: 'rgba(22, 160, 133, 0.15)',
+    stroke: SOUND_COLOR,
+    strokeWidth: 1,
+  };
+
+  if (micType === 'lav') {
+    return new fabric.Circle({
+      ...style, radius: micRange, left: 0, top: 0, originX: 'center', originY: 'center', strokeDashArray: [3, 3],
+    });
+  }
+  if (micType === 'plant') {
+    return new fabric.Polygon(cardioidPoints(0, micRange), { ...style, originX: 'center', originY: 'center' });
+  }
+
+  // Boom: how far the pole reaches, the pole, and the mic at its tip
+  const reach = new fabric.Circle({
+    radius: micReach, left: 0, top: 0, originX: 'center', originY: 'center',
+    fill: null, stroke: SOUND_COLOR, strokeWidth: 1, strokeDashArray: [6, 4],
+  });
+  const pole = new fabric.Line([0, 0, 0, -micReach], { stroke: SOUND_COLOR, strokeWidth: 2 });
+  const pickup = new fabric.Polygon(cardioidPoints(-micReach, micRange), style);
+  return new fabric.Group([reach, pole, pickup], { left: 0, top: 0, originX: 'center', originY: 'center' });
+}
+
+// Cardioid facing up the page from a mic at 0,tipY
+function cardioidPoints(tipY, range) {
+  const points = [];
+  for (let i = 0; i < PATTERN_STEPS; i++) {
+    const a = (2 * Math.PI * i) / PATTERN_STEPS;
+    const r = range * (1 + Math.cos(a)) / 2;
+    points.push({ x: Math.sin(a) * r, y: tipY - Math.cos(a) * r });
+  }
+  return points;
+}
+
+function buildGlyph(micType) {
+  const type = MIC_TYPES[micType];
+  const radius = micType === 'lav' ? 6 : 9;
+  const ring = new fabric.Circle({
+    radius, fill: '#222222', stroke: SOUND_COLOR, strokeWidth: 2,
+    left: 0, top: 0, originX: 'center', originY: 'center',
+  });
+  const letter = new fabric.FabricText(type.letter, {
+    fontSize: radius + 2,
+    fontWeight: 'bold',
+    fontFamily: '-apple-system, sans-serif',
+    fill: '#ffffff',
+    originX: 'center',
+    originY: 'center',
+    left: 0,
+    top: 0.5,
+  });
+  return new fabric.Group([ring, letter], { left: 0, top: 0, originX: 'center', originY: 'center' });
+}
+
+function buildLabel(label) {
+  return new fabric.FabricText(label || '', {
+    fontSize: 10,
+    fontWeight: 'bold',
+    fontFamily: '-apple-system, sans-serif',
+    fill: SOUND_COLOR,
+    backgroundColor: 'rgba(255,255,255,0.7)',
+    originX: 'center',
+    originY: 'center',
+    left: 0,
+    top: 18,
+    visible: !!label,
+  });
+}
+
+// The mic's own label, else its wearer's name for a lav
+function getMicLabel({ micType, micLabel, micCharacter }) {
+  if (micLabel || micType !== 'lav') return micLabel;
+  const wearer = getCharacters().find(c => c.id === micCharacter);
+  return wearer ? wearer.name : '';
+}
+
+// "Boom B", "Lav on Marcus"
+export function describeMic(mic) {
+  const type = MIC_TYPES[mic.micType] || MIC_TYPES.boom;
+  const wearer = mic.micType === 'lav' && getCharacters().find(c => c.id === mic.micCharacter);
+  if (wearer) return `${type.name} on ${wearer.name}`;
+  return `${type.name} ${mic.micLabel || ''}`.trim();
+}
+
+// ── Lavs ──
+
+// Each worn lav on the shoulder of the actor matching its character
+export function syncLavs() {
+  const canvas = getCanvas();
+  const actors = canvas.getObjects().filter(o => o.objectType === 'actor');
+  canvas.getObjects().forEach(mic => {
+    if (mic.objectType !== 'mic' || mic.micType !== 'lav' || !mic.micCharacter || mic.group) return;
+    const wearer = findWearer(mic.micCharacter, actors);
+    if (!wearer) return;
+    const { x, y } = wearer.getCenterPoint();
+    moveMicTo(mic, new fabric.Point(x + LAV_OFFSET.x, y + LAV_OFFSET.y));
+  });
+}
+
+function findWearer(characterId, actors) {
+  const character = getCharacters().find(c => c.id === characterId);
+  if (!character) return null;
+  return actors.find(a => a.actorLabel === character.label && a.actorColor === character.color) || null;
+}
+
+// ── Boom Warnings ──
+
+// Re-checks every boom operator against every camera's view, reporting
+// the ones that just walked into shot
+export function checkBoomPositions(report = true) {
+  const inShot = new Set(getCanvas().getObjects().filter(o =>
+    o.objectType === 'mic' && o.micType === 'boom' && getCamerasSeeingPoint(getMicPosition(o)).length > 0));
+  const entered = [...inShot].filter(mic => !boomsInShot.has(mic));
+  boomsInShot = inShot;
+
+  if (report && entered.length > 0 && onWarning) {
+    const names = entered.map(m => describeMic(m)).join(', ');
+    onWarning(`${names} ${entered.length === 1 ? 'is' : 'are'} standing in shot`);
+  }
+}
+
+function drawWarnings(ctx) {
+  if (boomsInShot.size === 0) return;
+  const canvas = getCanvas();
+  const zoom = canvas.getZoom();
+
+  ctx.save();
+  ctx.transform(...canvas.viewportTransform);
+  boomsInShot.forEach(mic => {
+    if (!mic.canvas || !mic.visible) return;
+    const { x, y } = getMicPosition(mic);
+    const radius = BADGE_RADIUS / zoom;
+    const badgeX = x + 12 / zoom;
+    const badgeY = y - 12 / zoom;
+
+    ctx.beginPath();
+    ctx.arc(badgeX, badgeY, radius, 0, Math.PI * 2);
+    ctx.fillStyle = WARNING_COLOR;
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${12 / zoom}px -apple-system, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('!', badgeX, badgeY + 0.5 / zoom);
+  });
+  ctx.restore();
+}
+
+// ── Visibility ──
+
+export function areMicsHidden() {
+  return micsHidden;
+}
+
+// Hides or shows every mic, on screen and in exports
+export function setMicsHidden(hidden) {
+  micsHidden = hidden;
+  const canvas = getCanvas();
+  const active = canvas.getActiveObject();
+  if (hidden && active && (active.objectType === 'mic' ||
+      (active.type === 'activeselection' && active.getObjects().some(o => o.objectType === 'mic')))) {
+    canvas.discardActiveObject();
+  }
+  canvas.getObjects().filter(o => o.objectType === 'mic').forEach(o => o.set({ visible: !hidden }));
+  canvas.requestRenderAll();
+}
+
+// ── Properties Panel ──
+
+export function renderMicProperties(mic) {
+  const container = document.getElementById('panel-content');
+  const wearers = getCharacters().filter(c => c.type === 'actor');
+  const cameras = mic.micType === 'boom' ? getCamerasSeeingPoint(getMicPosition(mic)) : [];
+
+  container.innerHTML = `
+    <div class="prop-group">
+      <label class="prop-label">Label</label>
+      <input type="text" class="prop-input" id="mic-label" value="${escapeAttr(mic.micLabel)}" maxlength="6"
+             placeholder="${mic.micType === 'lav' ? 'Wearer' : 'B1'}">
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Type</label>
+      <select class="prop-input" id="mic-type">
+        ${Object.entries(MIC_TYPES).map(([key, t]) => `
+          <option value="${key}" ${key === mic.micType ? 'selected' : ''}>${t.name}</option>
+        `).join('')}
+      </select>
+    </div>
+    ${mic.micType === 'lav' ? `
+      <div class="prop-group">
+        <label class="prop-label">Worn by</label>
+        <select class="prop-input" id="mic-wearer">
+          <option value="">Nobody</option>
+          ${wearers.map(c => `
+            <option value="${c.id}" ${c.id === mic.micCharacter ? 'selected' : ''}>${escapeHtml(c.name)}</option>
+          `).join('')}
+        </select>
+      </div>
+    ` : ''}
+    ${mic.micType === 'boom' ? `
+      <div class="prop-group">
+        <label class="prop-label">Reach: <span id="mic-reach-val">${mic.micReach}</span></label>
+        <input type="range" class="prop-range" id="mic-reach" min="40" max="300" value="${mic.micReach}">
+      </div>
+    ` : ''}
+    <div class="prop-group">
+      <label class="prop-label">Pickup: <span id="mic-range-val">${mic.micRange}</span></label>
+      <input type="range" class="prop-range" id="mic-range" min="10" max="200" value="${mic.micRange}">
+    </div>
+    ${mic.micType === 'boom' ? `
+      <div class="prop-group">
+        <label class="prop-label">Cameras that see the operator</label>
+        ${cameras.length > 0
+          ? `<div class="prop-text">${cameras.map(c => escapeHtml(c.cameraLabel || 'Unlabelled camera')).join(', ')}</div>`
+          : '<div class="prop-hint">None — the operator is out of shot</div>'}
+      </div>
+    ` : ''}
+  `;
+
+  const labelInput = document.getElementById('mic-label');
+  trackInput(labelInput, [mic], 'Renamed mic');
+  labelInput.addEventListener('input', () => {
+    updateMic(mic, { micLabel: labelInput.value.trim() });
+  });
+
+  // A new type starts from its own reach and pickup
+  document.getElementById('mic-type').addEventListener('change', (e) => {
+    const type = MIC_TYPES[e.target.value];
+    const change = beginChange([mic]);
+    updateMic(mic, { micType: e.target.value, micReach: type.reach, micRange: type.range });
+    change.commit('Changed mic type');
+    renderMicProperties(mic);
+  });
+
+  const wearerSelect = document.getElementById('mic-wearer');
+  if (wearerSelect) {
+    wearerSelect.addEventListener('change', () => {
+      const change = beginChange([mic]);
+      updateMic(mic, { micCharacter: wearerSelect.value || null });
+      change.commit(wearerSelect.value ? 'Put lav on ' + wearerSelect.selectedOptions[0].textContent.trim() : 'Took lav off');
+    });
+  }
+
+  setupSlider(mic, 'mic-reach', 'micReach', 'Changed boom reach');
+  setupSlider(mic, 'mic-range', 'micRange', 'Changed mic pickup');
+}
+
+function setupSlider(mic, id, prop, label) {
+  const input = document.getElementById(id);
+  if (!input) return;
+  trackInput(input, [mic], label);
+  input.addEventListener('input', () => {
+    document.getElementById(`${id}-val`).textContent = input.value;
+    updateMic(mic, { [prop]: Number(input.value) });
+  });
+}
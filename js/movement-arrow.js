@@ -2,15 +2,53 @@
  * Movement Arrow — Smooth curve with arrowhead and multiple draggable control points
  * Uses Catmull-Rom spline converted to cubic Bezier segments.
  * Long-press on the curve to add new control points for finer control.
+ * A camera arrow can also be laid as dolly track (arrowData.track): rails
+ * and sleepers drawn under the curve, straight or curved with it.
+ *
+ * A camera arrow drawn from a camera is bound to it (arrowData.camera):
+ * the camera stands on the start, a ghost at the end shows the framing it
+ * ends on (pan angle and FOV), and dragging the camera carries the move.
  */
 
 import { getCanvas } from './canvas-manager.js';
+import { beginChange, trackInput } from './history-manager.js';
+import { formatDistance } from './scale-manager.js';
+import { getCameraPosition } from './camera-icon.js';
 
 const ARROW_HEAD_SIZE = 10;
 const CONTROL_POINT_RADIUS = 6;
 const CONTROL_POINT_HIT_PADDING = 12;
 const CATMULL_ROM_TENSION = 6;
 const MIN_CP_DISTANCE = 20; // Minimum distance between control points
+export const SAMPLES_PER_CURVE = 24;
+export const ARROW_ATTACH_DISTANCE = 60; // Arrow start → actor centre or camera position, for it to move that icon
+const TRACK_GAUGE = 10;           // Distance between the rails
+const TRACK_SLEEPER_SPACING = 12;
+const CAMERA_SNAP_DISTANCE = 20;  // Camera position → arrow start, for it to follow the start handle
+
+// The end ghost only turns; its position is the arrow's end
+const GHOST_INTERACTION = {
+  hasControls: true,
+  hasBorders: true,
+  lockMovementX: true,
+  lockMovementY: true,
+  lockScalingX: true,
+  lockScalingY: true,
+  objectCaching: false,
+};
+
+const GHOST_CONTROLS = {
+  tl: false, tr: false, bl: false, br: false,
+  ml: false, mr: false, mt: false, mb: false,
+  mtr: true,
+};
+
+// arrowId → 'object:moving' / 'object:rotating' handler, so listeners can
+// be detached on remove/restore
+const dragHandlers = new Map();
+
+// Camera → its position (the apex) when the current drag last moved it
+const carriedCameras = new Map();
 
 const PRESET_COLORS = [
   '#e74c3c', '#3498db', '#2ecc71', '#f1c40f',
@@ -60,6 +98,42 @@ function buildCatmullRomPath(points) {
   return { pathStr, lastCP2 };
 }
 
+// Points along the drawn curve, for path lengths and playback
+export function sampleArrowPath(data) {
+  const pts = getAllPoints(data);
+  if (pts.length === 2) return pts;
+
+  const points = [pts[0]];
+  for (let i = 0; i < pts.length - 1; i++) {
+    const p0 = pts[Math.max(0, i - 1)];
+    const p1 = pts[i];
+    const p2 = pts[i + 1];
+    const p3 = pts[Math.min(pts.length - 1, i + 2)];
+    const c1 = { x: p1.x + (p2.x - p0.x) / CATMULL_ROM_TENSION, y: p1.y + (p2.y - p0.y) / CATMULL_ROM_TENSION };
+    const c2 = { x: p2.x - (p3.x - p1.x) / CATMULL_ROM_TENSION, y: p2.y - (p3.y - p1.y) / CATMULL_ROM_TENSION };
+
+    for (let s = 1; s <= SAMPLES_PER_CURVE; s++) {
+      const t = s / SAMPLES_PER_CURVE;
+      const u = 1 - t;
+      points.push({
+        x: u * u * u * p1.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * p2.x,
+        y: u * u * u * p1.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * p2.y,
+      });
+    }
+  }
+  return points;
+}
+
+// Path length in plan px
+export function getArrowLength(data) {
+  const points = sampleArrowPath(data);
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
 function distToSegment(px, py, x1, y1, x2, y2) {
   const dx = x2 - x1;
   const dy = y2 - y1;
@@ -124,6 +198,76 @@ function buildArrowHead(x, y, angle, color) {
   return triangle;
 }
 
+// Two rails either side of the curve, with a sleeper every few px
+function buildTrack(data) {
+  const points = sampleArrowPath(data);
+  const half = TRACK_GAUGE / 2;
+  const left = [];
+  const right = [];
+  const sleepers = [];
+  let travelled = 0;
+  let nextSleeper = 0;
+
+  points.forEach((p, i) => {
+    const prev = points[Math.max(0, i - 1)];
+    const next = points[Math.min(points.length - 1, i + 1)];
+    const length = Math.hypot(next.x - prev.x, next.y - prev.y) || 1;
+    const nx = -(next.y - prev.y) / length;
+    const ny = (next.x - prev.x) / length;
+    left.push(`${p.x + nx * half} ${p.y + ny * half}`);
+    right.push(`${p.x - nx * half} ${p.y - ny * half}`);
+
+    if (i > 0) travelled += Math.hypot(p.x - points[i - 1].x, p.y - points[i - 1].y);
+    if (travelled >= nextSleeper) {
+      const reach = half + 2;
+      sleepers.push(`M ${p.x + nx * reach} ${p.y + ny * reach} L ${p.x - nx * reach} ${p.y - ny * reach}`);
+      nextSleeper = travelled + TRACK_SLEEPER_SPACING;
+    }
+  });
+
+  const track = new fabric.Path(`M ${left.join(' L ')} M ${right.join(' L ')} ${sleepers.join(' ')}`, {
+    fill: null,
+    stroke: data.color,
+    strokeWidth: 1.5,
+    strokeLineCap: 'round',
+    opacity: 0.8,
+    objectCaching: false,
+    selectable: false,
+    evented: false,
+  });
+  track.objectType = 'arrowTrack';
+  return track;
+}
+
+// The bound camera as it ends the move: end pan angle and FOV, its apex on
+// the arrow's end the way the camera stands on its start. Turning it pivots
+// on the apex too.
+function buildGhost(data) {
+  const { angle, fov, coneLength } = data.camera;
+  const halfWidth = Math.tan(fabric.util.degreesToRadians(fov / 2)) * coneLength;
+  const ghost = new fabric.Polygon([
+    { x: 0, y: coneLength / 2 },
+    { x: -halfWidth, y: -coneLength / 2 },
+    { x: halfWidth, y: -coneLength / 2 },
+  ], {
+    left: data.endX,
+    top: data.endY,
+    originX: 'center',
+    originY: 'bottom',
+    centeredRotation: false,
+    angle,
+    fill: data.color,
+    stroke: data.color,
+    strokeWidth: 1.5,
+    strokeDashArray: [4, 3],
+    opacity: 0.4,
+    ...GHOST_INTERACTION,
+  });
+  ghost.setControlsVisibility(GHOST_CONTROLS);
+  ghost.objectType = 'arrowGhost';
+  return ghost;
+}
+
 function buildControlPointCircle(x, y, cpIndex) {
   const circle = new fabric.Circle({
     left: x,
@@ -172,6 +316,8 @@ function getArrowParts(arrowId) {
   return {
     path: objects.find(o => o.arrowId === arrowId && o.objectType === 'movementArrow'),
     arrowHead: objects.find(o => o.arrowId === arrowId && o.objectType === 'arrowHead'),
+    track: objects.find(o => o.arrowId === arrowId && o.objectType === 'arrowTrack'),
+    ghost: objects.find(o => o.arrowId === arrowId && o.objectType === 'arrowGhost'),
     controlPoints: objects
       .filter(o => o.arrowId === arrowId && o.objectType === 'controlPoint')
       .sort((a, b) => a.cpIndex - b.cpIndex),
@@ -180,6 +326,11 @@ function getArrowParts(arrowId) {
   };
 }
 
+// Every canvas object of an arrow — the unit history records it as
+export function getArrowObjects(arrowId) {
+  return getCanvas().getObjects().filter(o => o.arrowId === arrowId);
+}
+
 // ── Arrow Creation ──
 
 export function createMovementArrow(startX, startY, endX, endY, options = {}) {
@@ -208,8 +359,29 @@ export function createMovementArrow(startX, startY, endX, endY, options = {}) {
     color,
     lineWidth,
     strokeDashArray,
+    track: !!options.track,
+    camera: options.camera ? {
+      id: options.camera.objectId,
+      angle: options.camera.angle || 0,
+      fov: options.camera.cameraFov,
+      coneLength: options.camera.cameraConeLength,
+    } : null,
   };
 
+  // Link all objects with arrowId
+  const arrowId = 'arrow_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+  const parts = buildArrowObjects(arrowData, arrowId);
+
+  const canvas = getCanvas();
+  canvas.add(...getPartList(parts));
+
+  // Wire up dragging
+  setupControlPointDrag(arrowId);
+
+  return { ...parts, arrowId };
+}
+
+function buildArrowObjects(arrowData, arrowId) {
   // Build path and arrowhead
   const allPoints = getAllPoints(arrowData);
   const { pathStr, lastCP2 } = buildCatmullRomPath(allPoints);
@@ -221,7 +393,7 @@ export function createMovementArrow(startX, startY, endX, endY, options = {}) {
   const tangentX = endPt.x - lastCP2.x;
   const tangentY = endPt.y - lastCP2.y;
   const angle = Math.atan2(tangentY, tangentX);
-  const arrowHead = buildArrowHead(endPt.x, endPt.y, angle, color);
+  const arrowHead = buildArrowHead(endPt.x, endPt.y, angle, arrowData.color);
 
   // Control point circles
   const controlCircles = arrowData.controlPoints.map((cp, i) =>
@@ -229,23 +401,79 @@ export function createMovementArrow(startX, startY, endX, endY, options = {}) {
   );
 
   // Start/end handles
-  const startPoint = buildEndpointCircle(startX, startY, 'startPoint');
-  const endPoint = buildEndpointCircle(endX, endY, 'endPoint');
+  const startPoint = buildEndpointCircle(arrowData.startX, arrowData.startY, 'startPoint');
+  const endPoint = buildEndpointCircle(arrowData.endX, arrowData.endY, 'endPoint');
 
-  // Link all objects with arrowId
-  const arrowId = 'arrow_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+  const track = arrowData.track ? buildTrack(arrowData) : null;
+  const ghost = arrowData.camera ? buildGhost(arrowData) : null;
 
-  [path, arrowHead, ...controlCircles, startPoint, endPoint].forEach(o => {
+  const parts = { track, path, arrowHead, ghost, controlCircles, startPoint, endPoint };
+  getPartList(parts).forEach(o => {
     o.arrowId = arrowId;
   });
+  return parts;
+}
+
+// Canvas order, bottom to top
+function getPartList(parts) {
+  return [
+    ...(parts.track ? [parts.track] : []),
+    parts.path, parts.arrowHead,
+    ...(parts.ghost ? [parts.ghost] : []),
+    ...parts.controlCircles, parts.startPoint, parts.endPoint,
+  ];
+}
+
+// ── Restore (after loading from JSON) ──
 
+// Enlivened arrow parts are plain Fabric objects: rebuild each arrow from
+// its arrowData so handles, flags and drag listeners are live again.
+// arrowIds limits the rebuild to some arrows (e.g. those an undo re-inserted).
+export function restoreMovementArrows(arrowIds = null) {
   const canvas = getCanvas();
-  canvas.add(path, arrowHead, ...controlCircles, startPoint, endPoint);
 
-  // Wire up dragging
-  setupControlPointDrag(arrowId);
+  if (!arrowIds) {
+    // Listeners for arrows that no longer exist on the canvas
+    [...dragHandlers.keys()].forEach(detachDragHandler);
+  }
 
-  return { path, arrowHead, controlCircles, startPoint, endPoint, arrowId };
+  const paths = canvas.getObjects().filter(o =>
+    o.objectType === 'movementArrow' && o.arrowData && (!arrowIds || arrowIds.includes(o.arrowId))
+  );
+  paths.forEach(oldPath => {
+    const arrowId = oldPath.arrowId;
+    const index = canvas.getObjects().findIndex(o => o.arrowId === arrowId);
+    const oldParts = getArrowParts(arrowId);
+    canvas.getObjects()
+      .filter(o => o.arrowId === arrowId)
+      .forEach(o => canvas.remove(o));
+
+    const parts = buildArrowObjects(oldPath.arrowData, arrowId);
+    inheritObjectIds(oldParts, parts);
+    canvas.insertAt(index, ...getPartList(parts));
+
+    detachDragHandler(arrowId);
+    setupControlPointDrag(arrowId);
+  });
+
+  canvas.requestRenderAll();
+}
+
+// Rebuilt parts keep the ids of the parts they replace, so recorded
+// history commands still find them
+function inheritObjectIds(oldParts, newParts) {
+  const pairs = [
+    [oldParts.path, newParts.path],
+    [oldParts.arrowHead, newParts.arrowHead],
+    [oldParts.track, newParts.track],
+    [oldParts.ghost, newParts.ghost],
+    [oldParts.startPoint, newParts.startPoint],
+    [oldParts.endPoint, newParts.endPoint],
+    ...newParts.controlCircles.map((circle, i) => [oldParts.controlPoints[i], circle]),
+  ];
+  pairs.forEach(([oldObj, newObj]) => {
+    if (oldObj && newObj) newObj.objectId = oldObj.objectId;
+  });
 }
 
 // ── Control Point Dragging ──
@@ -266,11 +494,16 @@ function setupControlPointDrag(arrowId) {
       data.controlPoints[obj.cpIndex].x = obj.left;
       data.controlPoints[obj.cpIndex].y = obj.top;
     } else if (obj.objectType === 'startPoint') {
+      dragStartCamera(data, obj.left, obj.top);
       data.startX = obj.left;
       data.startY = obj.top;
     } else if (obj.objectType === 'endPoint') {
       data.endX = obj.left;
       data.endY = obj.top;
+    } else if (obj.objectType === 'arrowGhost') {
+      // Turning the ghost sets the end pan; nothing to rebuild
+      data.camera.angle = obj.angle;
+      return;
     } else {
       return;
     }
@@ -279,17 +512,30 @@ function setupControlPointDrag(arrowId) {
   };
 
   canvas.on('object:moving', onMoving);
+  canvas.on('object:rotating', onMoving);
+  dragHandlers.set(arrowId, onMoving);
+}
 
-  // Store cleanup ref on path
-  setTimeout(() => {
-    const parts = getArrowParts(arrowId);
-    if (parts.path) {
-      parts.path._cleanupMoving = () => canvas.off('object:moving', onMoving);
-    }
-  }, 0);
+function detachDragHandler(arrowId) {
+  const handler = dragHandlers.get(arrowId);
+  if (!handler) return;
+  const canvas = getCanvas();
+  canvas.off('object:moving', handler);
+  canvas.off('object:rotating', handler);
+  dragHandlers.delete(arrowId);
 }
 
-// ── Rebuild Arrow (path + arrowhead only, control circles stay) ──
+// A camera standing on the start follows the start handle
+function dragStartCamera(data, x, y) {
+  const camera = findBoundCamera(data);
+  if (!camera) return;
+  const position = getCameraPosition(camera);
+  if (Math.hypot(position.x - data.startX, position.y - data.startY) > CAMERA_SNAP_DISTANCE) return;
+  camera.set({ left: camera.left + x - position.x, top: camera.top + y - position.y });
+  camera.setCoords();
+}
+
+// ── Rebuild Arrow (path, arrowhead, track and ghost only, control circles stay) ──
 
 function rebuildArrow(arrowId) {
   const canvas = getCanvas();
@@ -297,11 +543,12 @@ function rebuildArrow(arrowId) {
   if (!parts.path) return;
 
   const data = parts.path.arrowData;
-  const oldCleanup = parts.path._cleanupMoving;
 
-  // Remove old path and arrowhead
+  // Remove old path, arrowhead, track and ghost
   canvas.remove(parts.path);
   canvas.remove(parts.arrowHead);
+  if (parts.track) canvas.remove(parts.track);
+  if (parts.ghost) canvas.remove(parts.ghost);
 
   // Build new path
   const allPoints = getAllPoints(data);
@@ -309,7 +556,7 @@ function rebuildArrow(arrowId) {
 
   const newPath = buildPathObject(pathStr, data);
   newPath.arrowId = arrowId;
-  newPath._cleanupMoving = oldCleanup;
+  newPath.objectId = parts.path.objectId;
 
   // Build new arrowhead
   const endPt = allPoints[allPoints.length - 1];
@@ -318,20 +565,156 @@ function rebuildArrow(arrowId) {
   const angle = Math.atan2(tangentY, tangentX);
   const newArrowHead = buildArrowHead(endPt.x, endPt.y, angle, data.color);
   newArrowHead.arrowId = arrowId;
+  if (parts.arrowHead) newArrowHead.objectId = parts.arrowHead.objectId;
 
   // Insert behind control points
   canvas.add(newPath, newArrowHead);
+  if (data.camera) {
+    const newGhost = buildGhost(data);
+    newGhost.arrowId = arrowId;
+    if (parts.ghost) newGhost.objectId = parts.ghost.objectId;
+    canvas.add(newGhost);
+    canvas.sendObjectToBack(newGhost);
+  }
   canvas.sendObjectToBack(newArrowHead);
   canvas.sendObjectToBack(newPath);
 
+  if (data.track) {
+    const newTrack = buildTrack(data);
+    newTrack.arrowId = arrowId;
+    if (parts.track) newTrack.objectId = parts.track.objectId;
+    canvas.add(newTrack);
+    canvas.sendObjectToBack(newTrack);
+  }
+
   canvas.requestRenderAll();
 }
 
+// Lays or lifts dolly track along the arrow
+export function setArrowTrack(arrowId, enabled) {
+  const parts = getArrowParts(arrowId);
+  if (!parts.path) return;
+  parts.path.arrowData.track = enabled;
+  rebuildArrow(arrowId);
+}
+
+// ── Camera Moves ──
+
+// Dragging a camera carries the moves bound to it
+export function initCameraMoves() {
+  const canvas = getCanvas();
+
+  canvas.on('object:moving', (e) => {
+    getMovedCameras(e.target).forEach(camera => {
+      const position = getCameraPosition(camera);
+      const last = carriedCameras.get(camera);
+      carriedCameras.set(camera, position);
+      if (!last) return;
+      getCameraArrowIds(camera).forEach(arrowId => translateArrow(arrowId, position.x - last.x, position.y - last.y));
+    });
+  });
+
+  canvas.on('before:transform', (e) => {
+    carriedCameras.clear();
+    const target = e.transform && e.transform.target;
+    getMovedCameras(target).forEach(camera => carriedCameras.set(camera, getCameraPosition(camera)));
+  });
+
+  canvas.on('object:modified', () => carriedCameras.clear());
+}
+
+function getMovedCameras(target) {
+  if (!target) return [];
+  const objects = target.type === 'activeselection' ? target.getObjects() : [target];
+  return objects.filter(o => o.objectType === 'camera');
+}
+
+// Arrows bound to the camera, in no particular order
+export function getCameraArrowIds(camera) {
+  return getCanvas().getObjects()
+    .filter(o => o.objectType === 'movementArrow' && o.arrowData && o.arrowData.camera &&
+      o.arrowData.camera.id === camera.objectId)
+    .map(o => o.arrowId);
+}
+
+// Every object of the camera's moves, for history scopes
+export function getCameraMoveObjects(camera) {
+  return getCameraArrowIds(camera).flatMap(getArrowObjects);
+}
+
+export function getArrowCamera(arrowId) {
+  const path = getArrowParts(arrowId).path;
+  return path ? findBoundCamera(path.arrowData) : null;
+}
+
+function findBoundCamera(data) {
+  if (!data.camera) return null;
+  return getCanvas().getObjects().find(o => o.objectType === 'camera' && o.objectId === data.camera.id) || null;
+}
+
+function translateArrow(arrowId, dx, dy) {
+  const parts = getArrowParts(arrowId);
+  if (!parts.path) return;
+  const data = parts.path.arrowData;
+
+  data.startX += dx;
+  data.startY += dy;
+  data.endX += dx;
+  data.endY += dy;
+  data.controlPoints.forEach(cp => {
+    cp.x += dx;
+    cp.y += dy;
+  });
+  [parts.startPoint, parts.endPoint, ...parts.controlPoints].forEach(handle => {
+    if (!handle) return;
+    handle.set({ left: handle.left + dx, top: handle.top + dy });
+    handle.setCoords();
+  });
+  rebuildArrow(arrowId);
+}
+
+// The camera's moves in order, e.g. "Track 12' 6\", pan 0° to 90°; Move 8'",
+// or '' while it holds still
+export function describeCameraMoves(camera) {
+  const remaining = getCameraArrowIds(camera).map(id => getArrowParts(id).path).filter(Boolean);
+  const moves = [];
+  let tip = getCameraPosition(camera);
+  let angle = normalizeAngle(camera.angle || 0);
+  let fov = camera.cameraFov;
+
+  while (remaining.length > 0) {
+    // Each move carries on from the nearest end
+    remaining.sort((a, b) =>
+      Math.hypot(a.arrowData.startX - tip.x, a.arrowData.startY - tip.y) -
+      Math.hypot(b.arrowData.startX - tip.x, b.arrowData.startY - tip.y));
+    const data = remaining.shift().arrowData;
+    const length = getArrowLength(data);
+    const endAngle = normalizeAngle(data.camera.angle);
+    const steps = [`${data.track ? 'Track' : 'Move'} ${formatDistance(length) || Math.round(length) + ' px'}`];
+    if (Math.round(endAngle) !== Math.round(angle)) steps.push(`pan ${Math.round(angle)}° to ${Math.round(endAngle)}°`);
+    if (data.camera.fov !== fov) steps.push(`FOV ${fov}° to ${data.camera.fov}°`);
+    moves.push(steps.join(', '));
+
+    tip = { x: data.endX, y: data.endY };
+    angle = endAngle;
+    fov = data.camera.fov;
+  }
+  return moves.join('; ');
+}
+
+// framing: { angle, fov } the bound camera ends the move on
+export function setArrowEndFraming(arrowId, framing) {
+  const parts = getArrowParts(arrowId);
+  if (!parts.path || !parts.path.arrowData.camera) return;
+  Object.assign(parts.path.arrowData.camera, framing);
+  rebuildArrow(arrowId);
+}
+
 // ── Add Control Point (long-press on curve) ──
 
 export function addControlPointToArrow(arrowId, x, y) {
   const parts = getArrowParts(arrowId);
-  if (!parts.path) return;
+  if (!parts.path) return false;
 
   const data = parts.path.arrowData;
   const allPoints = getAllPoints(data);
@@ -339,7 +722,7 @@ export function addControlPointToArrow(arrowId, x, y) {
   // Check minimum distance from existing points
   for (const pt of allPoints) {
     const d = Math.sqrt((x - pt.x) ** 2 + (y - pt.y) ** 2);
-    if (d < MIN_CP_DISTANCE) return;
+    if (d < MIN_CP_DISTANCE) return false;
   }
 
   // Find which segment the new point is closest to
@@ -357,6 +740,8 @@ export function addControlPointToArrow(arrowId, x, y) {
     }
   }
 
+  const change = beginChange(() => getArrowObjects(arrowId));
+
   // Insert the new control point in the data array
   // bestIndex in allPoints maps to insertion index in controlPoints
   data.controlPoints.splice(bestIndex, 0, { x, y });
@@ -375,6 +760,8 @@ export function addControlPointToArrow(arrowId, x, y) {
 
   // Rebuild the arrow path
   rebuildArrow(arrowId);
+  change.commit('Added control point');
+  return true;
 }
 
 // ── Show/hide control handles ──
@@ -394,8 +781,7 @@ export function showArrowHandles(arrowId, visible) {
 export function removeArrow(arrowId) {
   const canvas = getCanvas();
   const toRemove = canvas.getObjects().filter(o => o.arrowId === arrowId);
-  const path = toRemove.find(o => o.objectType === 'movementArrow');
-  if (path && path._cleanupMoving) path._cleanupMoving();
+  detachDragHandler(arrowId);
   toRemove.forEach(o => canvas.remove(o));
   canvas.requestRenderAll();
 }
@@ -410,6 +796,10 @@ export function updateArrowColor(arrowId, newColor) {
       o.arrowData.color = newColor;
     } else if (o.objectType === 'arrowHead') {
       o.set('fill', newColor);
+    } else if (o.objectType === 'arrowTrack') {
+      o.set('stroke', newColor);
+    } else if (o.objectType === 'arrowGhost') {
+      o.set({ fill: newColor, stroke: newColor });
     }
   });
   canvas.requestRenderAll();
@@ -421,8 +811,32 @@ export function getArrowPresetColors() {
 
 export function renderArrowProperties(path) {
   const container = document.getElementById('panel-content');
+  const distance = formatDistance(getArrowLength(path.arrowData));
 
   container.innerHTML = `
+    <div class="prop-group">
+      <label class="prop-label">Length</label>
+      ${distance ? `<div class="prop-text">${distance}</div>` : '<div class="prop-hint">Set the plan scale to measure</div>'}
+    </div>
+    ${path.arrowData.camera ? `
+      <div class="prop-group">
+        <label class="prop-label">End pan: <span id="arrow-end-angle-val">${Math.round(normalizeAngle(path.arrowData.camera.angle))}</span>&deg;</label>
+        <input type="range" class="prop-range" id="arrow-end-angle" min="0" max="359"
+               value="${Math.round(normalizeAngle(path.arrowData.camera.angle))}">
+      </div>
+      <div class="prop-group">
+        <label class="prop-label">End FOV: <span id="arrow-end-fov-val">${path.arrowData.camera.fov}</span>&deg;</label>
+        <input type="range" class="prop-range" id="arrow-end-fov" min="10" max="120" value="${path.arrowData.camera.fov}">
+      </div>
+    ` : ''}
+    ${path.arrowData.strokeDashArray ? '' : `
+      <div class="prop-group">
+        <label class="prop-check">
+          <input type="checkbox" id="arrow-track" ${path.arrowData.track ? 'checked' : ''}>
+          Dolly track
+        </label>
+      </div>
+    `}
     <div class="prop-group">
       <label class="prop-label">Color</label>
       <div class="color-swatches" id="arrow-colors">
@@ -438,7 +852,46 @@ export function renderArrowProperties(path) {
     swatch.addEventListener('click', () => {
       document.querySelectorAll('#arrow-colors .color-swatch').forEach(s => s.classList.remove('selected'));
       swatch.classList.add('selected');
+      const change = beginChange(() => getArrowObjects(path.arrowId));
       updateArrowColor(path.arrowId, swatch.dataset.color);
+      change.commit('Changed arrow color');
     });
   });
+
+  // Camera arrows only; actor arrows are dashed
+  const trackToggle = document.getElementById('arrow-track');
+  if (trackToggle) {
+    trackToggle.addEventListener('change', () => {
+      const change = beginChange(() => getArrowObjects(path.arrowId));
+      setArrowTrack(path.arrowId, trackToggle.checked);
+      change.commit(trackToggle.checked ? 'Laid dolly track' : 'Removed dolly track');
+    });
+  }
+
+  if (path.arrowData.camera) setupEndFramingInputs(path.arrowId);
+}
+
+// The end ghost is rebuilt on every step, so history resolves it afresh
+function setupEndFramingInputs(arrowId) {
+  const scope = () => getArrowObjects(arrowId);
+  const angleInput = document.getElementById('arrow-end-angle');
+  const fovInput = document.getElementById('arrow-end-fov');
+  trackInput(angleInput, scope, 'Changed end pan');
+  trackInput(fovInput, scope, 'Changed end FOV');
+
+  angleInput.addEventListener('input', () => {
+    const angle = parseInt(angleInput.value);
+    document.getElementById('arrow-end-angle-val').textContent = angle;
+    setArrowEndFraming(arrowId, { angle });
+  });
+
+  fovInput.addEventListener('input', () => {
+    const fov = parseInt(fovInput.value);
+    document.getElementById('arrow-end-fov-val').textContent = fov;
+    setArrowEndFraming(arrowId, { fov });
+  });
+}
+
+function normalizeAngle(angle) {
+  return ((angle % 360) + 360) % 360;
 }
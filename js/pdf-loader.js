@@ -8,6 +8,7 @@ let pdfDoc = null;
 let currentPage = 1;
 let totalPages = 0;
 let currentFileType = null;
+let sourceData = null; // Original PDF bytes (Uint8Array) or image data URL
 
 // PDF.js worker setup
 let pdfjsLib = null;
@@ -39,7 +40,7 @@ export function initPdfLoader(onPageChange) {
       totalPages = 1;
       currentPage = 1;
       await loadImage(file);
-      if (onPageChange) onPageChange(1, 1);
+      if (onPageChange) await onPageChange(1, 1);
     }
 
     // Reset input so same file can be reloaded
@@ -48,15 +49,20 @@ export function initPdfLoader(onPageChange) {
 }
 
 async function loadPdf(file, onPageChange) {
-  const lib = await ensurePdfJs();
   const arrayBuffer = await file.arrayBuffer();
-  pdfDoc = await lib.getDocument({ data: arrayBuffer }).promise;
+  await openPdfBytes(new Uint8Array(arrayBuffer), 1);
+  if (onPageChange) await onPageChange(currentPage, totalPages);
+}
+
+async function openPdfBytes(bytes, pageNum) {
+  const lib = await ensurePdfJs();
+  sourceData = bytes;
+  // PDF.js transfers the buffer it is given, so hand it a copy
+  pdfDoc = await lib.getDocument({ data: bytes.slice() }).promise;
   totalPages = pdfDoc.numPages;
-  currentPage = 1;
+  currentPage = Math.min(Math.max(1, pageNum), totalPages);
 
   await renderPdfPage(currentPage);
-
-  if (onPageChange) onPageChange(currentPage, totalPages);
 }
 
 async function renderPdfPage(pageNum) {
@@ -85,6 +91,7 @@ async function loadImage(file) {
   return new Promise((resolve) => {
     const reader = new FileReader();
     reader.onload = async (e) => {
+      sourceData = e.target.result;
       await setBackgroundFromDataUrl(e.target.result);
       resolve();
     };
@@ -104,7 +111,53 @@ export async function goToPage(pageNum, onPageChange) {
   if (!pdfDoc || pageNum < 1 || pageNum > totalPages) return;
   currentPage = pageNum;
   await renderPdfPage(currentPage);
-  if (onPageChange) onPageChange(currentPage, totalPages);
+  if (onPageChange) await onPageChange(currentPage, totalPages);
+}
+
+// ── Project Persistence ──
+
+export function getBackgroundSource() {
+  const canvas = getCanvas();
+  if (!currentFileType || !sourceData) return null;
+  return {
+    type: currentFileType,
+    data: sourceData,
+    page: currentPage,
+    angle: canvas.backgroundImage ? (canvas.backgroundImage.angle || 0) : 0,
+  };
+}
+
+export async function loadBackgroundSource(source, onPageChange) {
+  resetPdfLoader();
+  if (!source) return;
+
+  if (source.type === 'pdf') {
+    currentFileType = 'pdf';
+    await openPdfBytes(source.data, source.page || 1);
+  } else {
+    currentFileType = 'image';
+    sourceData = source.data;
+    totalPages = 1;
+    currentPage = 1;
+    await setBackgroundFromDataUrl(source.data);
+  }
+
+  const bg = getCanvas().backgroundImage;
+  if (bg && source.angle) {
+    bg.set({ angle: source.angle });
+    fitToScreen();
+  }
+
+  if (onPageChange) await onPageChange(currentPage, totalPages);
+}
+
+export function resetPdfLoader() {
+  pdfDoc = null;
+  currentPage = 1;
+  totalPages = 0;
+  currentFileType = null;
+  sourceData = null;
+  getCanvas().backgroundImage = null;
 }
 
 export function getCurrentPage() { return currentPage; }
@@ -0,0 +1,114 @@
+/**
+ * Playback Bar — Transport controls for play mode
+ * Play/pause, step between move boundaries, a scrub bar, and a list of
+ * every move with its start time and duration. State lives in
+ * playback-manager.js; re-rendered from its onChange callback.
+ */
+
+import {
+  getPlaybackState, play, pause, isPlaying, seek, stepForward, stepBackward, setMoveTiming,
+} from './playback-manager.js';
+import { escapeHtml } from './html-utils.js';
+
+let renderedMoves = '';
+
+// ── Init ──
+
+export function initPlaybackBar() {
+  // The bar floats over the canvas — keep its touches away from the
+  // canvas long-press and pinch handling
+  const bar = document.getElementById('playback-bar');
+  ['touchstart', 'touchmove', 'touchend', 'wheel'].forEach(type => {
+    bar.addEventListener(type, e => e.stopPropagation());
+  });
+
+  document.getElementById('playback-play').addEventListener('click', togglePlayback);
+  document.getElementById('playback-step-back').addEventListener('click', stepBackward);
+  document.getElementById('playback-step-forward').addEventListener('click', stepForward);
+
+  const scrub = document.getElementById('playback-scrub');
+  scrub.addEventListener('input', () => {
+    pause();
+    seek(Number(scrub.value));
+  });
+
+  document.getElementById('playback-timing-toggle').addEventListener('click', () => {
+    document.getElementById('playback-moves').classList.toggle('hidden');
+  });
+
+  // Timing fields commit on change (blur / enter), one undo step each
+  document.getElementById('playback-moves').addEventListener('change', (e) => {
+    const row = e.target.closest('.playback-move');
+    if (!row) return;
+    const start = Number(row.querySelector('[data-field="start"]').value);
+    const duration = Number(row.querySelector('[data-field="duration"]').value);
+    if (!Number.isFinite(start) || !Number.isFinite(duration)) return;
+    setMoveTiming(row.dataset.id, { start, duration });
+  });
+
+  renderPlaybackBar();
+}
+
+export function togglePlayback() {
+  if (isPlaying()) {
+    pause();
+  } else {
+    play();
+  }
+}
+
+// ── Rendering ──
+
+export function renderPlaybackBar() {
+  const state = getPlaybackState();
+  const bar = document.getElementById('playback-bar');
+  bar.classList.toggle('hidden', !state.active);
+  if (!state.active) return;
+
+  const scrub = document.getElementById('playback-scrub');
+  scrub.max = state.duration;
+  scrub.value = state.time;
+  scrub.disabled = state.moves.length === 0;
+
+  document.getElementById('playback-time').textContent =
+    `${formatTime(state.time)} / ${formatTime(state.duration)}`;
+  document.getElementById('playback-play').classList.toggle('playing', state.playing);
+  document.getElementById('playback-play').title = state.playing ? 'Pause' : 'Play';
+
+  renderMoves(state.moves);
+}
+
+function renderMoves(moves) {
+  const list = document.getElementById('playback-moves');
+
+  // Runs every frame while playing — only rebuild when the moves change,
+  // and never under the user's cursor
+  const signature = JSON.stringify(moves);
+  if (signature === renderedMoves || list.contains(document.activeElement)) return;
+  renderedMoves = signature;
+
+  if (moves.length === 0) {
+    list.innerHTML = '<div class="playback-empty">No moves yet — draw arrows or track actors and cameras</div>';
+    return;
+  }
+
+  list.innerHTML = `
+    <div class="playback-move playback-move-header">
+      <span>Move</span><span>Start (s)</span><span>Duration (s)</span>
+    </div>
+  ` + moves.map(m => `
+    <div class="playback-move" data-id="${m.id}">
+      <span class="playback-move-label">${escapeHtml(m.label)}</span>
+      <input type="number" class="prop-input" data-field="start" min="0" step="0.1" value="${round(m.start)}">
+      <input type="number" class="prop-input" data-field="duration" min="0.1" step="0.1" value="${round(m.duration)}">
+    </div>
+  `).join('');
+}
+
+function formatTime(seconds) {
+  return seconds.toFixed(1) + 's';
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
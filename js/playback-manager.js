@@ -0,0 +1,409 @@
+/**
+ * Playback Manager — Animated blocking along arrows and trails
+ *
+ * Play mode walks every actor and camera along its moves: the segments of
+ * its trail chain, then any movement arrows chained on from where it
+ * stands (actor arrows are the dashed ones, camera arrows the solid ones).
+ * Each move has a start time and a duration in seconds, stored as
+ * `timing` in its arrowData / trailSegmentData; moves without one play
+ * back to back.
+ *
+ * The diagram is never touched: each animated object gets a proxy clone
+ * that is excluded from serialisation and removed when play mode ends.
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { beginChange } from './history-manager.js';
+import { getArrowObjects, sampleArrowPath, SAMPLES_PER_CURVE, ARROW_ATTACH_DISTANCE } from './movement-arrow.js';
+import { getTrailSegmentObjects } from './trail-manager.js';
+import { keepLabelUpright } from './actor-icon.js';
+import { getCameraPosition } from './camera-icon.js';
+
+const DEFAULT_MOVE_DURATION = 2;  // Seconds
+const MIN_MOVE_DURATION = 0.1;
+
+let active = false;
+let playing = false;
+let time = 0;
+let moves = [];     // [{ id, subject, label, points, lengths, startAngle, endAngle, start, duration }]
+let proxies = new Map(); // subject → proxy clone
+let frameId = null;
+let lastFrame = 0;
+let rebuildQueue = Promise.resolve();
+
+let onChange = null;
+
+export function initPlayback(changeCallback) {
+  onChange = changeCallback;
+}
+
+function notifyChange() {
+  if (onChange) onChange();
+}
+
+// ── Play Mode ──
+
+export function isPlaybackActive() {
+  return active;
+}
+
+export function enterPlayback() {
+  active = true;
+  time = 0;
+  return refreshPlayback();
+}
+
+export function exitPlayback() {
+  active = false;
+  pause();
+  removeProxies();
+  moves = [];
+  getCanvas().requestRenderAll();
+  notifyChange();
+}
+
+// Re-read the moves from the canvas, e.g. after undo or a setup switch.
+// The playhead stays where it was.
+export function refreshPlayback() {
+  rebuildQueue = rebuildQueue
+    .then(async () => {
+      if (!active) return;
+      removeProxies();
+      moves = collectMoves();
+      await createProxies();
+      time = Math.min(time, getDuration());
+      applyTime();
+      notifyChange();
+    })
+    .catch(err => console.error('Playback: could not build the timeline', err));
+  return rebuildQueue;
+}
+
+async function createProxies() {
+  const canvas = getCanvas();
+  const subjects = [...new Set(moves.map(m => m.subject))];
+  for (const subject of subjects) {
+    const proxy = await subject.clone();
+    proxy.set({
+      selectable: false,
+      evented: false,
+      excludeFromExport: true,
+      objectType: 'playbackProxy',
+    });
+    canvas.add(proxy);
+    proxies.set(subject, proxy);
+  }
+}
+
+// Hides the animated originals behind their proxies, e.g. while frames
+// are rendered for an animation export. Always pair with false.
+export function setSubjectsHidden(hidden) {
+  proxies.forEach((proxy, subject) => subject.set({ visible: !hidden }));
+  getCanvas().requestRenderAll();
+}
+
+function removeProxies() {
+  const canvas = getCanvas();
+  proxies.forEach(proxy => canvas.remove(proxy));
+  proxies = new Map();
+}
+
+// ── Transport ──
+
+export function play() {
+  if (!active || playing || moves.length === 0) return;
+  if (time >= getDuration()) time = 0;
+  playing = true;
+  lastFrame = performance.now();
+  frameId = requestAnimationFrame(tick);
+  notifyChange();
+}
+
+export function pause() {
+  if (frameId) cancelAnimationFrame(frameId);
+  frameId = null;
+  if (!playing) return;
+  playing = false;
+  notifyChange();
+}
+
+export function isPlaying() {
+  return playing;
+}
+
+function tick(now) {
+  time = Math.min(time + (now - lastFrame) / 1000, getDuration());
+  lastFrame = now;
+  applyTime();
+
+  if (time >= getDuration()) {
+    pause();
+  } else {
+    frameId = requestAnimationFrame(tick);
+  }
+  notifyChange();
+}
+
+export function seek(seconds) {
+  time = Math.max(0, Math.min(seconds, getDuration()));
+  applyTime();
+  notifyChange();
+}
+
+// Steps jump between move starts and ends
+export function stepForward() {
+  pause();
+  const next = getBoundaries().find(t => t > time + 0.001);
+  seek(next === undefined ? getDuration() : next);
+}
+
+export function stepBackward() {
+  pause();
+  const previous = getBoundaries().filter(t => t < time - 0.001).pop();
+  seek(previous === undefined ? 0 : previous);
+}
+
+function getBoundaries() {
+  const times = new Set([0]);
+  moves.forEach(m => {
+    times.add(m.start);
+    times.add(m.start + m.duration);
+  });
+  return [...times].sort((a, b) => a - b);
+}
+
+function getDuration() {
+  return moves.reduce((max, m) => Math.max(max, m.start + m.duration), 0);
+}
+
+export function getPlaybackState() {
+  return {
+    active,
+    playing,
+    time,
+    duration: getDuration(),
+    moves: moves.map(m => ({ id: m.id, label: m.label, start: m.start, duration: m.duration })),
+  };
+}
+
+// ── Posing ──
+
+function applyTime() {
+  proxies.forEach((proxy, subject) => {
+    const pose = getPose(subject, time);
+    proxy.set({ left: pose.x, top: pose.y, angle: pose.angle });
+    if (subject.objectType === 'actor') keepLabelUpright(proxy);
+    proxy.setCoords();
+  });
+  getCanvas().requestRenderAll();
+}
+
+// Where the subject is at time t: on the move in progress, or resting at
+// the end of the last finished one (the start of the first before that)
+function getPose(subject, t) {
+  const own = moves.filter(m => m.subject === subject);
+  let pose = poseOnMove(own[0], 0);
+
+  own.forEach(move => {
+    if (t >= move.start + move.duration) {
+      pose = poseOnMove(move, 1);
+    } else if (t >= move.start) {
+      pose = poseOnMove(move, (t - move.start) / move.duration);
+    }
+  });
+  return pose;
+}
+
+// A camera rides its arrows by the apex, where it stands; the proxy is
+// placed by its centre, turned with the camera
+function poseOnMove(move, fraction) {
+  const pose = pointOnMove(move, fraction);
+  if (!move.anchor) return pose;
+  const offset = fabric.util.rotateVector(
+    move.anchor.offset,
+    fabric.util.degreesToRadians(pose.angle - move.anchor.angle),
+  );
+  return { x: pose.x + offset.x, y: pose.y + offset.y, angle: pose.angle };
+}
+
+// Constant speed along the sampled path
+function pointOnMove(move, fraction) {
+  const { points, lengths } = move;
+  const total = lengths[lengths.length - 1];
+  const angle = move.startAngle + (move.endAngle - move.startAngle) * fraction;
+  if (total === 0) return { ...points[0], angle };
+
+  const target = total * fraction;
+  let i = 1;
+  while (i < lengths.length - 1 && lengths[i] < target) i++;
+  const span = lengths[i] - lengths[i - 1];
+  const local = span === 0 ? 0 : (target - lengths[i - 1]) / span;
+  return {
+    x: points[i - 1].x + (points[i].x - points[i - 1].x) * local,
+    y: points[i - 1].y + (points[i].y - points[i - 1].y) * local,
+    angle,
+  };
+}
+
+// ── Timeline ──
+
+function collectMoves() {
+  const objects = getCanvas().getObjects();
+  const subjects = objects.filter(o => o.objectType === 'actor' || o.objectType === 'camera');
+  const arrows = objects.filter(o => o.objectType === 'movementArrow' && o.arrowData);
+  const claimed = new Set();
+  const collected = [];
+
+  subjects.forEach(subject => {
+    const subjectMoves = [...getTrailMoves(subject, objects), ...getArrowMoves(subject, arrows, claimed)];
+    scheduleMoves(subjectMoves);
+    subjectMoves.forEach((move, i) => {
+      move.label = `${describeSubject(subject)} · move ${i + 1}`;
+    });
+    collected.push(...subjectMoves);
+  });
+  return collected.sort((a, b) => a.start - b.start);
+}
+
+function getTrailMoves(subject, objects) {
+  if (!subject.trailId) return [];
+  const lines = objects
+    .filter(o => o.trailId === subject.trailId && o.objectType === 'trailLine')
+    .sort((a, b) => a.trailSegmentIndex - b.trailSegmentIndex);
+  const ghosts = objects.filter(o => o.trailId === subject.trailId && o.objectType === 'trailGhost');
+  const angleAt = (line) => {
+    const ghost = line && ghosts.find(g => g.trailSegmentIndex === line.trailSegmentIndex);
+    return ghost ? ghost.angle || 0 : subject.angle || 0;
+  };
+
+  return lines.map((line, i) => {
+    const d = line.trailSegmentData;
+    const points = d.cpX !== null && d.cpY !== null
+      ? sampleQuadratic({ x: d.startX, y: d.startY }, { x: d.cpX, y: d.cpY }, { x: d.endX, y: d.endY })
+      : [{ x: d.startX, y: d.startY }, { x: d.endX, y: d.endY }];
+    return createMove(line, subject, points, angleAt(line), angleAt(lines[i + 1]), d.timing);
+  });
+}
+
+// Arrows chained on from where the subject stands: the first starting at
+// the icon, the next at the end of that one, and so on. A camera only
+// takes moves that are unbound or bound to it, and pans to each one's end
+// framing on the way.
+function getArrowMoves(subject, arrows, claimed) {
+  const dashed = subject.objectType === 'actor';
+  const candidates = arrows.filter(a => !!a.arrowData.strokeDashArray === dashed &&
+    (!a.arrowData.camera || a.arrowData.camera.id === subject.objectId));
+  const start = subject.objectType === 'camera' ? getCameraPosition(subject) : subject.getCenterPoint();
+  let angle = subject.angle || 0;
+  const result = [];
+  let tip = { x: start.x, y: start.y };
+  const anchor = subject.objectType === 'camera'
+    ? { offset: subject.getCenterPoint().subtract(start), angle: subject.angle || 0 }
+    : null;
+
+  for (;;) {
+    const next = candidates
+      .filter(a => !claimed.has(a))
+      .map(a => ({ arrow: a, distance: Math.hypot(a.arrowData.startX - tip.x, a.arrowData.startY - tip.y) }))
+      .filter(c => c.distance <= ARROW_ATTACH_DISTANCE)
+      .sort((a, b) => a.distance - b.distance)[0];
+    if (!next) break;
+
+    const data = next.arrow.arrowData;
+    const endAngle = data.camera ? data.camera.angle : angle;
+    claimed.add(next.arrow);
+    const move = createMove(next.arrow, subject, sampleArrowPath(data), angle, endAngle, data.timing);
+    move.anchor = anchor;
+    result.push(move);
+    tip = { x: data.endX, y: data.endY };
+    angle = endAngle;
+  }
+  return result;
+}
+
+function createMove(source, subject, points, startAngle, endAngle, timing) {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+  }
+  // Turn the short way round
+  const turn = ((endAngle - startAngle) % 360 + 540) % 360 - 180;
+  return {
+    id: source.objectId,
+    source,
+    subject,
+    points,
+    lengths,
+    startAngle,
+    endAngle: startAngle + turn,
+    timing: timing || null,
+    start: 0,
+    duration: DEFAULT_MOVE_DURATION,
+  };
+}
+
+// Stored timings win; the rest follow on from the previous move
+function scheduleMoves(subjectMoves) {
+  let cursor = 0;
+  subjectMoves.forEach(move => {
+    if (move.timing) {
+      move.start = move.timing.start;
+      move.duration = move.timing.duration;
+    } else {
+      move.start = cursor;
+    }
+    cursor = move.start + move.duration;
+  });
+}
+
+function describeSubject(subject) {
+  const label = subject.objectType === 'actor' ? subject.actorLabel : subject.cameraLabel;
+  return `${subject.objectType === 'actor' ? 'Actor' : 'Camera'} ${label || ''}`.trim();
+}
+
+// ── Path Sampling ──
+
+function sampleQuadratic(p0, p1, p2) {
+  const points = [];
+  for (let i = 0; i <= SAMPLES_PER_CURVE; i++) {
+    const t = i / SAMPLES_PER_CURVE;
+    const u = 1 - t;
+    points.push({
+      x: u * u * p0.x + 2 * u * t * p1.x + t * t * p2.x,
+      y: u * u * p0.y + 2 * u * t * p1.y + t * t * p2.y,
+    });
+  }
+  return points;
+}
+
+// ── Timing Edits ──
+
+// Stores the timing on the arrow / trail segment as an undoable step.
+// Editing one move pins the timings of every move of that subject, so the
+// ones after it don't shift around.
+export function setMoveTiming(moveId, { start, duration }) {
+  const move = moves.find(m => m.id === moveId);
+  if (!move) return;
+
+  const siblings = moves.filter(m => m.subject === move.subject);
+  const scope = () => siblings.flatMap(m => getMoveObjects(m.source));
+  const change = beginChange(scope);
+
+  siblings.forEach(m => {
+    const timing = m === move
+      ? { start: Math.max(0, start), duration: Math.max(MIN_MOVE_DURATION, duration) }
+      : { start: m.start, duration: m.duration };
+    getTimingHolder(m.source).timing = timing;
+  });
+  change.commit('Changed move timing');
+}
+
+function getTimingHolder(source) {
+  return source.objectType === 'movementArrow' ? source.arrowData : source.trailSegmentData;
+}
+
+function getMoveObjects(source) {
+  return source.objectType === 'movementArrow'
+    ? getArrowObjects(source.arrowId)
+    : getTrailSegmentObjects(source.trailId, source.trailSegmentIndex);
+}
@@ -0,0 +1,205 @@
+/**
+ * Project Library — Home screen listing every locally stored project
+ * Open, duplicate, rename, delete and search. Records live in IndexedDB
+ * (project-store.js) and are kept current by autosave.
+ */
+
+import { listProjectRecords, loadProjectRecord, saveProjectRecord, deleteProjectRecord } from './project-store.js';
+import { flushAutosave, cleanupStorage } from './autosave.js';
+import { getProjectInfo, renameProject, createProjectInfo } from './project-manager.js';
+import { escapeHtml } from './html-utils.js';
+
+let callbacks = {};
+let records = [];
+let searchQuery = '';
+
+// ── Init ──
+
+export function initLibrary(libraryCallbacks = {}) {
+  callbacks = libraryCallbacks;
+
+  const searchInput = document.getElementById('library-search');
+  searchInput.addEventListener('input', () => {
+    searchQuery = searchInput.value.trim().toLowerCase();
+    renderLibrary();
+  });
+
+  document.getElementById('library-new').addEventListener('click', () => {
+    hideLibrary();
+    if (callbacks.onNew) callbacks.onNew();
+  });
+
+  document.getElementById('library-close').addEventListener('click', hideLibrary);
+
+  document.getElementById('library-grid').addEventListener('click', (e) => {
+    const card = e.target.closest('.library-card');
+    if (!card) return;
+    const actionBtn = e.target.closest('[data-action]');
+    const action = actionBtn ? actionBtn.dataset.action : (e.target.closest('.library-thumb') ? 'open' : null);
+    if (action) handleCardAction(action, card.dataset.id);
+  });
+}
+
+export async function showLibrary() {
+  // Make sure the open project's latest edits are listed
+  await flushAutosave();
+  await refreshRecords();
+  document.getElementById('library-screen').classList.remove('hidden');
+}
+
+export function hideLibrary() {
+  document.getElementById('library-screen').classList.add('hidden');
+}
+
+async function refreshRecords() {
+  try {
+    records = await listProjectRecords();
+  } catch (err) {
+    console.warn('Library: could not list projects', err);
+    records = [];
+  }
+  records.sort((a, b) => (b.modifiedAt || '').localeCompare(a.modifiedAt || ''));
+  renderLibrary();
+}
+
+// ── Rendering ──
+
+function renderLibrary() {
+  const grid = document.getElementById('library-grid');
+  const emptyEl = document.getElementById('library-empty');
+  const currentId = getProjectInfo().id;
+
+  const visible = records.filter(r => !searchQuery || r.name.toLowerCase().includes(searchQuery));
+
+  emptyEl.classList.toggle('hidden', visible.length > 0);
+  emptyEl.textContent = records.length === 0 ? 'No saved projects yet.' : 'No projects match your search.';
+
+  grid.innerHTML = visible.map(r => {
+    const pages = r.pageCount === 1 ? '1 page' : `${r.pageCount || 0} pages`;
+    return `
+      <div class="library-card ${r.id === currentId ? 'current' : ''}" data-id="${r.id}">
+        <div class="library-thumb">
+          ${r.thumbnail ? `<img src="${r.thumbnail}" alt="">` : ''}
+        </div>
+        <div class="library-card-body">
+          <div class="library-card-name">${escapeHtml(r.name)}</div>
+          <div class="library-card-meta">${formatDate(r.modifiedAt)} · ${pages}</div>
+          <div class="library-card-actions">
+            <button data-action="open">Open</button>
+            <button data-action="duplicate">Duplicate</button>
+            <button data-action="rename">Rename</button>
+            <button data-action="delete" class="library-delete">Delete</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function formatDate(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// ── Card Actions ──
+
+async function handleCardAction(action, id) {
+  const record = records.find(r => r.id === id);
+  if (!record) return;
+
+  switch (action) {
+    case 'open':
+      hideLibrary();
+      if (id !== getProjectInfo().id && callbacks.onOpen) {
+        // Re-read so the open uses the stored copy, not the listing
+        callbacks.onOpen(await loadProjectRecord(id));
+      }
+      break;
+    case 'duplicate':
+      await duplicateProject(id);
+      break;
+    case 'rename':
+      startRename(id);
+      break;
+    case 'delete':
+      await deleteProject(record);
+      break;
+  }
+}
+
+async function duplicateProject(id) {
+  await flushAutosave();
+  const record = await loadProjectRecord(id);
+  if (!record) return;
+
+  const info = createProjectInfo(record.name + ' copy');
+  await saveProjectRecord({
+    ...record,
+    ...info,
+    modifiedAt: info.createdAt,
+    project: { ...record.project, name: info.name },
+  });
+  await refreshRecords();
+}
+
+function startRename(id) {
+  const nameEl = document.querySelector(`.library-card[data-id="${id}"] .library-card-name`);
+  if (!nameEl) return;
+  const record = records.find(r => r.id === id);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'prop-input';
+  input.maxLength = 60;
+  input.value = record.name;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const commit = async () => {
+    if (done) return;
+    done = true;
+    await renameRecord(id, input.value);
+  };
+  input.addEventListener('blur', commit);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') input.blur();
+    if (e.key === 'Escape') {
+      done = true;
+      renderLibrary();
+    }
+  });
+}
+
+async function renameRecord(id, name) {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    renderLibrary();
+    return;
+  }
+
+  if (id === getProjectInfo().id) {
+    renameProject(trimmed);
+    if (callbacks.onRename) callbacks.onRename(trimmed);
+  }
+
+  const record = await loadProjectRecord(id);
+  if (record) {
+    await saveProjectRecord({ ...record, name: trimmed, project: { ...record.project, name: trimmed } });
+  }
+  await refreshRecords();
+}
+
+async function deleteProject(record) {
+  if (!confirm(`Delete "${record.name}"? This cannot be undone.`)) return;
+
+  // Leave the project first so autosave can't write it back
+  if (record.id === getProjectInfo().id && callbacks.onDeleteCurrent) {
+    await callbacks.onDeleteCurrent();
+  }
+
+  await deleteProjectRecord(record.id);
+  await cleanupStorage();
+  await refreshRecords();
+}
@@ -0,0 +1,152 @@
+/**
+ * Project Manager — Save/open complete projects as a single .dosl file
+ * A project bundles the setups (object layers) of every page, the original floor plan
+ * (PDF bytes or image) with its page and rotation, the view, the roster, and
+ * the plan scale of every calibrated page.
+ */
+
+import { getViewportTransform, restoreViewport } from './canvas-manager.js';
+import { getBackgroundSource, loadBackgroundSource } from './pdf-loader.js';
+import { loadObjects } from './canvas-serializer.js';
+import { getAllLayers, getLayerObjects, setLayers } from './layer-manager.js';
+import { getCharacters, setCharacters } from './character-roster.js';
+import { getAllScales, setAllScales } from './scale-manager.js';
+import { shareOrDownload } from './export-manager.js';
+
+const PROJECT_FORMAT = 'dosl-project';
+const PROJECT_VERSION = 3; // 2: objects stored per PDF page, 3: setups per page
+const PROJECT_EXTENSION = '.dosl';
+const DEFAULT_PROJECT_NAME = 'Untitled Scene';
+
+// Identity of the open project in the local library
+let projectInfo = createProjectInfo();
+
+// ── Project Identity ──
+
+export function createProjectInfo(name) {
+  return {
+    id: 'project_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+    name: (name || '').trim() || DEFAULT_PROJECT_NAME,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export function getProjectInfo() {
+  return projectInfo;
+}
+
+export function setProjectInfo(info) {
+  projectInfo = { id: info.id, name: info.name, createdAt: info.createdAt };
+}
+
+export function renameProject(name) {
+  projectInfo = { ...projectInfo, name: (name || '').trim() || DEFAULT_PROJECT_NAME };
+}
+
+// ── Project State ──
+
+// In-memory form: PDF backgrounds stay as raw bytes
+export function serializeProject() {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    name: projectInfo.name,
+    savedAt: new Date().toISOString(),
+    pages: getAllLayers(),
+    background: getBackgroundSource(),
+    viewport: getViewportTransform(),
+    roster: getCharacters(),
+    scales: getAllScales(),
+  };
+}
+
+export async function loadProject(project, onPageChange) {
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error('Not a DOSL project file');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error('Project was saved by a newer version of the app');
+  }
+
+  // Version 1 files hold a single layer on the saved page
+  const page = project.background ? (project.background.page || 1) : 1;
+  const pages = project.pages || { [page]: project.objects || [] };
+
+  // Layers first, so the page change fired by the background load is a no-op.
+  // Scales before any objects, so rulers come back labelled.
+  setLayers(pages, page);
+  setAllScales(project.scales);
+  await loadBackgroundSource(project.background, onPageChange);
+  await loadObjects(getLayerObjects(page));
+  if (project.viewport) restoreViewport(project.viewport);
+  if (Array.isArray(project.roster)) setCharacters(project.roster);
+}
+
+// ── File Save / Open ──
+
+export async function saveProject() {
+  try {
+    const json = JSON.stringify(encodeProject(serializeProject()));
+    const blob = new Blob([json], { type: 'application/json' });
+    await shareOrDownload(blob, toFileName(projectInfo.name) + PROJECT_EXTENSION);
+  } catch (err) {
+    console.error('Project save error:', err);
+    alert('Project save error: ' + err.message);
+  }
+}
+
+// Opened files become a new project in the library
+export async function openProjectFile(file, onPageChange) {
+  try {
+    let project;
+    try {
+      project = JSON.parse(await file.text());
+    } catch {
+      throw new Error('Not a DOSL project file');
+    }
+    await loadProject(decodeProject(project), onPageChange);
+    projectInfo = createProjectInfo(project.name || file.name.replace(/\.[^.]+$/, ''));
+    return true;
+  } catch (err) {
+    console.error('Project open error:', err);
+    alert('Could not open project: ' + err.message);
+    return false;
+  }
+}
+
+function toFileName(name) {
+  return name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').toLowerCase() || 'dosl-project';
+}
+
+// ── File Encoding (PDF bytes ↔ base64) ──
+
+function encodeProject(project) {
+  const bg = project.background;
+  if (!bg || bg.type !== 'pdf') return project;
+  return { ...project, background: { ...bg, data: bytesToBase64(bg.data) } };
+}
+
+function decodeProject(project) {
+  const bg = project && project.background;
+  if (!bg || bg.type !== 'pdf' || typeof bg.data !== 'string') return project;
+  return { ...project, background: { ...bg, data: base64ToBytes(bg.data) } };
+}
+
+function bytesToBase64(bytes) {
+  // Chunked to stay under the argument limit of String.fromCharCode
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const raw = atob(base64);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    bytes[i] = raw.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,113 @@
+/**
+ * Project Store — IndexedDB persistence for the project library
+ * Backgrounds live in their own store, referenced by id, so large PDF bytes
+ * are written once per plan rather than on every autosave, and duplicated
+ * projects share them.
+ * The session record only points at the project that was open last.
+ */
+
+const DB_NAME = 'dosl';
+const DB_VERSION = 2;
+const SESSION_STORE = 'session';
+const PROJECT_STORE = 'projects';
+const BACKGROUND_STORE = 'backgrounds';
+const SESSION_KEY = 'current';
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSION_STORE)) {
+        db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+        db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(BACKGROUND_STORE)) {
+        db.createObjectStore(BACKGROUND_STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+// Run one request in its own transaction; resolves once the transaction commits
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ── Session ──
+
+export function saveSession(session) {
+  return runRequest(SESSION_STORE, 'readwrite', store => store.put({ ...session, id: SESSION_KEY }));
+}
+
+export function loadSession() {
+  return runRequest(SESSION_STORE, 'readonly', store => store.get(SESSION_KEY));
+}
+
+export function clearSession() {
+  return runRequest(SESSION_STORE, 'readwrite', store => store.delete(SESSION_KEY));
+}
+
+// ── Projects ──
+
+export function saveProjectRecord(record) {
+  return runRequest(PROJECT_STORE, 'readwrite', store => store.put(record));
+}
+
+export function loadProjectRecord(id) {
+  return runRequest(PROJECT_STORE, 'readonly', store => store.get(id));
+}
+
+export function listProjectRecords() {
+  return runRequest(PROJECT_STORE, 'readonly', store => store.getAll());
+}
+
+export function deleteProjectRecord(id) {
+  return runRequest(PROJECT_STORE, 'readwrite', store => store.delete(id));
+}
+
+// ── Backgrounds ──
+
+export function saveBackground(background) {
+  return runRequest(BACKGROUND_STORE, 'readwrite', store => store.put(background));
+}
+
+export function loadBackground(id) {
+  return runRequest(BACKGROUND_STORE, 'readonly', store => store.get(id));
+}
+
+// Delete every stored background whose id is not in keepIds
+export async function pruneBackgrounds(keepIds) {
+  const keys = await runRequest(BACKGROUND_STORE, 'readonly', store => store.getAllKeys());
+  const stale = keys.filter(k => !keepIds.includes(k));
+  if (stale.length === 0) return;
+  await runRequest(BACKGROUND_STORE, 'readwrite', store => {
+    stale.forEach(k => store.delete(k));
+    return null;
+  });
+}
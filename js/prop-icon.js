@@ -0,0 +1,167 @@
+/**
+ * Prop Icon — A symbol from the library placed on the plan
+ * The symbol's SVG is parsed into a Fabric.js group, so the shapes travel
+ * with the project and undo like any other object, even if the symbol is
+ * later deleted from the library. propSymbol / propName say what it was.
+ *
+ * Props land at real size on a calibrated plan and go to the back, under
+ * the blocking. They can be turned, scaled and tinted (propColor; null
+ * keeps an imported symbol's own colours).
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { beginChange, trackInput } from './history-manager.js';
+import { getScale, toMetres, formatDistance } from './scale-manager.js';
+import { getSymbolSvg } from './symbol-library.js';
+import { escapeHtml } from './html-utils.js';
+
+const DEFAULT_COLOR = '#333333';
+const DEFAULT_PX_PER_METRE = 50; // Until the plan is calibrated
+const STROKE_WIDTH = 2;          // Screen px, whatever the prop's scale
+const PRESET_COLORS = [
+  '#333333', '#808080', '#ffffff', '#8b4513',
+  '#d4b896', '#1a3a5c', '#1e5631', '#e74c3c',
+  '#3498db', '#2ecc71', '#f1c40f', '#9b59b6',
+];
+
+// Interaction flags — not serialised by Fabric, so re-applied on restore.
+// Corner handles only, so props always scale evenly.
+const PROP_INTERACTION = {
+  hasControls: true,
+  hasBorders: true,
+  lockScalingX: false,
+  lockScalingY: false,
+  lockRotation: false,
+  subTargetCheck: false,
+};
+
+const PROP_CONTROLS = {
+  tl: true, tr: true, bl: true, br: true,
+  ml: false, mr: false, mt: false, mb: false,
+  mtr: true,
+};
+
+// ── Create / Restore ──
+
+export async function createProp(symbol, x, y) {
+  const color = symbol.custom ? null : DEFAULT_COLOR;
+  const { objects } = await fabric.loadSVGFromString(getSymbolSvg(symbol, color || DEFAULT_COLOR));
+  const parts = objects.filter(Boolean);
+  if (parts.length === 0) throw new Error(`Symbol "${symbol.name}" has no shapes`);
+
+  // Built-ins keep a steady line weight at any size
+  if (!symbol.custom) {
+    parts.forEach(part => part.set({ strokeWidth: STROKE_WIDTH, strokeUniform: true }));
+  }
+
+  const group = new fabric.Group(parts, {
+    originX: 'center',
+    originY: 'center',
+    ...PROP_INTERACTION,
+    // Custom data
+    objectType: 'prop',
+    propSymbol: symbol.id,
+    propName: symbol.name,
+    propColor: color,
+  });
+  group.setControlsVisibility(PROP_CONTROLS);
+
+  const scale = (symbol.width * getPixelsPerMetre()) / group.width;
+  group.set({ scaleX: scale, scaleY: scale });
+  group.setPositionByOrigin(new fabric.Point(x, y), 'center', 'center');
+  group.setCoords();
+
+  return group;
+}
+
+function getPixelsPerMetre() {
+  return getScale() ? 1 / toMetres(1) : DEFAULT_PX_PER_METRE;
+}
+
+export function restoreProp(prop) {
+  if (!prop || prop.objectType !== 'prop') return;
+  prop.set(PROP_INTERACTION);
+  prop.setControlsVisibility(PROP_CONTROLS);
+}
+
+export function updatePropColor(prop, color) {
+  if (!prop || prop.objectType !== 'prop') return;
+  tintParts(prop, color);
+  prop.propColor = color;
+  prop.dirty = true;
+  getCanvas().requestRenderAll();
+}
+
+// Every stroke and fill takes the colour, keeping its own transparency
+function tintParts(group, color) {
+  group.getObjects().forEach(part => {
+    if (part.type === 'group') {
+      tintParts(part, color);
+      return;
+    }
+    if (typeof part.stroke === 'string' && part.stroke !== 'none') part.set('stroke', withAlpha(color, part.stroke));
+    if (typeof part.fill === 'string' && part.fill !== 'none') part.set('fill', withAlpha(color, part.fill));
+  });
+  group.dirty = true;
+}
+
+function withAlpha(color, previous) {
+  const alpha = new fabric.Color(previous).getAlpha();
+  return new fabric.Color(color).setAlpha(alpha).toRgba();
+}
+
+// "1.6 m × 0.9 m" on a calibrated plan, plan px otherwise
+function describePropSize(prop) {
+  const format = (px) => formatDistance(px) || `${Math.round(px)} px`;
+  return `${format(prop.width * prop.scaleX)} × ${format(prop.height * prop.scaleY)}`;
+}
+
+// ── Properties Panel ──
+
+export function renderPropProperties(prop) {
+  const container = document.getElementById('panel-content');
+  const angle = Math.round(((prop.angle || 0) % 360 + 360) % 360);
+
+  container.innerHTML = `
+    <div class="prop-group">
+      <label class="prop-label">Prop</label>
+      <div class="prop-text">${escapeHtml(prop.propName || 'Symbol')}</div>
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Size</label>
+      <div class="prop-text">${describePropSize(prop)}</div>
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Rotation: <span id="prop-angle-val">${angle}°</span></label>
+      <input type="range" class="prop-range" id="prop-angle" min="0" max="359" value="${angle}">
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Color</label>
+      <div class="color-swatches" id="prop-colors">
+        ${PRESET_COLORS.map(c => `
+          <div class="color-swatch ${c === prop.propColor ? 'selected' : ''}"
+               style="background:${c}${c === '#ffffff' ? ';border:1px solid #666' : ''}" data-color="${c}"></div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+
+  const angleInput = document.getElementById('prop-angle');
+  trackInput(angleInput, [prop], 'Rotated ' + (prop.propName || 'prop').toLowerCase());
+  angleInput.addEventListener('input', () => {
+    prop.rotate(Number(angleInput.value));
+    prop.setCoords();
+    document.getElementById('prop-angle-val').textContent = `${angleInput.value}°`;
+    getCanvas().requestRenderAll();
+  });
+
+  document.querySelectorAll('#prop-colors .color-swatch').forEach(swatch => {
+    swatch.addEventListener('click', () => {
+      document.querySelectorAll('#prop-colors .color-swatch').forEach(s => s.classList.remove('selected'));
+      swatch.classList.add('selected');
+      const change = beginChange([prop]);
+      updatePropColor(prop, swatch.dataset.color);
+      change.commit('Changed prop color');
+    });
+  });
+}
@@ -0,0 +1,212 @@
+/**
+ * Scale Manager — Real-world scale of the floor plan, and the ruler tool
+ * A calibration line drawn across a known dimension sets how many plan px
+ * make a foot or a metre. Each page keeps its own scale, since the sheets
+ * of a PDF are often drawn at different scales.
+ *
+ * The scale is a plain ratio of plan px. rotatePlan() only turns the
+ * background about its corner without resizing it, so the scale holds
+ * through any rotation.
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { getCurrentPage } from './pdf-loader.js';
+
+const UNITS = {
+  ft: { name: 'feet', metres: 0.3048 },
+  m: { name: 'metres', metres: 1 },
+};
+const DEFAULT_UNIT = 'ft';
+
+const RULER_COLOR = '#f1c40f';
+const RULER_TICK = 8;
+
+// Interaction flags — not serialised by Fabric, so re-applied on restore
+const RULER_INTERACTION = {
+  hasControls: false,
+  hasBorders: true,
+  lockScalingX: true,
+  lockScalingY: true,
+  lockRotation: true,
+  subTargetCheck: false,
+};
+
+// page → { unit, pixelsPerUnit }
+let scales = new Map();
+let onScaleChange = null;
+
+export function initScaleManager(scaleChangeCallback) {
+  onScaleChange = scaleChangeCallback;
+}
+
+function notifyChange() {
+  refreshRulers();
+  if (onScaleChange) onScaleChange();
+}
+
+// ── Scale ──
+
+// Scale of the current page, or null while uncalibrated
+export function getScale() {
+  return scales.get(getCurrentPage()) || null;
+}
+
+// pixelLength: the calibration line in plan px; realLength in unit
+export function setScale(pixelLength, realLength, unit) {
+  if (!(pixelLength > 0) || !(realLength > 0) || !UNITS[unit]) return;
+  scales.set(getCurrentPage(), { unit, pixelsPerUnit: pixelLength / realLength });
+  notifyChange();
+}
+
+export function clearScale() {
+  scales.delete(getCurrentPage());
+  notifyChange();
+}
+
+export function getDefaultUnit() {
+  const scale = getScale() || [...scales.values()][0];
+  return scale ? scale.unit : DEFAULT_UNIT;
+}
+
+// Short description for the status bar
+export function describeScale() {
+  const scale = getScale();
+  if (!scale) return 'No scale';
+  return `1 ${scale.unit} = ${Math.round(scale.pixelsPerUnit * 10) / 10} px`;
+}
+
+// ── Lengths ──
+
+// Accepts "12", "12.5 ft", "12'", "12' 6\"", "3.5m" or "350 cm".
+// Returns { value, unit } in feet or metres, or null.
+export function parseLength(input, fallbackUnit = DEFAULT_UNIT) {
+  const str = (input || '').trim().toLowerCase();
+
+  const feetInches = str.match(/^(\d+(?:\.\d+)?)\s*(?:'|ft|feet|foot)\s*(\d+(?:\.\d+)?)\s*(?:"|in|inch|inches)?$/);
+  if (feetInches) {
+    return { value: Number(feetInches[1]) + Number(feetInches[2]) / 12, unit: 'ft' };
+  }
+
+  const match = str.match(/^(\d+(?:\.\d+)?|\.\d+)\s*([a-z'"]*)$/);
+  if (!match) return null;
+  const value = Number(match[1]);
+  if (!(value > 0)) return null;
+
+  switch (match[2]) {
+    case '': return { value, unit: fallbackUnit };
+    case "'": case 'ft': case 'feet': case 'foot': return { value, unit: 'ft' };
+    case '"': case 'in': case 'inch': case 'inches': return { value: value / 12, unit: 'ft' };
+    case 'm': case 'metre': case 'metres': case 'meter': case 'meters': return { value, unit: 'm' };
+    case 'cm': return { value: value / 100, unit: 'm' };
+    default: return null;
+  }
+}
+
+// Plan px → metres, or null while uncalibrated
+export function toMetres(pixels) {
+  const scale = getScale();
+  return scale ? (pixels / scale.pixelsPerUnit) * UNITS[scale.unit].metres : null;
+}
+
+// Plan px → "12' 6\"" or "3.80 m", or null while uncalibrated
+export function formatDistance(pixels) {
+  const scale = getScale();
+  if (!scale) return null;
+  const value = pixels / scale.pixelsPerUnit;
+
+  if (scale.unit === 'ft') {
+    let feet = Math.floor(value);
+    let inches = Math.round((value - feet) * 12);
+    if (inches === 12) {
+      feet++;
+      inches = 0;
+    }
+    return inches ? `${feet}' ${inches}"` : `${feet}'`;
+  }
+  return `${value.toFixed(value < 10 ? 2 : 1)} m`;
+}
+
+export function getUnitName(unit) {
+  return UNITS[unit] ? UNITS[unit].name : unit;
+}
+
+// ── Ruler ──
+
+// A dimension line between two plan points, labelled with its length
+export function createRuler(x1, y1, x2, y2) {
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const tickX = Math.sin(angle) * RULER_TICK / 2;
+  const tickY = -Math.cos(angle) * RULER_TICK / 2;
+  const stroke = { stroke: RULER_COLOR, strokeWidth: 2, strokeLineCap: 'round' };
+
+  const line = new fabric.Line([x1, y1, x2, y2], stroke);
+  const startTick = new fabric.Line([x1 - tickX, y1 - tickY, x1 + tickX, y1 + tickY], stroke);
+  const endTick = new fabric.Line([x2 - tickX, y2 - tickY, x2 + tickX, y2 + tickY], stroke);
+  const label = buildRulerLabel(length, (x1 + x2) / 2, (y1 + y2) / 2);
+
+  return new fabric.Group([line, startTick, endTick, label], {
+    ...RULER_INTERACTION,
+    objectType: 'ruler',
+    rulerLength: length,
+  });
+}
+
+function buildRulerLabel(length, x, y) {
+  return new fabric.FabricText(` ${formatDistance(length) || Math.round(length) + ' px'} `, {
+    fontSize: 12,
+    fontWeight: 'bold',
+    fontFamily: '-apple-system, sans-serif',
+    fill: '#1e1e1e',
+    backgroundColor: RULER_COLOR,
+    originX: 'center',
+    originY: 'center',
+    left: x,
+    top: y,
+  });
+}
+
+export function restoreRuler(ruler) {
+  if (!ruler || ruler.objectType !== 'ruler') return;
+  ruler.set(RULER_INTERACTION);
+  updateRulerLabel(ruler);
+}
+
+// Swap in a fresh label, e.g. after the plan was calibrated
+function updateRulerLabel(ruler) {
+  const [, , , oldLabel] = ruler.getObjects();
+  if (!oldLabel) return;
+  ruler.remove(oldLabel);
+  ruler.add(buildRulerLabel(ruler.rulerLength, oldLabel.left, oldLabel.top));
+  ruler.dirty = true;
+}
+
+function refreshRulers() {
+  const canvas = getCanvas();
+  canvas.getObjects().filter(o => o.objectType === 'ruler').forEach(updateRulerLabel);
+  canvas.requestRenderAll();
+}
+
+// ── Project Persistence ──
+
+// page → { unit, pixelsPerUnit } for every calibrated page
+export function getAllScales() {
+  const pages = {};
+  scales.forEach((scale, page) => {
+    pages[page] = { ...scale };
+  });
+  return pages;
+}
+
+export function setAllScales(pages) {
+  scales = new Map();
+  Object.keys(pages || {}).forEach(key => {
+    const { unit, pixelsPerUnit } = pages[key];
+    if (UNITS[unit] && pixelsPerUnit > 0) scales.set(Number(key), { unit, pixelsPerUnit });
+  });
+  notifyChange();
+}
+
+export function resetScales() {
+  setAllScales(null);
+}
@@ -0,0 +1,113 @@
+/**
+ * Setup Strip — Tabs for the setups (shot diagrams) of the current page
+ * Select, add, duplicate, reorder, rename and delete setups, and copy
+ * actors over from the previous setup. State lives in layer-manager.js.
+ */
+
+import {
+  getSetups, selectSetup, addSetup, duplicateSetup, moveSetup,
+  renameSetup, deleteSetup, copyActorsFromPrevious,
+} from './layer-manager.js';
+import { escapeHtml } from './html-utils.js';
+
+let onStatus = null;
+
+// ── Init ──
+
+export function initSetupStrip(statusCallback) {
+  onStatus = statusCallback;
+
+  // The strip floats over the canvas — keep its touches away from the
+  // canvas long-press and pinch handling
+  const strip = document.getElementById('setup-strip');
+  ['touchstart', 'touchmove', 'touchend', 'wheel'].forEach(type => {
+    strip.addEventListener(type, e => e.stopPropagation());
+  });
+
+  document.getElementById('setup-list').addEventListener('click', (e) => {
+    const tab = e.target.closest('.setup-tab');
+    if (tab && !tab.classList.contains('active')) selectSetup(tab.dataset.id);
+  });
+
+  document.getElementById('setup-list').addEventListener('dblclick', (e) => {
+    const tab = e.target.closest('.setup-tab');
+    if (tab) startRename(tab.dataset.id);
+  });
+
+  document.getElementById('setup-add').addEventListener('click', () => addSetup());
+  document.getElementById('setup-duplicate').addEventListener('click', () => duplicateSetup());
+  document.getElementById('setup-move-left').addEventListener('click', () => moveSetup(-1));
+  document.getElementById('setup-move-right').addEventListener('click', () => moveSetup(1));
+  document.getElementById('setup-rename').addEventListener('click', () => startRename(getActiveId()));
+
+  document.getElementById('setup-copy-actors').addEventListener('click', async () => {
+    const copied = await copyActorsFromPrevious();
+    if (onStatus) {
+      onStatus(copied > 0
+        ? `Copied ${copied} actor${copied === 1 ? '' : 's'} from the previous setup`
+        : 'No new actors to copy from the previous setup');
+    }
+  });
+
+  document.getElementById('setup-delete').addEventListener('click', () => {
+    const setup = getSetups().find(s => s.active);
+    if (!setup) return;
+    if (!confirm(`Delete "${setup.name}"? This cannot be undone.`)) return;
+    deleteSetup(setup.id);
+  });
+
+  renderSetupStrip();
+}
+
+function getActiveId() {
+  const setup = getSetups().find(s => s.active);
+  return setup ? setup.id : null;
+}
+
+// ── Rendering ──
+
+export function renderSetupStrip() {
+  const setups = getSetups();
+  const activeIndex = setups.findIndex(s => s.active);
+
+  document.getElementById('setup-list').innerHTML = setups.map(s => `
+    <button class="setup-tab ${s.active ? 'active' : ''}" data-id="${s.id}" title="Double-click to rename">
+      ${escapeHtml(s.name)}
+    </button>
+  `).join('');
+
+  document.getElementById('setup-move-left').disabled = activeIndex <= 0;
+  document.getElementById('setup-move-right').disabled = activeIndex >= setups.length - 1;
+  document.getElementById('setup-copy-actors').disabled = activeIndex <= 0;
+  document.getElementById('setup-delete').disabled = setups.length <= 1;
+}
+
+function startRename(id) {
+  const tab = document.querySelector(`.setup-tab[data-id="${id}"]`);
+  const setup = getSetups().find(s => s.id === id);
+  if (!tab || !setup) return;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'prop-input setup-rename-input';
+  input.maxLength = 40;
+  input.placeholder = 'Title, e.g. Wide';
+  input.value = setup.title;
+  tab.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  input.addEventListener('blur', () => {
+    if (done) return;
+    done = true;
+    renameSetup(id, input.value);
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') input.blur();
+    if (e.key === 'Escape') {
+      done = true;
+      renderSetupStrip();
+    }
+  });
+}
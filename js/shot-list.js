@@ -0,0 +1,149 @@
+/**
+ * Shot List — One row per camera of the setup on screen
+ * Camera, lens, rig, move, shot size and subjects in frame are read off
+ * the diagram every time the list is shown, so it never drifts from it.
+ * The setup number ("1A", "1B"… by default) can be overridden and each
+ * shot given a description; both live on the camera (shotNumber,
+ * shotDescription), so they travel with undo and the project file.
+ *
+ * Shown full screen, and exported as CSV and as a page of the PDF.
+ */
+
+import { getCanvas } from './canvas-manager.js';
+import { beginChange } from './history-manager.js';
+import { getSetups } from './layer-manager.js';
+import { getCharacters } from './character-roster.js';
+import { getActorsInView, countExtrasInView, getLensCaption, getShotSizeLabel, describeRig } from './camera-icon.js';
+import { CROWD_LABEL } from './crowd-icon.js';
+import { describeCameraMoves } from './movement-arrow.js';
+import { escapeHtml, escapeAttr } from './html-utils.js';
+
+export const SHOT_LIST_COLUMNS = [
+  { key: 'setup', title: 'Setup' },
+  { key: 'camera', title: 'Camera' },
+  { key: 'lens', title: 'Lens' },
+  { key: 'rig', title: 'Rig' },
+  { key: 'move', title: 'Move' },
+  { key: 'shotSize', title: 'Shot' },
+  { key: 'subjects', title: 'Subjects' },
+  { key: 'description', title: 'Description' },
+];
+
+let onExportCsv = null;
+
+// ── Init ──
+
+export function initShotList(exportCsvCallback) {
+  onExportCsv = exportCsvCallback;
+
+  document.getElementById('shot-list-close').addEventListener('click', hideShotList);
+  document.getElementById('shot-list-export').addEventListener('click', () => {
+    if (onExportCsv) onExportCsv();
+  });
+
+  // Inline edits apply on change (blur / enter), one undo step each
+  document.getElementById('shot-list-body').addEventListener('change', (e) => {
+    const row = e.target.closest('.shot-list-row');
+    const field = e.target.dataset.field;
+    if (!row || !field) return;
+    const camera = getCanvas().getObjects().find(o => o.objectType === 'camera' && o.objectId === row.dataset.id);
+    if (!camera) return;
+
+    const change = beginChange([camera]);
+    camera[field] = e.target.value.trim();
+    change.commit(field === 'shotNumber' ? 'Changed setup number' : 'Changed shot description');
+  });
+}
+
+export function showShotList() {
+  renderShotList();
+  document.getElementById('shot-list-screen').classList.remove('hidden');
+}
+
+export function hideShotList() {
+  document.getElementById('shot-list-screen').classList.add('hidden');
+}
+
+// After undo, a setup switch or a page change; never under the cursor
+export function refreshShotList() {
+  const screen = document.getElementById('shot-list-screen');
+  if (screen.classList.contains('hidden') || screen.contains(document.activeElement)) return;
+  renderShotList();
+}
+
+// ── Rows ──
+
+// One row per camera, in canvas order
+export function getShotListRows() {
+  const cameras = getCanvas().getObjects().filter(o => o.objectType === 'camera');
+  const setupNumber = getSetups().findIndex(s => s.active) + 1;
+
+  return cameras.map((camera, i) => ({
+    id: camera.objectId,
+    setup: camera.shotNumber || (cameras.length > 1 ? `${setupNumber}${String.fromCharCode(65 + i)}` : `${setupNumber}`),
+    camera: camera.cameraLabel || `Camera ${i + 1}`,
+    color: camera.cameraColor,
+    lens: camera.cameraLens ? getLensCaption(camera.cameraLens) : `${camera.cameraFov}° FOV`,
+    rig: describeRig(camera.cameraRig),
+    move: describeCameraMoves(camera) || 'Static',
+    shotSize: getShotSizeLabel(camera),
+    subjects: describeSubjects(camera),
+    description: camera.shotDescription || '',
+  }));
+}
+
+// Principals by name, then the extras in frame as a count ("8 BG")
+function describeSubjects(camera) {
+  const names = getActorsInView(camera).map(({ actor }) => describeActor(actor));
+  const extras = countExtrasInView(camera);
+  if (extras > 0) names.push(`${extras} ${CROWD_LABEL}`);
+  return names.join(', ');
+}
+
+// Roster name when the icon matches a character, else its label
+function describeActor(actor) {
+  const match = getCharacters().find(c =>
+    c.type === 'actor' && c.label === actor.actorLabel && c.color === actor.actorColor);
+  return match ? match.name : actor.actorLabel || 'Actor';
+}
+
+export function buildShotListCsv(rows) {
+  const lines = [
+    SHOT_LIST_COLUMNS.map(c => c.title),
+    ...rows.map(row => SHOT_LIST_COLUMNS.map(c => row[c.key])),
+  ];
+  return lines.map(cells => cells.map(csvCell).join(',')).join('\r\n');
+}
+
+function csvCell(value) {
+  const str = String(value ?? '');
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// ── Rendering ──
+
+function renderShotList() {
+  const rows = getShotListRows();
+  const setup = getSetups().find(s => s.active);
+  document.getElementById('shot-list-setup').textContent = setup ? setup.name : '';
+  document.getElementById('shot-list-empty').classList.toggle('hidden', rows.length > 0);
+
+  document.getElementById('shot-list-body').innerHTML = rows.map(row => `
+    <tr class="shot-list-row" data-id="${row.id}">
+      <td>
+        <input type="text" class="prop-input shot-list-setup" data-field="shotNumber" maxlength="8"
+               value="${escapeAttr(row.setup)}">
+      </td>
+      <td><span class="shot-list-swatch" style="background:${row.color}"></span>${escapeHtml(row.camera)}</td>
+      <td>${escapeHtml(row.lens)}</td>
+      <td>${escapeHtml(row.rig)}</td>
+      <td>${escapeHtml(row.move)}</td>
+      <td>${escapeHtml(row.shotSize || '—')}</td>
+      <td>${escapeHtml(row.subjects || '—')}</td>
+      <td>
+        <input type="text" class="prop-input" data-field="shotDescription" maxlength="200"
+               value="${escapeAttr(row.description)}" placeholder="What the shot covers">
+      </td>
+    </tr>
+  `).join('');
+}
@@ -0,0 +1,293 @@
+/**
+ * Symbol Library — Props and set pieces for the location plan
+ * Built-in symbols are SVG drawn in centimetres at real size, so a prop
+ * lands at true scale on a calibrated plan. They are drawn in
+ * currentColor: the sidebar previews follow the theme, and props are
+ * tinted in their own colour when placed.
+ *
+ * Custom symbols are imported from SVG files and kept in localStorage
+ * like the character roster. Their markup is only ever shown through an
+ * <img>, so nothing in an imported file can run.
+ */
+
+import { escapeHtml } from './html-utils.js';
+
+const STORAGE_KEY = 'shotdesigner_symbols';
+const MAX_SVG_SIZE = 200 * 1024;    // Bytes
+const CUSTOM_SYMBOL_SIZE = 1;       // Metres along the longer side
+
+// width / height in metres; body is drawn in a 0 0 width×100 height×100 viewBox
+const BUILT_IN_SYMBOLS = [
+  {
+    id: 'table', name: 'Table', tags: 'dining desk furniture', width: 1.6, height: 0.9,
+    body: '<rect x="2" y="2" width="156" height="86" rx="4" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>',
+  },
+  {
+    id: 'round-table', name: 'Round table', tags: 'dining cafe furniture', width: 1, height: 1,
+    body: '<circle cx="50" cy="50" r="48" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>',
+  },
+  {
+    id: 'chair', name: 'Chair', tags: 'seat furniture', width: 0.5, height: 0.5,
+    body: '<rect x="4" y="12" width="42" height="36" rx="4" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<rect x="4" y="2" width="42" height="10" rx="2" fill="currentColor" fill-opacity="0.35" stroke="currentColor"/>',
+  },
+  {
+    id: 'armchair', name: 'Armchair', tags: 'seat furniture living', width: 0.9, height: 0.9,
+    body: '<rect x="2" y="2" width="86" height="86" rx="8" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<rect x="2" y="2" width="86" height="20" rx="6" fill="currentColor" fill-opacity="0.3" stroke="currentColor"/>' +
+      '<rect x="2" y="22" width="16" height="66" rx="6" fill="currentColor" fill-opacity="0.3" stroke="currentColor"/>' +
+      '<rect x="72" y="22" width="16" height="66" rx="6" fill="currentColor" fill-opacity="0.3" stroke="currentColor"/>',
+  },
+  {
+    id: 'sofa', name: 'Sofa', tags: 'couch seat furniture living', width: 2, height: 0.9,
+    body: '<rect x="2" y="2" width="196" height="86" rx="8" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<rect x="2" y="2" width="196" height="20" rx="6" fill="currentColor" fill-opacity="0.3" stroke="currentColor"/>' +
+      '<rect x="2" y="22" width="18" height="66" rx="6" fill="currentColor" fill-opacity="0.3" stroke="currentColor"/>' +
+      '<rect x="180" y="22" width="18" height="66" rx="6" fill="currentColor" fill-opacity="0.3" stroke="currentColor"/>' +
+      '<line x1="100" y1="22" x2="100" y2="88" stroke="currentColor"/>',
+  },
+  {
+    id: 'bed-double', name: 'Double bed', tags: 'bedroom furniture', width: 1.6, height: 2,
+    body: '<rect x="2" y="2" width="156" height="196" rx="4" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<rect x="14" y="12" width="60" height="32" rx="8" fill="currentColor" fill-opacity="0.3" stroke="currentColor"/>' +
+      '<rect x="86" y="12" width="60" height="32" rx="8" fill="currentColor" fill-opacity="0.3" stroke="currentColor"/>' +
+      '<line x1="2" y1="64" x2="158" y2="64" stroke="currentColor"/>',
+  },
+  {
+    id: 'bed-single', name: 'Single bed', tags: 'bedroom furniture', width: 0.9, height: 2,
+    body: '<rect x="2" y="2" width="86" height="196" rx="4" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<rect x="14" y="12" width="62" height="32" rx="8" fill="currentColor" fill-opacity="0.3" stroke="currentColor"/>' +
+      '<line x1="2" y1="64" x2="88" y2="64" stroke="currentColor"/>',
+  },
+  {
+    id: 'desk', name: 'Desk', tags: 'office table furniture', width: 1.4, height: 0.7,
+    body: '<rect x="2" y="2" width="136" height="66" rx="2" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<line x1="96" y1="2" x2="96" y2="68" stroke="currentColor"/>' +
+      '<line x1="96" y1="24" x2="138" y2="24" stroke="currentColor"/>' +
+      '<line x1="96" y1="46" x2="138" y2="46" stroke="currentColor"/>',
+  },
+  {
+    id: 'counter', name: 'Counter / bar', tags: 'kitchen bar shop furniture', width: 3, height: 0.6,
+    body: '<rect x="2" y="2" width="296" height="56" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<line x1="2" y1="14" x2="298" y2="14" stroke="currentColor"/>',
+  },
+  {
+    id: 'cabinet', name: 'Cabinet', tags: 'wardrobe storage cupboard furniture', width: 1, height: 0.6,
+    body: '<rect x="2" y="2" width="96" height="56" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<line x1="2" y1="2" x2="98" y2="58" stroke="currentColor"/>' +
+      '<line x1="98" y1="2" x2="2" y2="58" stroke="currentColor"/>',
+  },
+  {
+    id: 'door', name: 'Door', tags: 'swing entrance wall opening', width: 0.9, height: 0.9,
+    body: '<line x1="2" y1="90" x2="2" y2="2" stroke="currentColor"/>' +
+      '<path d="M2 2 A88 88 0 0 1 90 90" fill="none" stroke="currentColor" stroke-dasharray="6 6"/>' +
+      '<line x1="2" y1="90" x2="90" y2="90" stroke="currentColor" stroke-opacity="0.4"/>',
+  },
+  {
+    id: 'double-door', name: 'Double door', tags: 'swing entrance wall opening', width: 1.6, height: 0.8,
+    body: '<line x1="2" y1="80" x2="2" y2="2" stroke="currentColor"/>' +
+      '<line x1="158" y1="80" x2="158" y2="2" stroke="currentColor"/>' +
+      '<path d="M2 2 A78 78 0 0 1 80 80" fill="none" stroke="currentColor" stroke-dasharray="6 6"/>' +
+      '<path d="M158 2 A78 78 0 0 0 80 80" fill="none" stroke="currentColor" stroke-dasharray="6 6"/>' +
+      '<line x1="2" y1="80" x2="158" y2="80" stroke="currentColor" stroke-opacity="0.4"/>',
+  },
+  {
+    id: 'window', name: 'Window', tags: 'wall glazing opening', width: 1.2, height: 0.15,
+    body: '<rect x="2" y="2" width="116" height="11" fill="currentColor" fill-opacity="0.1" stroke="currentColor"/>' +
+      '<line x1="2" y1="7.5" x2="118" y2="7.5" stroke="currentColor"/>',
+  },
+  {
+    id: 'stairs', name: 'Stairs', tags: 'steps staircase up', width: 1, height: 3,
+    body: '<rect x="2" y="2" width="96" height="296" fill="currentColor" fill-opacity="0.1" stroke="currentColor"/>' +
+      Array.from({ length: 11 }, (_, i) => `<line x1="2" y1="${27 + i * 25}" x2="98" y2="${27 + i * 25}" stroke="currentColor"/>`).join('') +
+      '<path d="M50 280 L50 20 M38 38 L50 20 L62 38" fill="none" stroke="currentColor"/>',
+  },
+  {
+    id: 'car', name: 'Car', tags: 'vehicle auto', width: 1.8, height: 4.5,
+    body: '<rect x="4" y="4" width="172" height="442" rx="50" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<path d="M26 140 Q90 110 154 140 L146 190 Q90 176 34 190 Z" fill="currentColor" fill-opacity="0.35" stroke="currentColor"/>' +
+      '<path d="M34 340 Q90 356 146 340 L154 380 Q90 400 26 380 Z" fill="currentColor" fill-opacity="0.35" stroke="currentColor"/>' +
+      '<line x1="26" y1="200" x2="26" y2="330" stroke="currentColor"/>' +
+      '<line x1="154" y1="200" x2="154" y2="330" stroke="currentColor"/>',
+  },
+  {
+    id: 'plant', name: 'Plant / tree', tags: 'pot tree greenery', width: 0.8, height: 0.8,
+    body: '<circle cx="40" cy="40" r="38" fill="currentColor" fill-opacity="0.15" stroke="currentColor"/>' +
+      '<path d="M40 4 L40 76 M4 40 L76 40 M14 14 L66 66 M66 14 L14 66" stroke="currentColor" stroke-opacity="0.6"/>',
+  },
+];
+
+let customSymbols = [];
+let onSelectCallback = null;
+let activeSymbolId = null;
+let query = '';
+
+// ── Data Layer ──
+
+function loadCustomSymbols() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveCustomSymbols() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(customSymbols));
+    return true;
+  } catch {
+    // Storage full or unavailable
+    return false;
+  }
+}
+
+export function getSymbols() {
+  return [...BUILT_IN_SYMBOLS, ...customSymbols];
+}
+
+export function getSymbol(id) {
+  return getSymbols().find(s => s.id === id) || null;
+}
+
+// Full SVG document for a symbol, with currentColor resolved to color
+export function getSymbolSvg(symbol, color) {
+  if (symbol.svg) return symbol.svg;
+  const w = Math.round(symbol.width * 100);
+  const h = Math.round(symbol.height * 100);
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${w} ${h}" width="${w}" height="${h}">` +
+    `${symbol.body.replace(/currentColor/g, color)}</svg>`;
+}
+
+// Reads an SVG file into a custom symbol, sized to CUSTOM_SYMBOL_SIZE
+// on its longer side. Rejects files Fabric can't draw anything from.
+export async function importSymbol(file, name) {
+  if (file.size > MAX_SVG_SIZE) throw new Error('SVG is larger than 200 KB');
+  const svg = await file.text();
+  const { objects, options } = await fabric.loadSVGFromString(svg);
+  if (objects.filter(Boolean).length === 0) throw new Error('No shapes found in the SVG');
+
+  const aspect = options.width > 0 && options.height > 0 ? options.width / options.height : 1;
+  const symbol = {
+    id: 'sym_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+    name: name.trim() || 'Custom symbol',
+    tags: 'custom',
+    width: aspect >= 1 ? CUSTOM_SYMBOL_SIZE : CUSTOM_SYMBOL_SIZE * aspect,
+    height: aspect >= 1 ? CUSTOM_SYMBOL_SIZE / aspect : CUSTOM_SYMBOL_SIZE,
+    svg,
+    custom: true,
+  };
+
+  customSymbols.push(symbol);
+  if (!saveCustomSymbols()) {
+    customSymbols.pop();
+    throw new Error('Not enough storage left for this symbol');
+  }
+  renderSymbolLibrary();
+  return symbol;
+}
+
+export function deleteCustomSymbol(id) {
+  customSymbols = customSymbols.filter(s => s.id !== id);
+  if (activeSymbolId === id) activeSymbolId = null;
+  saveCustomSymbols();
+  renderSymbolLibrary();
+}
+
+// ── UI Layer ──
+
+export function initSymbolLibrary(onSymbolSelect) {
+  onSelectCallback = onSymbolSelect;
+  customSymbols = loadCustomSymbols();
+
+  const section = document.getElementById('symbol-section');
+  document.getElementById('btn-toggle-symbols').addEventListener('click', () => {
+    section.classList.toggle('collapsed');
+  });
+
+  document.getElementById('symbol-search').addEventListener('input', (e) => {
+    query = e.target.value.trim().toLowerCase();
+    renderSymbolLibrary();
+  });
+
+  const fileInput = document.getElementById('symbol-file-input');
+  document.getElementById('btn-import-symbol').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    const name = prompt('Symbol name', file.name.replace(/\.svg$/i, ''));
+    if (name === null) return;
+    try {
+      await importSymbol(file, name);
+      section.classList.remove('collapsed');
+    } catch (err) {
+      console.error('Symbol import failed:', err);
+      alert(`Could not import the symbol: ${err.message}`);
+    }
+  });
+
+  document.getElementById('symbol-grid').addEventListener('click', (e) => {
+    const tile = e.target.closest('.symbol-tile');
+    if (!tile) return;
+    if (e.target.closest('.symbol-tile-delete')) {
+      const symbol = getSymbol(tile.dataset.id);
+      if (symbol && confirm(`Delete the symbol "${symbol.name}"? Props already placed stay on the plan.`)) {
+        deleteCustomSymbol(symbol.id);
+      }
+      return;
+    }
+
+    const symbol = getSymbol(tile.dataset.id);
+    if (symbol && onSelectCallback) {
+      activeSymbolId = symbol.id;
+      renderSymbolLibrary();
+      onSelectCallback(symbol);
+    }
+  });
+
+  renderSymbolLibrary();
+}
+
+export function renderSymbolLibrary() {
+  const matches = getSymbols().filter(s =>
+    !query || s.name.toLowerCase().includes(query) || s.tags.includes(query));
+
+  document.getElementById('symbol-empty').classList.toggle('hidden', matches.length > 0);
+  document.getElementById('symbol-grid').innerHTML = matches.map(symbol => `
+    <div class="symbol-tile ${symbol.id === activeSymbolId ? 'active' : ''}" data-id="${symbol.id}">
+      <div class="symbol-tile-preview">${renderPreview(symbol)}</div>
+      <span class="symbol-tile-name">${escapeHtml(symbol.name)}</span>
+      ${symbol.custom ? `
+        <button class="symbol-tile-delete" title="Delete symbol">
+          <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+            <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
+// Built-ins inline (they follow the text colour); imported files as an image
+function renderPreview(symbol) {
+  if (symbol.custom) {
+    return `<img src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(symbol.svg)}" alt="">`;
+  }
+  const w = Math.round(symbol.width * 100);
+  const h = Math.round(symbol.height * 100);
+  return `<svg viewBox="-4 -4 ${w + 8} ${h + 8}" stroke-width="${Math.max(w, h) / 30}">${symbol.body}</svg>`;
+}
+
+export function setActiveSymbol(id) {
+  activeSymbolId = id;
+  renderSymbolLibrary();
+}
+
+export function clearActiveSymbol() {
+  if (!activeSymbolId) return;
+  activeSymbolId = null;
+  renderSymbolLibrary();
+}
@@ -3,7 +3,7 @@
  */
 
 import { getCanvas } from './canvas-manager.js';
-import { saveState } from './history-manager.js';
+import { recordAdded, beginChange, trackInput } from './history-manager.js';
 
 const PRESET_COLORS = [
   '#ffffff', '#e74c3c', '#3498db', '#2ecc71',
@@ -14,6 +14,13 @@ const PRESET_COLORS = [
 const DEFAULT_TEXT_COLOR = '#ffffff';
 const DEFAULT_FONT_SIZE = 24;
 
+// Corner scaling and rotation only. Not carried by toJSON(), see restoreText().
+const TEXT_CONTROLS = {
+  tl: true, tr: true, bl: true, br: true,
+  ml: false, mr: false, mt: false, mb: false,
+  mtr: true,
+};
+
 export function placeText(x, y, options = {}) {
   const canvas = getCanvas();
   const color = options.color || DEFAULT_TEXT_COLOR;
@@ -36,13 +43,10 @@ export function placeText(x, y, options = {}) {
     hasBorders: true,
   });
 
-  text.setControlsVisibility({
-    tl: true, tr: true, bl: true, br: true,
-    ml: false, mr: false, mt: false, mb: false,
-    mtr: true,
-  });
+  text.setControlsVisibility(TEXT_CONTROLS);
 
   canvas.add(text);
+  recordAdded('Added text', [text]);
   canvas.setActiveObject(text);
 
   // Enter editing mode so keyboard opens immediately
@@ -50,11 +54,15 @@ export function placeText(x, y, options = {}) {
   text.selectAll();
 
   canvas.requestRenderAll();
-  saveState();
 
   return text;
 }
 
+export function restoreText(text) {
+  if (!text || text.objectType !== 'text') return;
+  text.setControlsVisibility(TEXT_CONTROLS);
+}
+
 export function renderTextProperties(textObj) {
   const container = document.getElementById('panel-content');
 
@@ -85,6 +93,7 @@ export function renderTextProperties(textObj) {
   `;
 
   // Font size slider
+  trackInput(document.getElementById('text-font-size'), [textObj], 'Changed font size');
   document.getElementById('text-font-size').addEventListener('input', (e) => {
     const val = parseInt(e.target.value);
     document.getElementById('font-size-val').textContent = val;
@@ -99,8 +108,10 @@ export function renderTextProperties(textObj) {
       document.querySelectorAll('#text-colors .color-swatch').forEach(s => s.classList.remove('selected'));
       swatch.classList.add('selected');
       const newColor = swatch.dataset.color;
+      const change = beginChange([textObj]);
       textObj.set('fill', newColor);
       textObj.textColor = newColor;
+      change.commit('Changed text color');
       getCanvas().requestRenderAll();
     });
   });
@@ -109,6 +120,7 @@ export function renderTextProperties(textObj) {
   document.querySelectorAll('#text-styles .style-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const style = btn.dataset.style;
+      const change = beginChange([textObj]);
       if (style === 'bold') {
         const isBold = textObj.fontWeight === 'bold';
         textObj.set('fontWeight', isBold ? 'normal' : 'bold');
@@ -118,6 +130,7 @@ export function renderTextProperties(textObj) {
         textObj.set('fontStyle', isItalic ? '' : 'italic');
         btn.classList.toggle('active');
       }
+      change.commit('Changed text style');
       getCanvas().requestRenderAll();
     });
   });
@@ -3,20 +3,26 @@
  * Attaches to wrapper div to avoid Fabric.js conflicts
  *
  * When two fingers pinch over a selected actor/camera, the object
- * is scaled instead of zooming the canvas.
+ * is scaled instead of zooming the canvas. Twisting the fingers past
+ * TWIST_THRESHOLD turns an actor as well.
  */
 
 import { getCanvas, getZoom, setZoom, panBy } from './canvas-manager.js';
-import { saveState } from './history-manager.js';
+import { beginChange } from './history-manager.js';
 
 let isPinching = false;
 let isResizingObject = false;
 let resizeTarget = null;
 let resizeStartScale = 1;
+let resizeStartAngle = 0;
+let resizeChange = null;
+let pinchStartAngle = 0;
+let isTwisting = false;
 let lastPinchDist = 0;
 let lastPinchCenter = null;
 let longPressTimer = null;
 const LONG_PRESS_MS = 500;
+const TWIST_THRESHOLD = 2; // Degrees before a pinch counts as a turn
 
 export function initTouchHandler(callbacks = {}) {
   const wrapper = document.getElementById('canvas-wrapper');
@@ -43,6 +49,8 @@ function onTouchStart(e) {
     const t2 = e.touches[1];
     lastPinchDist = getDist(t1, t2);
     lastPinchCenter = getMidpoint(t1, t2);
+    pinchStartAngle = getAngle(t1, t2);
+    isTwisting = false;
 
     const canvas = getCanvas();
     const active = canvas.getActiveObject();
@@ -52,6 +60,8 @@ function onTouchStart(e) {
       isResizingObject = true;
       resizeTarget = active;
       resizeStartScale = active.scaleX || 1;
+      resizeStartAngle = active.angle || 0;
+      resizeChange = beginChange([active]);
     } else {
       isResizingObject = false;
       resizeTarget = null;
@@ -80,16 +90,26 @@ function onTouchMove(e) {
     const t2 = e.touches[1];
     const dist = getDist(t1, t2);
     const center = getMidpoint(t1, t2);
+    const angle = getAngle(t1, t2);
 
     if (isResizingObject && resizeTarget) {
-      // Resize the selected object based on pinch distance change
+      // Resize the selected object based on pinch distance change.
+      // An actor turns with the fingers once they have twisted far
+      // enough, so a plain pinch never nudges its facing.
       const scaleFactor = dist / lastPinchDist;
       const currentScale = resizeTarget.scaleX || 1;
       const newScale = Math.max(0.3, Math.min(5, currentScale * scaleFactor));
       resizeTarget.set({ scaleX: newScale, scaleY: newScale });
+
+      const twist = normalizeAngle(angle - pinchStartAngle);
+      if (resizeTarget.objectType === 'actor' && Math.abs(twist) >= TWIST_THRESHOLD) isTwisting = true;
+      if (isTwisting) resizeTarget.rotate(resizeStartAngle + twist);
+
       resizeTarget.setCoords();
       resizeTarget.dirty = true;
-      getCanvas().requestRenderAll();
+      const canvas = getCanvas();
+      if (isTwisting) canvas.fire('object:rotating', { target: resizeTarget });
+      canvas.requestRenderAll();
     } else {
       // Normal canvas zoom + pan
       const scaleFactor = dist / lastPinchDist;
@@ -118,10 +138,14 @@ function onTouchEnd(e) {
     isPinching = false;
 
     if (isResizingObject && resizeTarget) {
-      // Save undo state after resize completes
-      saveState();
+      // One undo step for the whole pinch
+      const callbacks = document.getElementById('canvas-wrapper')._touchCallbacks;
+      const name = callbacks.describeObject ? callbacks.describeObject(resizeTarget) : resizeTarget.objectType;
+      resizeChange.commit((isTwisting ? 'Turned ' : 'Resized ') + name);
       isResizingObject = false;
+      isTwisting = false;
       resizeTarget = null;
+      resizeChange = null;
     } else {
       // Re-enable Fabric.js interaction after canvas zoom/pan
       const canvas = getCanvas();
@@ -158,6 +182,16 @@ function getDist(t1, t2) {
   return Math.sqrt(dx * dx + dy * dy);
 }
 
+// Degrees, for the twist between two touches
+function getAngle(t1, t2) {
+  return Math.atan2(t2.clientY - t1.clientY, t2.clientX - t1.clientX) * 180 / Math.PI;
+}
+
+// -180…180, so a twist across the atan2 seam stays small
+function normalizeAngle(angle) {
+  return ((angle + 540) % 360) - 180;
+}
+
 function getMidpoint(t1, t2) {
   return {
     x: (t1.clientX + t2.clientX) / 2,
@@ -1,79 +1,101 @@
 /**
  * Trail Manager — Drag-to-move trails for actors & cameras
  *
- * When an actor/camera is dragged in select mode, a ghost copy stays at
- * the start position and a trail line connects start → end.
+ * When an actor/camera is dragged in "Track movement" mode, a ghost copy
+ * stays at the start position and a trail line connects start → end.
+ * app.js detects the drag (so the move and its trail form one undo step)
+ * and calls addTrailSegment().
  * Actor trails: dotted line in actor's color.
  * Camera trails: solid black line with directional arrowhead.
  * Trails are chainable — dragging again extends the chain.
  * Each trail segment gets an auto-placed control point at the midpoint
  * that you can drag to bend the path around obstacles.
+ *
+ * Actor trails also carry marks: a numbered badge under every position
+ * (the actor's label plus a beat number, "M1", "M2", ...) with an
+ * optional note ("sits"). A mark belongs to a ghost through its
+ * trailSegmentIndex, or to the actor's current position when that is
+ * null. Numbers are derived from the chain, so refreshTrailMarks()
+ * renumbers them whenever positions are added, removed or restored.
  */
 
 import { getCanvas } from './canvas-manager.js';
-import { saveState } from './history-manager.js';
-
-// Store pre-drag position: object reference → { left, top, angle }
-const dragStartPositions = new Map();
+import { trackInput } from './history-manager.js';
+import { keepLabelUpright } from './actor-icon.js';
+import { escapeHtml, escapeAttr } from './html-utils.js';
+
+// Drags shorter than this are taps, not moves
+const MIN_TRAIL_DISTANCE = 5;
+
+// Interaction flags per trail part. toJSON() drops them, so they are
+// re-applied by restoreTrails() after any canvas load.
+const GHOST_INTERACTION = {
+  selectable: false,
+  evented: false,
+  hasControls: false,
+  hasBorders: false,
+};
+
+const TRAIL_LINE_INTERACTION = {
+  objectCaching: false,
+  selectable: true,
+  evented: true,
+  hasControls: false,
+  hasBorders: true,
+  lockMovementX: true,
+  lockMovementY: true,
+  perPixelTargetFind: true,
+  padding: 8,
+};
+
+const TRAIL_ARROW_INTERACTION = {
+  objectCaching: false,
+  selectable: false,
+  evented: false,
+};
+
+const CONTROL_POINT_INTERACTION = {
+  hasControls: false,
+  hasBorders: false,
+  padding: 14,
+  evented: true,
+  selectable: true,
+};
+
+// Marks stay put; they're only selected to edit the note
+const MARK_INTERACTION = {
+  objectCaching: false,
+  selectable: true,
+  evented: true,
+  hasControls: false,
+  hasBorders: true,
+  lockMovementX: true,
+  lockMovementY: true,
+  lockRotation: true,
+  lockScalingX: true,
+  lockScalingY: true,
+  padding: 4,
+};
+
+const MARK_GAP = 4; // Between the icon's bottom edge and its mark
 
 // ── Init ──
 
 export function initTrailManager() {
   const canvas = getCanvas();
 
-  // Capture position when user clicks on an actor (before drag starts)
-  // Cameras use the separate camera-arrow tool instead
-  canvas.on('mouse:down', (opt) => {
-    if (!opt.target) return;
-    const target = opt.target;
-    if (target.objectType !== 'actor') return;
-
-    // Store current position — we'll check if it moved on mouse:up / object:modified
-    dragStartPositions.set(target, {
-      left: target.left,
-      top: target.top,
-      angle: target.angle || 0,
-    });
-  });
-
-  // After drag completes, create trail if position changed
-  canvas.on('object:modified', (opt) => {
-    const target = opt.target;
-    if (!target) return;
-    if (target.objectType !== 'actor') return;
-
-    const startPos = dragStartPositions.get(target);
-    if (!startPos) return;
-    dragStartPositions.delete(target);
-
-    // Only create trail if moved more than 5px (ignore accidental taps)
-    const dx = target.left - startPos.left;
-    const dy = target.top - startPos.top;
-    if (Math.sqrt(dx * dx + dy * dy) < 5) return;
-
-    // Create the trail (async for clone, but we don't need to await here)
-    createTrailSegment(target, startPos);
-  });
-
-  // Also clear stored position if user just clicks without dragging
-  canvas.on('mouse:up', (opt) => {
-    // Clean up after a short delay — if object:modified didn't fire, it was just a click
-    setTimeout(() => {
-      // Only clear entries where position hasn't changed
-      for (const [obj, pos] of dragStartPositions) {
-        const dx = obj.left - pos.left;
-        const dy = obj.top - pos.top;
-        if (Math.sqrt(dx * dx + dy * dy) < 5) {
-          dragStartPositions.delete(obj);
-        }
-      }
-    }, 100);
-  });
-
   // Rebuild Bezier curves when trail control points are dragged
   canvas.on('object:moving', (e) => {
     const obj = e.target;
-    if (!obj || obj.objectType !== 'trailControlPoint') return;
+    if (!obj) return;
+
+    // The current-position mark follows its actor
+    if (obj.objectType === 'actor' && obj.trailId) {
+      const mark = getTrailMarks(obj.trailId).find(m => m.trailSegmentIndex === null);
+      if (mark) placeMark(mark, obj);
+      return;
+    }
+    if (obj.objectType !== 'trailControlPoint') return;
 
     const trailLine = canvas.getObjects().find(
       o => o.trailId === obj.trailId
@@ -92,7 +114,19 @@ export function initTrailManager() {
 
 // ── Create Trail Segment ──
 
-async function createTrailSegment(target, startPos) {
+export function isTrackable(obj) {
+  return !!obj && (obj.objectType === 'actor' || obj.objectType === 'camera');
+}
+
+// startPos: { left, top, angle } of target before the drag
+export function shouldAddTrail(target, startPos) {
+  const dx = target.left - startPos.left;
+  const dy = target.top - startPos.top;
+  return isTrackable(target) && Math.sqrt(dx * dx + dy * dy) >= MIN_TRAIL_DISTANCE;
+}
+
+// Returns the new segment's objects (ghost, line, arrowhead, control point)
+export async function addTrailSegment(target, startPos) {
   const canvas = getCanvas();
 
   // Assign or reuse trailId for chaining
@@ -100,11 +134,9 @@ async function createTrailSegment(target, startPos) {
     ('trail_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6));
   target.trailId = trailId;
 
-  // Count existing segments for index
-  const existingSegments = canvas.getObjects().filter(
-    o => o.trailId === trailId && o.objectType === 'trailLine'
-  );
-  const segmentIndex = existingSegments.length;
+  // Next free index — removed segments can leave gaps
+  const segmentIndex = getTrailLines(trailId)
+    .reduce((max, line) => Math.max(max, line.trailSegmentIndex + 1), 0);
 
   const sourceType = target.objectType; // 'actor' or 'camera'
   const color = sourceType === 'actor' ? (target.actorColor || '#e74c3c') : '#000000';
@@ -132,14 +164,12 @@ async function createTrailSegment(target, startPos) {
     top: startPos.top,
     angle: startPos.angle,
     opacity: 0.35,
-    selectable: false,
-    evented: false,
-    hasControls: false,
-    hasBorders: false,
+    ...GHOST_INTERACTION,
     objectType: 'trailGhost',
     trailId: trailId,
     trailSegmentIndex: segmentIndex,
   });
+  if (sourceType === 'actor' && ghost.type === 'group') keepLabelUpright(ghost);
 
   // Auto-place control point at midpoint so user can immediately bend the path
   const midX = (startPos.left + target.left) / 2;
@@ -181,8 +211,22 @@ async function createTrailSegment(target, startPos) {
   }
   canvas.add(controlPoint); // on top so it's easy to grab
 
+  // The mark (and note) of the position just left stays with the ghost
+  const leftMark = getTrailMarks(trailId).find(m => m.trailSegmentIndex === null);
+  if (leftMark) leftMark.trailSegmentIndex = segmentIndex;
+  const marksBefore = getTrailMarks(trailId);
+  refreshTrailMarks([target]);
+  const newMarks = getTrailMarks(trailId).filter(m => !marksBefore.includes(m));
+
   canvas.requestRenderAll();
-  saveState();
+  return [ghost, trailLine, trailArrow, controlPoint, ...newMarks].filter(Boolean);
+}
+
+// Trail lines of a chain, in path order
+function getTrailLines(trailId) {
+  return getCanvas().getObjects()
+    .filter(o => o.trailId === trailId && o.objectType === 'trailLine')
+    .sort((a, b) => a.trailSegmentIndex - b.trailSegmentIndex);
 }
 
 // ── Build Trail Line ──
@@ -205,15 +249,7 @@ function buildTrailLine(segmentData) {
     strokeWidth: isActor ? 2 : 2.5,
     strokeDashArray: isActor ? [6, 4] : null,
     strokeLineCap: 'round',
-    objectCaching: false,
-    selectable: true,
-    evented: true,
-    hasControls: false,
-    hasBorders: true,
-    lockMovementX: true,
-    lockMovementY: true,
-    perPixelTargetFind: true,
-    padding: 8,
+    ...TRAIL_LINE_INTERACTION,
     objectType: 'trailLine',
     trailId: trailId,
     trailSegmentIndex: segmentIndex,
@@ -252,9 +288,7 @@ function buildTrailArrowHead(segmentData) {
   ], {
     fill: color,
     stroke: null,
-    objectCaching: false,
-    selectable: false,
-    evented: false,
+    ...TRAIL_ARROW_INTERACTION,
     objectType: 'trailArrowHead',
     trailId: trailId,
     trailSegmentIndex: segmentIndex,
@@ -273,14 +307,10 @@ function buildControlPoint(trailId, segmentIndex, x, y) {
     strokeWidth: 2,
     originX: 'center',
     originY: 'center',
-    hasControls: false,
-    hasBorders: false,
-    padding: 14,
+    ...CONTROL_POINT_INTERACTION,
     objectType: 'trailControlPoint',
     trailId: trailId,
     trailSegmentIndex: segmentIndex,
-    evented: true,
-    selectable: true,
   });
 }
 
@@ -319,13 +349,15 @@ function rebuildTrailSegment(segmentData) {
   if (oldLine) canvas.remove(oldLine);
   if (oldArrow) canvas.remove(oldArrow);
 
-  // Build replacements
+  // Build replacements (keeping object ids for recorded history)
   const newLine = buildTrailLine(segmentData);
+  if (oldLine) newLine.objectId = oldLine.objectId;
   canvas.add(newLine);
   canvas.sendObjectToBack(newLine);
 
   if (segmentData.sourceType === 'camera') {
     const newArrow = buildTrailArrowHead(segmentData);
+    if (oldArrow) newArrow.objectId = oldArrow.objectId;
     canvas.add(newArrow);
     canvas.sendObjectToBack(newArrow);
   }
@@ -333,12 +365,195 @@ function rebuildTrailSegment(segmentData) {
   canvas.requestRenderAll();
 }
 
+// ── Marks ──
+
+// Marks of a chain, in no particular order
+export function getTrailMarks(trailId) {
+  return getCanvas().getObjects().filter(o => o.trailId === trailId && o.objectType === 'trailMark');
+}
+
+// Re-number, re-label and re-place the marks of every actor trail the
+// given objects belong to. Adds marks for new positions and drops the
+// ones whose ghost is gone; notes stay with their position.
+export function refreshTrailMarks(objects) {
+  const trailIds = new Set(objects.filter(o => o && o.trailId).map(o => o.trailId));
+  trailIds.forEach(syncTrailMarks);
+}
+
+function syncTrailMarks(trailId) {
+  const canvas = getCanvas();
+  const objects = canvas.getObjects();
+  const owner = objects.find(o => o.trailId === trailId && isTrackable(o));
+  const marks = getTrailMarks(trailId);
+
+  const ghosts = objects
+    .filter(o => o.trailId === trailId && o.objectType === 'trailGhost')
+    .sort((a, b) => a.trailSegmentIndex - b.trailSegmentIndex);
+
+  // Only actors with at least one move get marks
+  if (!owner || owner.objectType !== 'actor' || ghosts.length === 0) {
+    marks.forEach(m => canvas.remove(m));
+    return;
+  }
+
+  const positions = [
+    ...ghosts.map(g => ({ index: g.trailSegmentIndex, anchor: g })),
+    { index: null, anchor: owner },
+  ];
+
+  marks
+    .filter(m => !positions.some(p => p.index === m.trailSegmentIndex))
+    .forEach(m => canvas.remove(m));
+
+  positions.forEach((position, i) => {
+    let mark = marks.find(m => m.trailSegmentIndex === position.index && canvas.getObjects().includes(m));
+    if (!mark) {
+      mark = buildMark(trailId, position.index);
+      canvas.add(mark);
+    }
+    mark.markLabel = `${owner.actorLabel || ''}${i + 1}`;
+    updateMarkText(mark, owner.actorColor || '#e74c3c');
+    placeMark(mark, position.anchor);
+  });
+  canvas.requestRenderAll();
+}
+
+function buildMark(trailId, segmentIndex) {
+  return new fabric.FabricText('', {
+    fontSize: 12,
+    fontWeight: 'bold',
+    fontFamily: '-apple-system, sans-serif',
+    originX: 'center',
+    originY: 'top',
+    ...MARK_INTERACTION,
+    objectType: 'trailMark',
+    trailId,
+    trailSegmentIndex: segmentIndex,
+    markLabel: '',
+    markNote: '',
+  });
+}
+
+function updateMarkText(mark, color) {
+  const note = (mark.markNote || '').trim();
+  mark.set({
+    text: ` ${mark.markLabel}${note ? ' · ' + note : ''} `,
+    fill: isLightColor(color) ? '#333333' : '#ffffff',
+    backgroundColor: color,
+  });
+}
+
+// Centred under the icon, whatever its scale
+function placeMark(mark, anchor) {
+  const center = anchor.getCenterPoint();
+  mark.set({ left: center.x, top: center.y + anchor.getScaledHeight() / 2 + MARK_GAP });
+  mark.setCoords();
+}
+
+function isLightColor(hex) {
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.8;
+}
+
+export function renderMarkProperties(mark) {
+  const container = document.getElementById('panel-content');
+
+  container.innerHTML = `
+    <div class="prop-group">
+      <label class="prop-label">Mark</label>
+      <div class="prop-text">${escapeHtml(mark.markLabel)}</div>
+    </div>
+    <div class="prop-group">
+      <label class="prop-label">Note</label>
+      <input type="text" class="prop-input" id="mark-note" value="${escapeAttr(mark.markNote || '')}"
+             maxlength="40" placeholder="e.g. crosses to window">
+    </div>
+  `;
+
+  const noteInput = document.getElementById('mark-note');
+  trackInput(noteInput, [mark], 'Changed mark note');
+  noteInput.addEventListener('input', () => {
+    mark.markNote = noteInput.value;
+    updateMarkText(mark, mark.backgroundColor);
+    getCanvas().requestRenderAll();
+  });
+}
+
+// ── Restore (after undo/redo or project load) ──
+
+// Control point drags are handled by the canvas-wide listener in
+// initTrailManager(), so only the per-object flags need re-applying —
+// and the marks of the touched chains re-syncing
+export function restoreTrails(objects = getCanvas().getObjects()) {
+  objects.forEach(o => {
+    switch (o.objectType) {
+      case 'trailGhost': o.set(GHOST_INTERACTION); break;
+      case 'trailLine': o.set(TRAIL_LINE_INTERACTION); break;
+      case 'trailArrowHead': o.set(TRAIL_ARROW_INTERACTION); break;
+      case 'trailControlPoint': o.set(CONTROL_POINT_INTERACTION); break;
+      case 'trailMark': o.set(MARK_INTERACTION); break;
+    }
+  });
+  refreshTrailMarks(objects);
+}
+
+// Line, arrowhead and control point of one segment
+export function getTrailSegmentObjects(trailId, segmentIndex) {
+  return getCanvas().getObjects().filter(o =>
+    o.trailId === trailId && o.trailSegmentIndex === segmentIndex
+      && o.objectType !== 'trailGhost' && o.objectType !== 'trailMark'
+  );
+}
+
+// Every part of a trail chain (the actor/camera itself excluded)
+export function getTrailObjects(trailId) {
+  return getCanvas().getObjects().filter(o => o.trailId === trailId && !isTrackable(o));
+}
+
 // ── Remove Trail ──
 
+// Drops one move from the chain: the segment, the ghost it starts from and
+// that position's mark. The previous segment is stretched to where this
+// one ended, so the path stays joined.
+export function removeTrailSegment(trailId, segmentIndex) {
+  const canvas = getCanvas();
+  const line = getTrailLines(trailId).find(l => l.trailSegmentIndex === segmentIndex);
+  const previous = getTrailLines(trailId).filter(l => l.trailSegmentIndex < segmentIndex).pop();
+
+  canvas.getObjects()
+    .filter(o => o.trailId === trailId && o.trailSegmentIndex === segmentIndex && !isTrackable(o))
+    .forEach(o => canvas.remove(o));
+
+  if (line && previous) {
+    const data = previous.trailSegmentData;
+    const end = line.trailSegmentData;
+    const joined = {
+      ...data,
+      endX: end.endX,
+      endY: end.endY,
+      cpX: (data.startX + end.endX) / 2,
+      cpY: (data.startY + end.endY) / 2,
+    };
+    rebuildTrailSegment(joined);
+
+    const cp = canvas.getObjects().find(o =>
+      o.trailId === trailId && o.objectType === 'trailControlPoint' && o.trailSegmentIndex === data.segmentIndex
+    );
+    if (cp) {
+      cp.set({ left: joined.cpX, top: joined.cpY });
+      cp.setCoords();
+    }
+  }
+
+  syncTrailMarks(trailId);
+  canvas.requestRenderAll();
+}
+
 export function removeTrail(trailId) {
   const canvas = getCanvas();
-  const toRemove = canvas.getObjects().filter(o => o.trailId === trailId);
-  toRemove.forEach(o => canvas.remove(o));
+  getTrailObjects(trailId).forEach(o => canvas.remove(o));
   canvas.requestRenderAll();
 }
 
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'dosl-v3';
+const CACHE_NAME = 'dosl-v23';
 const ASSETS = [
   './',
   './index.html',
@@ -10,10 +10,32 @@ const ASSETS = [
   './js/actor-icon.js',
   './js/camera-icon.js',
   './js/movement-arrow.js',
+  './js/trail-manager.js',
   './js/export-manager.js',
   './js/history-manager.js',
   './js/text-tool.js',
   './js/character-roster.js',
+  './js/canvas-serializer.js',
+  './js/project-manager.js',
+  './js/project-store.js',
+  './js/autosave.js',
+  './js/project-library.js',
+  './js/layer-manager.js',
+  './js/setup-strip.js',
+  './js/history-panel.js',
+  './js/html-utils.js',
+  './js/playback-manager.js',
+  './js/playback-bar.js',
+  './js/gif-encoder.js',
+  './js/scale-manager.js',
+  './js/coverage-overlay.js',
+  './js/axis-manager.js',
+  './js/shot-list.js',
+  './js/crowd-icon.js',
+  './js/symbol-library.js',
+  './js/prop-icon.js',
+  './js/light-icon.js',
+  './js/mic-icon.js',
   './js/lib/jspdf.umd.min.js',
   './manifest.json',
 ];
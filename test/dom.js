@@ -0,0 +1,52 @@
+/**
+ * DOM — A browser-like global environment for running the app's modules
+ * under Node: jsdom for the document, a no-op 2D context in place of a
+ * real canvas, and Fabric.js on window as the page's script tag puts it.
+ */
+
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM(`
+  <div id="canvas-wrapper"><canvas id="main-canvas"></canvas></div>
+  <span id="zoom-display"></span>
+`, { url: 'http://localhost/', pretendToBeVisual: true });
+
+const { window } = dom;
+
+// Drawing calls succeed and draw nothing
+function createContext(canvas) {
+  const noop = () => {};
+  return new Proxy({
+    canvas,
+    measureText: (text) => ({ width: String(text).length * 6 }),
+    getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(Math.max(1, w * h * 4)) }),
+    createImageData: (w, h) => ({ data: new Uint8ClampedArray(Math.max(1, w * h * 4)) }),
+    createLinearGradient: () => ({ addColorStop: noop }),
+    createRadialGradient: () => ({ addColorStop: noop }),
+    createPattern: () => ({}),
+    getLineDash: () => [],
+    isPointInPath: () => false,
+  }, {
+    get: (target, prop) => (prop in target ? target[prop] : noop),
+    set: (target, prop, value) => {
+      target[prop] = value;
+      return true;
+    },
+  });
+}
+
+window.HTMLCanvasElement.prototype.getContext = function () {
+  if (!this._stubContext) this._stubContext = createContext(this);
+  return this._stubContext;
+};
+window.HTMLCanvasElement.prototype.toDataURL = () => 'data:image/png;base64,';
+
+['window', 'document', 'navigator', 'localStorage', 'HTMLElement', 'HTMLCanvasElement',
+  'Image', 'PointerEvent', 'MouseEvent'].forEach(name => {
+  if (window[name] && (!(name in globalThis) || name === 'window' || name === 'document')) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+  }
+});
+
+window.fabric = await import('fabric');
+globalThis.fabric = window.fabric;
@@ -0,0 +1,184 @@
+/**
+ * Undo / redo rehydration
+ * Objects restored by history must come back fully live. Arrows and trails
+ * have to reshape when their control point is dragged, not just move the
+ * handle, and every part gets back the interaction flags and controls that
+ * toJSON() drops.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import './dom.js';
+
+let canvas;
+let history;
+let arrows;
+let trails;
+let actors;
+let cameras;
+let texts;
+
+before(async () => {
+  const { initCanvas } = await import('../js/canvas-manager.js');
+  history = await import('../js/history-manager.js');
+  arrows = await import('../js/movement-arrow.js');
+  trails = await import('../js/trail-manager.js');
+  actors = await import('../js/actor-icon.js');
+  cameras = await import('../js/camera-icon.js');
+  texts = await import('../js/text-tool.js');
+  canvas = initCanvas();
+  history.initHistory(null, null);
+  trails.initTrailManager();
+});
+
+function findPart(arrowId, objectType) {
+  return canvas.getObjects().find(o => o.arrowId === arrowId && o.objectType === objectType);
+}
+
+// What a drag of the handle to x, y fires, without the pointer events
+function dragControlPoint(arrowId, x, y) {
+  const handle = findPart(arrowId, 'controlPoint');
+  handle.set({ left: x, top: y });
+  canvas.fire('object:moving', { target: handle });
+}
+
+function findById(objectId) {
+  return canvas.getObjects().find(o => o.objectId === objectId);
+}
+
+// Undoes and redoes the last step; returns the restored copy of obj
+async function undoRedo(obj) {
+  await history.undo();
+  assert.equal(findById(obj.objectId), undefined);
+  await history.redo();
+  const restored = findById(obj.objectId);
+  assert.ok(restored, 'redo brings the object back');
+  assert.notEqual(restored, obj, 'redo restores a copy, not the removed object');
+  return restored;
+}
+
+function assertRotateOnly(obj) {
+  ['tl', 'tr', 'bl', 'br', 'ml', 'mr', 'mt', 'mb'].forEach(key => {
+    assert.equal(obj.isControlVisible(key), false, `${key} control hidden`);
+  });
+  assert.equal(obj.isControlVisible('mtr'), true, 'rotation control shown');
+}
+
+function addToCanvas(obj, label) {
+  canvas.add(obj);
+  history.recordAdded(label, [obj]);
+  return obj;
+}
+
+function drawArrow() {
+  const { arrowId } = arrows.createMovementArrow(100, 100, 300, 100);
+  history.recordAdded('Drew arrow', arrows.getArrowObjects(arrowId));
+  return arrowId;
+}
+
+test('a drawn arrow reshapes when its control point is dragged', () => {
+  const arrowId = drawArrow();
+  const before = JSON.stringify(findPart(arrowId, 'movementArrow').path);
+
+  dragControlPoint(arrowId, 200, 20);
+
+  assert.notEqual(JSON.stringify(findPart(arrowId, 'movementArrow').path), before);
+});
+
+test('an arrow can be reshaped after undo and redo', async () => {
+  const arrowId = drawArrow();
+
+  await history.undo();
+  assert.equal(findPart(arrowId, 'movementArrow'), undefined);
+
+  await history.redo();
+  const restored = findPart(arrowId, 'movementArrow');
+  assert.ok(restored, 'redo brings the arrow back');
+  const before = JSON.stringify(restored.path);
+
+  dragControlPoint(arrowId, 200, 180);
+
+  const reshaped = findPart(arrowId, 'movementArrow');
+  assert.notEqual(JSON.stringify(reshaped.path), before);
+  assert.deepEqual(reshaped.arrowData.controlPoints[0], { x: 200, y: 180 });
+});
+
+test('an arrow reshape can be undone and the arrow reshaped again', async () => {
+  const arrowId = drawArrow();
+  const drawn = JSON.stringify(findPart(arrowId, 'movementArrow').path);
+
+  const change = history.beginChange(() => arrows.getArrowObjects(arrowId));
+  dragControlPoint(arrowId, 200, 40);
+  change.commit('Reshaped arrow');
+
+  await history.undo();
+  assert.equal(JSON.stringify(findPart(arrowId, 'movementArrow').path), drawn);
+
+  dragControlPoint(arrowId, 200, 160);
+  assert.notEqual(JSON.stringify(findPart(arrowId, 'movementArrow').path), drawn);
+});
+
+test('a trail segment is selectable and can be reshaped after undo and redo', async () => {
+  const actor = addToCanvas(actors.createActorIcon(100, 300), 'Added actor');
+  const start = { left: actor.left, top: actor.top, angle: 0 };
+  let parts = [];
+
+  // As a drag in Track mode records it: the move and the new segment
+  const change = history.beginChange(() => [actor, ...parts]);
+  actor.set({ left: 300, top: 300 });
+  actor.setCoords();
+  parts = await trails.addTrailSegment(actor, start);
+  change.commit('Tracked actor');
+  const { trailId } = actor;
+
+  await history.undo();
+  assert.equal(canvas.getObjects().some(o => o.trailId === trailId && o.objectType === 'trailLine'), false);
+  await history.redo();
+
+  const [line, controlPoint] = ['trailLine', 'trailControlPoint'].map(type =>
+    canvas.getObjects().find(o => o.trailId === trailId && o.objectType === type));
+  assert.ok(line && controlPoint, 'redo brings the segment back');
+  assert.equal(line.selectable, true);
+  assert.equal(line.lockMovementX, true);
+  assert.equal(line.perPixelTargetFind, true);
+  assert.equal(controlPoint.selectable, true);
+  assert.equal(controlPoint.evented, true);
+  assert.equal(controlPoint.hasControls, false);
+  const ghost = canvas.getObjects().find(o => o.trailId === trailId && o.objectType === 'trailGhost');
+  assert.equal(ghost.evented, false);
+
+  const before = JSON.stringify(line.path);
+  controlPoint.set({ left: 200, top: 200 });
+  canvas.fire('object:moving', { target: controlPoint });
+  const reshaped = canvas.getObjects().find(o => o.trailId === trailId && o.objectType === 'trailLine');
+  assert.notEqual(JSON.stringify(reshaped.path), before);
+});
+
+test('an actor gets its controls and locks back after undo and redo', async () => {
+  const actor = await undoRedo(addToCanvas(actors.createActorIcon(400, 100), 'Added actor'));
+
+  assert.equal(actor.hasControls, true);
+  assert.equal(actor.lockScalingX, true);
+  assert.equal(actor.lockScalingY, true);
+  assert.equal(actor.subTargetCheck, false);
+  assertRotateOnly(actor);
+});
+
+test('a camera gets its controls and locks back after undo and redo', async () => {
+  const camera = await undoRedo(addToCanvas(cameras.createCameraIcon(400, 300), 'Added camera'));
+
+  assert.equal(camera.hasControls, true);
+  assert.equal(camera.lockScalingX, true);
+  assert.equal(camera.lockScalingY, true);
+  assert.equal(camera.getObjects().length, 5);
+  assertRotateOnly(camera);
+});
+
+test('a text gets its corner and rotation controls back after undo and redo', async () => {
+  const placed = texts.placeText(500, 500);
+  placed.exitEditing();
+  const text = await undoRedo(placed);
+
+  ['tl', 'tr', 'bl', 'br', 'mtr'].forEach(key => assert.equal(text.isControlVisible(key), true, `${key} shown`));
+  ['ml', 'mr', 'mt', 'mb'].forEach(key => assert.equal(text.isControlVisible(key), false, `${key} hidden`));
+});